@@ -0,0 +1,192 @@
+// ImageFlow Pro Adjustments - colour and tone corrections on ImageData
+// Everything is computed on the pixels (no CSS filters), so the result is the
+// same in every browser and at every size. Loaded by the page and by worker.js.
+const Adjustments = {
+  // Sliders are -100..100 except exposure (EV stops). Levels and curves use
+  // 0..255 values; a curve is a list of [input, output] points.
+  DEFAULTS: {
+    exposure: 0,
+    brightness: 0,
+    contrast: 0,
+    saturation: 0,
+    vibrance: 0,
+    temperature: 0,
+    tint: 0,
+    levels: { inBlack: 0, inWhite: 255, gamma: 1, outBlack: 0, outWhite: 255 },
+    curves: { rgb: [[0, 0], [255, 255]], r: [[0, 0], [255, 255]], g: [[0, 0], [255, 255]], b: [[0, 0], [255, 255]] }
+  },
+
+  // Missing fields fall back to the defaults, so partial recipe steps work
+  normalize(settings = {}) {
+    const defaults = this.DEFAULTS;
+    return {
+      ...defaults,
+      ...settings,
+      levels: { ...defaults.levels, ...settings.levels },
+      curves: { ...defaults.curves, ...settings.curves }
+    };
+  },
+
+  isIdentity(settings) {
+    const s = this.normalize(settings);
+    const straight = (points) => points.every(([input, output]) => input === output);
+    const { levels } = s;
+    return !s.exposure && !s.brightness && !s.contrast && !s.saturation && !s.vibrance && !s.temperature && !s.tint &&
+      levels.inBlack === 0 && levels.inWhite === 255 && levels.gamma === 1 && levels.outBlack === 0 && levels.outWhite === 255 &&
+      Object.values(s.curves).every(straight);
+  },
+
+  // Order: exposure, white balance, brightness/contrast (one LUT per channel),
+  // then saturation/vibrance per pixel, then levels and curves (a second LUT)
+  apply(image, settings) {
+    const s = this.normalize(settings);
+    if (this.isIdentity(s)) return image;
+
+    const tone = this.toneLUTs(s);
+    const finish = this.finishLUTs(s);
+    const saturation = s.saturation / 100;
+    const vibrance = s.vibrance / 100;
+    const data = image.data;
+
+    for (let i = 0; i < data.length; i += 4) {
+      let r = tone[0][data[i]];
+      let g = tone[1][data[i + 1]];
+      let b = tone[2][data[i + 2]];
+
+      if (saturation || vibrance) {
+        const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        // Vibrance pushes muted colours harder than saturated ones
+        const chroma = (Math.max(r, g, b) - Math.min(r, g, b)) / 255;
+        const factor = 1 + saturation + vibrance * (1 - chroma);
+        r = luma + (r - luma) * factor;
+        g = luma + (g - luma) * factor;
+        b = luma + (b - luma) * factor;
+      }
+
+      data[i] = finish[0][this.clampByte(r)];
+      data[i + 1] = finish[1][this.clampByte(g)];
+      data[i + 2] = finish[2][this.clampByte(b)];
+    }
+    return image;
+  },
+
+  // Float tables: exposure works in linear light, the rest on sRGB values
+  toneLUTs(s) {
+    const gain = Math.pow(2, s.exposure);
+    const balance = [1 + s.temperature * 0.002, 1 - s.tint * 0.002, 1 - s.temperature * 0.002];
+    const offset = s.brightness * 1.275;
+    const c = s.contrast * 2.55;
+    const contrast = (259 * (c + 255)) / (255 * (259 - c));
+
+    return balance.map(channelGain => {
+      const table = new Float32Array(256);
+      for (let v = 0; v < 256; v++) {
+        let value = s.exposure ? this.toSRGB(this.toLinear(v / 255) * gain) * 255 : v;
+        value *= channelGain;
+        value = contrast * (value + offset - 128) + 128;
+        table[v] = Math.min(255, Math.max(0, value));
+      }
+      return table;
+    });
+  },
+
+  finishLUTs(s) {
+    const { inBlack, inWhite, gamma, outBlack, outWhite } = s.levels;
+    const range = Math.max(1, inWhite - inBlack);
+    const composite = this.curveLUT(s.curves.rgb);
+
+    return ['r', 'g', 'b'].map(channel => {
+      const curve = this.curveLUT(s.curves[channel]);
+      const table = new Uint8ClampedArray(256);
+      for (let v = 0; v < 256; v++) {
+        const level = Math.pow(Math.min(1, Math.max(0, (v - inBlack) / range)), 1 / gamma);
+        table[v] = curve[composite[this.clampByte(outBlack + level * (outWhite - outBlack))]];
+      }
+      return table;
+    });
+  },
+
+  // Monotone cubic (Fritsch-Carlson) through the points: no overshoot between
+  // them, so a curve never reverses the tones it was not asked to
+  curveLUT(points) {
+    const sorted = [...points].sort((a, b) => a[0] - b[0])
+      .filter((point, index, all) => index === 0 || point[0] !== all[index - 1][0]);
+    const table = new Uint8ClampedArray(256);
+    if (sorted.length === 1) return table.fill(this.clampByte(sorted[0][1]));
+
+    const n = sorted.length;
+    const slopes = [];
+    for (let i = 0; i < n - 1; i++) {
+      slopes.push((sorted[i + 1][1] - sorted[i][1]) / (sorted[i + 1][0] - sorted[i][0]));
+    }
+    const tangents = sorted.map((point, i) => {
+      if (i === 0) return slopes[0];
+      if (i === n - 1) return slopes[n - 2];
+      return slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+    });
+    for (let i = 0; i < n - 1; i++) {
+      if (slopes[i] === 0) {
+        tangents[i] = tangents[i + 1] = 0;
+        continue;
+      }
+      const a = tangents[i] / slopes[i];
+      const b = tangents[i + 1] / slopes[i];
+      const length = Math.hypot(a, b);
+      if (length > 3) {
+        tangents[i] = 3 * a / length * slopes[i];
+        tangents[i + 1] = 3 * b / length * slopes[i];
+      }
+    }
+
+    let segment = 0;
+    for (let v = 0; v < 256; v++) {
+      if (v <= sorted[0][0]) {
+        table[v] = sorted[0][1];
+        continue;
+      }
+      if (v >= sorted[n - 1][0]) {
+        table[v] = sorted[n - 1][1];
+        continue;
+      }
+      while (v > sorted[segment + 1][0]) segment++;
+
+      const [x0, y0] = sorted[segment];
+      const [x1, y1] = sorted[segment + 1];
+      const h = x1 - x0;
+      const t = (v - x0) / h;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      table[v] = Math.round(
+        (2 * t3 - 3 * t2 + 1) * y0 + (t3 - 2 * t2 + t) * h * tangents[segment] +
+        (-2 * t3 + 3 * t2) * y1 + (t3 - t2) * h * tangents[segment + 1]
+      );
+    }
+    return table;
+  },
+
+  // Per-channel and luma histograms (256 bins each)
+  histogram(image) {
+    const result = { r: new Uint32Array(256), g: new Uint32Array(256), b: new Uint32Array(256), luma: new Uint32Array(256) };
+    const data = image.data;
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] === 0) continue;
+      result.r[data[i]]++;
+      result.g[data[i + 1]]++;
+      result.b[data[i + 2]]++;
+      result.luma[this.clampByte(0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2])]++;
+    }
+    return result;
+  },
+
+  toLinear(value) {
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  },
+
+  toSRGB(value) {
+    return value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+  },
+
+  clampByte(value) {
+    return value <= 0 ? 0 : value >= 255 ? 255 : Math.round(value);
+  }
+};
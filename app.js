@@ -21,11 +21,12 @@ class ImageFlowApp {
     // Advanced Processing Options
     this.processingOptions = {
       lossless: true,
-      algorithm: 'lanczos', // lanczos, bicubic, bilinear, nearest
-      colorSpace: 'sRGB',
+      algorithm: 'lanczos', // see resizeAlgorithms
+      colorSpace: 'sRGB', // transfer curve of linear-light resampling ('sRGB' or a plain `gammaCorrection` power law)
       preserveMetadata: true,
-      enableSharpening: false,
+      metadataPolicy: 'keep', // keep, no-gps, copyright, strip (see metadata.js)
       gammaCorrection: 2.2,
+      linearLight: false, // resample in linear light with the built-in resampler, never Pica (see Imaging.resizeLinearLight)
       resamplingQuality: 'maximum',
       enableCropping: true,
       cropAspectRatio: 'free' // free, 1:1, 4:3, 16:9, 3:2, custom
@@ -45,28 +46,36 @@ class ImageFlowApp {
     this.formatConfigs = {
       'png': { 
         lossless: true, 
-        compression: 'zip',
+        modes: ['lossless'],
+        compression: 'zip', // 'zip' (browser deflate), 'max' (filter trials + optimal parse)
         bitDepth: 'auto', // 8, 16, 'auto'
-        colorType: 'auto' // rgb, rgba, grayscale, palette, 'auto'
+        colorType: 'auto', // rgb, rgba, grayscale, grayscale-alpha, palette, 'auto'
+        palette: 0, // quantise to at most this many colours, 0 = lossless
+        quantizer: 'median-cut', // 'median-cut', 'kmeans'
+        dither: true
       },
       'webp': { 
         lossless: true,
+        modes: ['lossless', 'lossy'],
         method: 6, // 0-6, higher = slower but better
         quality: 100,
         exact: true
       },
       'avif': {
         lossless: true,
+        modes: ['lossless', 'lossy'],
         quality: 100,
         speed: 1 // 0-10, higher = faster but worse
       },
       'tiff': {
         lossless: true,
+        modes: ['lossless'],
         compression: 'lzw',
         bitDepth: 16
       },
       'jpg': {
         lossless: false,
+        modes: ['lossy'],
         quality: 95,
         subsampling: '444', // 444, 422, 420
         progressive: false,
@@ -74,20 +83,330 @@ class ImageFlowApp {
       }
     };
     
+    // Recipe steps and their editable fields (see pipeline.js). Number fields
+    // with a `scale` are shown multiplied by it (quality: 0-1 stored, % shown).
+    // Resize fit modes and the gravity of cover crops / contain letterboxes (pipeline.js)
+    this.fitOptions = [
+      ['inside', 'Belül (arányos)'],
+      ['cover', 'Kitöltés vágással (cover)'],
+      ['contain', 'Beillesztés kerettel (contain)'],
+      ['outside', 'Kívül (arányos, lefedő)'],
+      ['fill', 'Nyújtás (fill)']
+    ];
+    this.gravityOptions = [
+      ['center', 'Középre'],
+      ['top', 'Felülre'],
+      ['bottom', 'Alulra'],
+      ['left', 'Balra'],
+      ['right', 'Jobbra'],
+      ['thirds', 'Harmadolás'],
+      ['smart', 'Intelligens (tartalom alapján)']
+    ];
+    // Resampling kernels (see Imaging.RESAMPLE_KERNELS) and pixel-art upscalers (pixelart.js)
+    this.resizeAlgorithms = [
+      ['lanczos', 'Lanczos3 (Legjobb)'],
+      ['lanczos2', 'Lanczos2 (Kevesebb túllövés)'],
+      ['bicubic', 'Bicubic (Professzionális)'],
+      ['mitchell', 'Mitchell (Lágy, gyűrűzésmentes)'],
+      ['bilinear', 'Bilinear (Gyors)'],
+      ['box', 'Box (Átlagolás)'],
+      ['nearest', 'Nearest (Pixel art)'],
+      ['integer', 'Pixel art: egész szorzós Nearest'],
+      ['epx', 'Pixel art: Scale2x/3x (EPX)'],
+      ['hqx', 'Pixel art: hq2x/3x/4x'],
+      ['xbr', 'Pixel art: xBR']
+    ];
+    
+    // Noise reduction before the resize and sharpening after it (see filters.js)
+    this.denoiseOptions = [
+      ['', 'Nincs zajszűrés'],
+      ['median', 'Medián'],
+      ['bilateral', 'Bilaterális']
+    ];
+    this.denoiseStrengths = [
+      ['1', 'Enyhe'],
+      ['2', 'Közepes'],
+      ['3', 'Erős']
+    ];
+    this.sharpenOptions = [
+      ['', 'Nincs élesítés'],
+      ['screen', 'Képernyő'],
+      ['print', 'Nyomtatás'],
+      ['custom', 'Egyedi']
+    ];
+    
+    // Watermark anchors and repeat modes (see Imaging.applyWatermark)
+    this.watermarkPositions = [
+      ['bottom-right', 'Jobb alsó'],
+      ['bottom-center', 'Alul középen'],
+      ['bottom-left', 'Bal alsó'],
+      ['center-right', 'Jobb oldalt'],
+      ['center', 'Közép'],
+      ['center-left', 'Bal oldalt'],
+      ['top-right', 'Jobb felső'],
+      ['top-center', 'Felül középen'],
+      ['top-left', 'Bal felső']
+    ];
+    this.watermarkPlacements = [
+      ['anchor', 'Egy helyen'],
+      ['tile', 'Csempézve'],
+      ['diagonal', 'Átlósan ismételve']
+    ];
+    
+    this.recipeStepTypes = {
+      crop: { label: 'Vágás (%)', fields: [
+        { key: 'x', label: 'X %', type: 'number', value: 0 },
+        { key: 'y', label: 'Y %', type: 'number', value: 0 },
+        { key: 'width', label: 'Szél. %', type: 'number', value: 100 },
+        { key: 'height', label: 'Mag. %', type: 'number', value: 100 }
+      ] },
+      rotate: { label: 'Forgatás', fields: [
+        { key: 'angle', label: 'Szög', type: 'select', value: 90, options: [[90, '90°'], [180, '180°'], [270, '270°']] }
+      ] },
+      flip: { label: 'Tükrözés', fields: [
+        { key: 'axis', label: 'Irány', type: 'select', value: 'horizontal', options: [['horizontal', 'Vízszintes'], ['vertical', 'Függőleges']] }
+      ] },
+      straighten: { label: 'Kiegyenesítés', fields: [
+        { key: 'angle', label: 'Szög (°)', type: 'number', value: 0 }
+      ] },
+      denoise: { label: 'Zajszűrés', fields: [
+        { key: 'method', label: 'Módszer', type: 'select', value: 'median', options: [['median', 'Medián'], ['bilateral', 'Bilaterális']] },
+        { key: 'radius', label: 'Erősség', type: 'select', value: 1, options: [[1, 'Enyhe'], [2, 'Közepes'], [3, 'Erős']] }
+      ] },
+      resize: { label: 'Átméretezés', fields: [
+        { key: 'width', label: 'Szélesség', type: 'number', value: 1920 },
+        { key: 'height', label: 'Magasság', type: 'number', value: null },
+        { key: 'fit', label: 'Illesztés', type: 'select', value: 'inside', options: this.fitOptions },
+        { key: 'gravity', label: 'Igazítás', type: 'select', value: 'center', options: this.gravityOptions },
+        { key: 'algorithm', label: 'Algoritmus', type: 'select', value: 'lanczos', options: this.resizeAlgorithms }
+      ] },
+      adjust: { label: 'Színkorrekció', fields: [
+        { key: 'exposure', label: 'Expozíció (EV)', type: 'number', value: 0 },
+        { key: 'brightness', label: 'Fényerő', type: 'number', value: 0 },
+        { key: 'contrast', label: 'Kontraszt', type: 'number', value: 0 },
+        { key: 'saturation', label: 'Telítettség', type: 'number', value: 0 },
+        { key: 'vibrance', label: 'Élénkség', type: 'number', value: 0 },
+        { key: 'temperature', label: 'Színhőmérséklet', type: 'number', value: 0 },
+        { key: 'tint', label: 'Árnyalat', type: 'number', value: 0 }
+      ] },
+      blur: { label: 'Homályosítás', fields: [
+        { key: 'amount', label: 'Erősség (px)', type: 'number', value: 4 },
+        { key: 'region', label: 'Terület', type: 'select', value: 'all', options: [
+          ['all', 'Teljes kép'], ['top', 'Felső rész'], ['bottom', 'Alsó rész'], ['center', 'Középső rész'], ['edges', 'Szélek']
+        ] }
+      ] },
+      sharpen: { label: 'Élesítés', fields: [
+        { key: 'amount', label: 'Mérték %', type: 'number', value: 80 },
+        { key: 'radius', label: 'Sugár (px)', type: 'number', value: 1 },
+        { key: 'threshold', label: 'Küszöb', type: 'number', value: 2 }
+      ] },
+      watermark: { label: 'Vízjel', fields: [
+        { key: 'text', label: 'Szöveg', type: 'text', value: '© ImageFlow' },
+        { key: 'position', label: 'Pozíció', type: 'select', value: 'bottom-right', options: this.watermarkPositions },
+        { key: 'size', label: 'Méret %', type: 'number', value: 5 },
+        { key: 'opacity', label: 'Fedés %', type: 'number', value: 50 },
+        { key: 'color', label: 'Szín', type: 'text', value: '#ffffff' },
+        { key: 'rotation', label: 'Elforgatás °', type: 'number', value: 0 },
+        { key: 'placement', label: 'Elhelyezés', type: 'select', value: 'anchor', options: this.watermarkPlacements }
+      ] },
+      encode: { label: 'Kódolás', fields: [
+        { key: 'format', label: 'Formátum', type: 'select', value: 'webp', options: [
+          ['png', 'PNG'], ['webp', 'WebP'], ['jpg', 'JPG'], ['avif', 'AVIF'], ['tiff', 'TIFF']
+        ] },
+        { key: 'lossless', label: 'Mód', type: 'select', value: false, options: [[true, 'Veszteségmentes'], [false, 'Veszteséges']] },
+        { key: 'quality', label: 'Minőség %', type: 'number', value: 0.9, scale: 100 }
+      ] }
+    };
+    
+    // Uploaded watermark logo (PNG blob and its decoded copy for the preview),
+    // the sample image of the live previews and the curves being edited
+    this.watermarkLogo = null;
+    this.previewSample = null;
+    this.adjustCurves = JSON.parse(JSON.stringify(Adjustments.DEFAULTS.curves));
+    this.adjustCurveChannel = 'rgb';
+    
+    // Open redaction editor and the saved region templates ({ name, regions })
+    this.redactState = null;
+    this.redactionTemplates = [];
+    
+    // Saved recipes ({ name, steps }) and the steps being edited
+    this.recipes = [];
+    this.recipeDraft = [];
+    
+    // Ids of the images ticked on their cards (as strings, like the onclick arguments)
+    this.selectedImages = new Set();
+    
+    // Target of Ctrl+Z / Ctrl+Shift+Z
+    this.lastEditedImageId = null;
+    
+    // Parallel processing pool (null when OffscreenCanvas workers are unsupported)
+    this.workerPool = WorkerPool.isSupported() ? new WorkerPool('./worker.js') : null;
+    
+    // Persistent image library (IndexedDB)
+    this.library = ImageLibrary.isSupported() ? new ImageLibrary() : null;
+    this.libraryReady = false;
+    
     this.init();
   }
 
   init() {
     this.setupEventListeners();
+    this.renderRecipeEditor();
     this.setupTheme();
     this.setupTabs();
     this.setupPeerConnection();
     this.generateQRCode();
     this.updateStats();
+    this.loadLibrary();
     this.registerServiceWorker();
     this.handleURLParameters();
   }
 
+  // Restore the image library saved in IndexedDB
+  async loadLibrary() {
+    if (!this.library) return;
+    
+    try {
+      const [records, processingStats, fileTypes, recipes, redactionTemplates] = await Promise.all([
+        this.library.loadImages(),
+        this.library.loadMeta('processingStats'),
+        this.library.loadMeta('fileTypes'),
+        this.library.loadMeta('recipes'),
+        this.library.loadMeta('redactionTemplates')
+      ]);
+      
+      records.forEach(record => {
+        this.images.push({
+          ...record,
+          src: URL.createObjectURL(record.displayBlob || record.file),
+          processedSrc: record.processedBlob ? URL.createObjectURL(record.processedBlob) : null
+        });
+        this.storageData.originalSize += record.size;
+        if (record.processedBlob) {
+          this.storageData.compressedSize += record.processedBlob.size;
+        }
+      });
+      
+      if (processingStats) {
+        Object.assign(this.processingStats, processingStats);
+      }
+      if (fileTypes) {
+        this.fileTypes = new Map(fileTypes);
+      }
+      if (Array.isArray(recipes)) {
+        this.recipes = recipes;
+        this.renderRecipeList();
+      }
+      if (Array.isArray(redactionTemplates)) {
+        this.redactionTemplates = redactionTemplates;
+        this.renderRedactionTemplateLists();
+      }
+      
+      if (records.length > 0) {
+        this.showNotification(`${records.length} kép visszaállítva a könyvtárból`, 'info');
+      }
+      
+      // Ask the browser not to evict the library under storage pressure
+      ImageLibrary.requestPersistence();
+      
+    } catch (error) {
+      console.error('Failed to load image library:', error);
+      this.showNotification('A képkönyvtár betöltése sikertelen!', 'error');
+    }
+    
+    this.libraryReady = true;
+    this.updateStats();
+    this.renderImages();
+    this.refreshStorageUsage();
+  }
+
+  persistImage(image) {
+    if (!this.library) return Promise.resolve();
+    
+    return this.library.saveImage(image).catch(error => {
+      console.error(`Failed to save ${image.name} to the library:`, error);
+      if (error.name === 'QuotaExceededError') {
+        this.showNotification('A böngésző tárhelye megtelt, a kép nem menthető!', 'error');
+      }
+    });
+  }
+
+  persistLibraryMeta() {
+    if (!this.library || !this.libraryReady) return;
+    
+    Promise.all([
+      this.library.saveMeta('processingStats', { ...this.processingStats }),
+      this.library.saveMeta('fileTypes', Array.from(this.fileTypes.entries()))
+    ]).catch(error => console.error('Failed to save library statistics:', error));
+  }
+
+  // Returns an error message when `newBytes` would not fit, null otherwise
+  async checkStorageCapacity(newBytes) {
+    const storedBytes = this.library ?
+      await this.library.getStoredBytes() : this.storageData.used;
+    
+    if (storedBytes + newBytes > this.storageData.limit) {
+      return 'Nincs elegendő tárterület! Töröljön néhány képet.';
+    }
+    
+    const estimate = await ImageLibrary.estimate();
+    if (estimate && estimate.quota && estimate.usage + newBytes > estimate.quota) {
+      return 'A böngésző tárhelykvótája megtelt! Töröljön néhány képet.';
+    }
+    
+    return null;
+  }
+
+  async refreshStorageUsage() {
+    const quotaEl = document.getElementById('storageQuota');
+    if (!quotaEl) return;
+    
+    try {
+      const estimate = await ImageLibrary.estimate();
+      if (!estimate) {
+        quotaEl.textContent = 'Böngésző kvóta: nem elérhető';
+        return;
+      }
+      const usageMB = (estimate.usage / (1024 * 1024)).toFixed(1);
+      const quotaGB = (estimate.quota / (1024 * 1024 * 1024)).toFixed(1);
+      quotaEl.textContent = `Böngésző kvóta: ${usageMB} MB / ${quotaGB} GB`;
+    } catch (error) {
+      console.error('Storage estimate failed:', error);
+    }
+  }
+
+  async clearLibrary() {
+    if (!confirm('Biztosan törli a teljes képkönyvtárat? Ez a művelet nem vonható vissza.')) {
+      return;
+    }
+    
+    try {
+      if (this.library) {
+        await this.library.clear();
+      }
+      
+      this.images.forEach(image => this.releaseImageUrls(image));
+      this.images = [];
+      this.selectedImages.clear();
+      this.updateSelectionCount();
+      this.fileTypes.clear();
+      this.storageData.originalSize = 0;
+      this.storageData.compressedSize = 0;
+      Object.keys(this.processingStats).forEach(key => {
+        this.processingStats[key] = 0;
+      });
+      
+      this.updateStats();
+      this.renderImages();
+      this.refreshStorageUsage();
+      this.showNotification('Képkönyvtár törölve!', 'info');
+      
+    } catch (error) {
+      console.error('Failed to clear library:', error);
+      this.showNotification('A könyvtár törlése sikertelen!', 'error');
+    }
+  }
+
   setupEventListeners() {
     // File upload
     const dropZone = document.getElementById('dropZone');
@@ -118,6 +437,18 @@ class ImageFlowApp {
       btn.addEventListener('click', (e) => this.applyBatchPreset(e.target.dataset.preset));
     });
 
+    // Quality controls of the batch and advanced panels
+    ['batch', 'quick'].forEach(scope => {
+      const ids = this.getQualityControlIds(scope);
+      const formatEl = document.getElementById(ids.format);
+      if (!formatEl) return;
+      
+      formatEl.addEventListener('change', () => this.handleQualityFormatChange(scope));
+      document.getElementById(ids.quality).addEventListener('input', () => this.handleQualityInput(scope));
+      document.getElementById(ids.mode).addEventListener('change', () => this.handleQualityInput(scope));
+      this.handleQualityFormatChange(scope);
+    });
+
     // Blur slider
     const blurSlider = document.getElementById('blurSlider');
     const blurValue = document.getElementById('blurValue');
@@ -127,6 +458,23 @@ class ImageFlowApp {
       });
     }
 
+    // Curves of the adjustments panel
+    this.setupCurvesEditor();
+    this.drawCurvesEditor();
+    
+    // Undo / redo of the last edited image (not while typing in a field)
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      
+      e.preventDefault();
+      if (e.shiftKey) {
+        this.redoEdit();
+      } else {
+        this.undoEdit();
+      }
+    });
+
     // Device connection
     document.getElementById('connectDevice').addEventListener('click', this.showDevicesTab.bind(this));
     document.getElementById('connectManual').addEventListener('click', this.connectManual.bind(this));
@@ -432,15 +780,18 @@ class ImageFlowApp {
       const validImageFiles = [];
       const invalidFiles = [];
       const maxFileSize = 50 * 1024 * 1024; // 50MB
-      const supportedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/gif', 'image/bmp', 'image/svg+xml'];
+      const supportedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/gif', 'image/svg+xml'];
       
       for (const file of files) {
-        if (!file.type.startsWith('image/')) {
+        // Formats with a JS decoder are often reported without a MIME type
+        const decodable = Boolean(ImageDecoders.findByFile(file));
+        
+        if (!file.type.startsWith('image/') && !decodable) {
           invalidFiles.push(`${file.name} (nem képfájl)`);
           continue;
         }
         
-        if (!supportedTypes.includes(file.type)) {
+        if (!supportedTypes.includes(file.type) && !decodable) {
           invalidFiles.push(`${file.name} (nem támogatott formátum)`);
           continue;
         }
@@ -469,10 +820,11 @@ class ImageFlowApp {
         return;
       }
       
-      // Check storage limits
+      // Check storage limits against the bytes actually stored
       const totalNewSize = validImageFiles.reduce((sum, file) => sum + file.size, 0);
-      if (this.storageData.originalSize + totalNewSize > this.storageData.limit) {
-        this.showNotification('Nincs elegendő tárterület! Töröljön néhány képet.', 'error');
+      const capacityError = await this.checkStorageCapacity(totalNewSize);
+      if (capacityError) {
+        this.showNotification(capacityError, 'error');
         return;
       }
 
@@ -484,7 +836,10 @@ class ImageFlowApp {
       for (let i = 0; i < validImageFiles.length; i++) {
         const file = validImageFiles[i];
         try {
-          await this.addImage(file);
+          const added = await this.addImage(file);
+          for (const image of added) {
+            await this.persistImage(image);
+          }
           successCount++;
         } catch (error) {
           console.error(`Failed to add image ${file.name}:`, error);
@@ -496,6 +851,7 @@ class ImageFlowApp {
       this.hideProgress();
       this.updateStats();
       this.renderImages();
+      this.refreshStorageUsage();
       
       // Show results
       if (successCount > 0) {
@@ -515,114 +871,240 @@ class ImageFlowApp {
     }
   }
 
+  // Returns the added images: one per file, or one per page of a multi-page TIFF
   async addImage(file) {
-    return new Promise((resolve, reject) => {
-      try {
-        const reader = new FileReader();
+    const decoder = await ImageDecoders.find(file, file.name);
+    if (decoder) {
+      return this.addDecodedImages(file, decoder);
+    }
+    
+    // EXIF/XMP/ICC of JPEG, PNG and WebP originals, re-embedded on export
+    const metadata = await Metadata.read(file).catch((error) => {
+      console.warn('Metadata could not be read:', error);
+      return null;
+    });
+    
+    const orientation = Metadata.getOrientation(metadata);
+    if (orientation !== 1) {
+      return this.addOrientedImage(file, metadata, orientation);
+    }
+    
+    // Originals stay as Blobs; the preview is a revocable object URL
+    const objectUrl = URL.createObjectURL(file);
+    
+    try {
+      const img = await new Promise((resolve, reject) => {
+        const img = new Image();
         
-        reader.onload = (e) => {
-          try {
-            const img = new Image();
-            
-            img.onload = () => {
-              try {
-                // Validate image dimensions
-                if (img.width === 0 || img.height === 0) {
-                  reject(new Error(`Érvénytelen képméret: ${file.name}`));
-                  return;
-                }
-                
-                if (img.width > 16384 || img.height > 16384) {
-                  reject(new Error(`A kép mérete túl nagy: ${file.name} (${img.width}×${img.height}, maximum 16384×16384)`));
-                  return;
-                }
-                
-                const imageData = {
-                  id: Date.now() + Math.random(),
-                  file: file,
-                  name: file.name,
-                  size: file.size,
-                  type: file.type,
-                  width: img.width,
-                  height: img.height,
-                  src: e.target.result,
-                  processed: false,
-                  processedSize: null,
-                  processedSrc: null,
-                  addedAt: new Date().toLocaleString()
-                };
-                
-                this.images.push(imageData);
-                this.storageData.originalSize += file.size;
-                this.updateFileTypeStats(file.type, file.size);
-                resolve();
-                
-              } catch (dataError) {
-                console.error('Error processing image data:', dataError);
-                reject(new Error(`Hiba a képadatok feldolgozásakor: ${file.name}`));
-              }
-            };
-            
-            img.onerror = (imgError) => {
-              console.error('Image loading error:', imgError);
-              reject(new Error(`Sérült vagy érvénytelen képfájl: ${file.name}`));
-            };
-            
-            // Set timeout for image loading
-            setTimeout(() => {
-              reject(new Error(`Időtúllépés a kép betöltésekor: ${file.name}`));
-            }, 30000); // 30 second timeout
-            
-            img.src = e.target.result;
-            
-          } catch (imgError) {
-            console.error('Error setting up image:', imgError);
-            reject(new Error(`Hiba a kép beállításakor: ${file.name}`));
-          }
-        };
+        // Set timeout for image loading
+        const timeout = setTimeout(() => {
+          reject(new Error(`Időtúllépés a kép betöltésekor: ${file.name}`));
+        }, 30000); // 30 second timeout
         
-        reader.onerror = (readError) => {
-          console.error('FileReader error:', readError);
-          reject(new Error(`Fájlolvasási hiba: ${file.name}`));
+        img.onload = () => {
+          clearTimeout(timeout);
+          resolve(img);
         };
         
-        reader.onabort = () => {
-          reject(new Error(`Fájlolvasás megszakítva: ${file.name}`));
+        img.onerror = (imgError) => {
+          clearTimeout(timeout);
+          console.error('Image loading error:', imgError);
+          reject(new Error(`Sérült vagy érvénytelen képfájl: ${file.name}`));
         };
         
-        // Start reading the file
-        reader.readAsDataURL(file);
-        
-      } catch (setupError) {
-        console.error('Error setting up file reader:', setupError);
-        reject(new Error(`Inicializálási hiba: ${file.name}`));
-      }
-    });
+        img.src = objectUrl;
+      });
+      
+      this.validateDimensions(img.width, img.height, file.name);
+      
+      const imageData = {
+        id: Date.now() + Math.random(),
+        file: file,
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        width: img.width,
+        height: img.height,
+        src: objectUrl,
+        processed: false,
+        processedSize: null,
+        processedBlob: null,
+        processedSrc: null,
+        metadata: metadata,
+        addedAt: new Date().toLocaleString()
+      };
+      
+      this.images.push(imageData);
+      this.storageData.originalSize += file.size;
+      this.updateFileTypeStats(file.type, file.size);
+      return [imageData];
+      
+    } catch (error) {
+      URL.revokeObjectURL(objectUrl);
+      throw error;
+    }
   }
 
-  calculateDataUrlSize(dataUrl) {
-    // More accurate size calculation for data URLs
+  // Photos with an EXIF orientation are stored with upright dimensions and an
+  // upright preview, so thumbnails, the crop overlay and the outputs never
+  // depend on how (or whether) the browser applies the tag itself
+  async addOrientedImage(file, metadata, orientation) {
+    const bitmap = await this.decodeOriented(file, orientation);
+    // A closed bitmap reports 0×0, so keep the size before closing it
+    const { width, height } = bitmap;
+    let displayBlob;
     try {
-      if (!dataUrl || typeof dataUrl !== 'string') {
-        return 0;
-      }
-      
-      const base64String = dataUrl.split(',')[1];
-      if (!base64String) {
-        return 0;
+      this.validateDimensions(bitmap.width, bitmap.height, file.name);
+      const canvas = Imaging.createCanvas(bitmap.width, bitmap.height);
+      Imaging.getContext(canvas).drawImage(bitmap, 0, 0);
+      displayBlob = await Imaging.canvasToBlob(canvas, file.type === 'image/jpeg' ? 'image/jpeg' : 'image/png', 0.92);
+    } finally {
+      bitmap.close();
+    }
+    
+    const imageData = {
+      id: Date.now() + Math.random(),
+      file: file,
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      width: width,
+      height: height,
+      src: URL.createObjectURL(displayBlob),
+      displayBlob: displayBlob,
+      orientation: orientation,
+      processed: false,
+      processedSize: null,
+      processedBlob: null,
+      processedSrc: null,
+      metadata: metadata,
+      addedAt: new Date().toLocaleString()
+    };
+    
+    this.images.push(imageData);
+    this.storageData.originalSize += file.size;
+    this.updateFileTypeStats(file.type, file.size);
+    return [imageData];
+  }
+  
+  // Decode the stored pixels with the tag neutralized, then rotate them ourselves
+  async decodeOriented(file, orientation) {
+    const bitmap = await createImageBitmap(await Metadata.withoutOrientation(file));
+    try {
+      return await createImageBitmap(Imaging.applyOrientation(bitmap, orientation));
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  // Formats the browser cannot open go through a JS decoder (decoders.js). Each
+  // page gets a PNG rendition for previews; processing decodes the original again.
+  async addDecodedImages(file, decoder) {
+    const { pages } = await ImageDecoders.decode(file, { decoder: decoder.name, name: file.name });
+    const type = file.type || decoder.mimeTypes[0];
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+    const extension = ImageDecoders.getExtension(file.name) || decoder.extensions[0];
+    const added = [];
+    
+    for (let index = 0; index < pages.length; index++) {
+      const bitmap = await ImageDecoders.toBitmap(pages[index]);
+      // A closed bitmap reports 0×0, so keep the size before closing it
+      const { width, height } = bitmap;
+      let displayBlob;
+      try {
+        this.validateDimensions(bitmap.width, bitmap.height, file.name);
+        const canvas = Imaging.createCanvas(bitmap.width, bitmap.height);
+        Imaging.getContext(canvas).drawImage(bitmap, 0, 0);
+        displayBlob = await Imaging.canvasToBlob(canvas, 'image/png');
+      } finally {
+        bitmap.close();
       }
       
-      // Calculate actual byte size from base64
-      const stringLength = base64String.length;
-      const sizeInBytes = Math.floor(stringLength * 3 / 4);
-      
-      // Account for padding
-      const paddingCount = base64String.match(/=/g)?.length || 0;
-      return sizeInBytes - paddingCount;
+      const imageData = {
+        id: Date.now() + Math.random(),
+        file: file,
+        name: pages.length > 1 ? `${baseName}_p${index + 1}.${extension}` : file.name,
+        size: file.size,
+        type: type,
+        width: width,
+        height: height,
+        src: URL.createObjectURL(displayBlob),
+        displayBlob: displayBlob,
+        decoder: decoder.name,
+        page: index,
+        processed: false,
+        processedSize: null,
+        processedBlob: null,
+        processedSrc: null,
+        addedAt: new Date().toLocaleString()
+      };
       
-    } catch (error) {
-      console.error('Error calculating data URL size:', error);
-      return 0;
+      this.images.push(imageData);
+      this.storageData.originalSize += file.size;
+      this.updateFileTypeStats(type, file.size);
+      added.push(imageData);
+    }
+    
+    return added;
+  }
+
+  validateDimensions(width, height, name) {
+    if (width === 0 || height === 0) {
+      throw new Error(`Érvénytelen képméret: ${name}`);
+    }
+    
+    if (width > 16384 || height > 16384) {
+      throw new Error(`A kép mérete túl nagy: ${name} (${width}×${height}, maximum 16384×16384)`);
+    }
+  }
+
+  // Store a processed output Blob on the image, replacing (and releasing) the previous one
+  setProcessedOutput(image, blob, format, dimensions, encoding = { quality: 1, lossless: true }) {
+    if (image.processedSrc) {
+      URL.revokeObjectURL(image.processedSrc);
+    }
+    if (image.processedSize) {
+      this.storageData.compressedSize -= image.processedSize;
+    }
+    
+    image.processed = true;
+    image.processedBlob = blob;
+    image.processedSrc = URL.createObjectURL(blob);
+    image.processedSize = blob.size;
+    image.processedFormat = format;
+    image.processedDimensions = dimensions;
+    image.processedEncoding = encoding;
+    
+    this.storageData.compressedSize += blob.size;
+    this.persistImage(image);
+  }
+
+  // Back to the original: the card shows the upload again
+  clearProcessedOutput(image) {
+    if (image.processedSrc) {
+      URL.revokeObjectURL(image.processedSrc);
+    }
+    if (image.processedSize) {
+      this.storageData.compressedSize -= image.processedSize;
+    }
+    
+    Object.assign(image, {
+      processed: false,
+      processedBlob: null,
+      processedSrc: null,
+      processedSize: null,
+      processedFormat: null,
+      processedDimensions: null,
+      processedEncoding: null,
+      settings: null
+    });
+    this.persistImage(image);
+  }
+
+  releaseImageUrls(image) {
+    URL.revokeObjectURL(image.src);
+    if (image.processedSrc) {
+      URL.revokeObjectURL(image.processedSrc);
     }
   }
 
@@ -646,23 +1128,33 @@ class ImageFlowApp {
     if (this.images.length === 0) {
       imageGrid.innerHTML = '';
       emptyState.style.display = 'block';
+      this.updatePreviews();
       return;
     }
     
     emptyState.style.display = 'none';
     imageGrid.innerHTML = this.images.map(img => this.createImageCard(img)).join('');
+    this.updatePreviews();
   }
 
   createImageCard(imageData) {
-    const sizeInMB = (imageData.size / (1024 * 1024)).toFixed(2);
-    const processedSizeMB = imageData.processedSize ? 
-      (imageData.processedSize / (1024 * 1024)).toFixed(2) : null;
+    const originalSize = this.formatBytes(imageData.size);
+    const processedSize = imageData.processedSize ? 
+      this.formatBytes(imageData.processedSize) : null;
     
-    const compressionRatio = processedSizeMB ? 
+    const compressionRatio = processedSize ? 
       Math.round((1 - imageData.processedSize / imageData.size) * 100) : 0;
 
     const processingTime = imageData.processingTime ? 
       imageData.processingTime.toFixed(0) : null;
+    
+    // Last settings used for this image (restored from the library)
+    const settings = imageData.settings || {};
+    const cardFormat = settings.format || 'png';
+    const cardEncoding = Imaging.resolveEncoding(cardFormat, settings, this.formatConfigs);
+    const cardModes = this.formatConfigs[cardFormat].modes;
+    const cardDenoise = settings.denoise || {};
+    const cardSharpen = settings.sharpen || { ...Filters.SHARPEN_PRESETS.screen };
 
     return `
       <div class="glass-effect rounded-2xl overflow-hidden hover:scale-105 transition-all duration-300 shadow-lg hover:shadow-2xl animate-fade-in">
@@ -671,6 +1163,12 @@ class ImageFlowApp {
                class="w-full h-full object-cover transition-all duration-500 group-hover:scale-110" 
                loading="lazy">
           
+          <!-- Selection for recipes -->
+          <label class="absolute top-3 left-3 bg-white/90 dark:bg-neutral-800/90 rounded-lg px-2 py-1 shadow-lg cursor-pointer" title="Kijelölés">
+            <input type="checkbox" onchange="app.toggleImageSelection('${imageData.id}')" 
+                   ${this.selectedImages.has(String(imageData.id)) ? 'checked' : ''} class="rounded">
+          </label>
+          
           <!-- Professional Status Badge -->
           ${imageData.processed ? `
             <div class="absolute top-3 right-3 bg-gradient-to-r from-green-500 to-emerald-500 text-white px-3 py-1 rounded-full text-xs font-bold backdrop-blur-sm border border-white/20 shadow-lg">
@@ -710,15 +1208,31 @@ class ImageFlowApp {
             
             <div class="flex justify-between items-center">
               <span class="text-neutral-600 dark:text-neutral-400">Eredeti:</span>
-              <span class="font-medium text-neutral-800 dark:text-neutral-200">${sizeInMB} MB</span>
+              <span class="font-medium text-neutral-800 dark:text-neutral-200">${originalSize}</span>
             </div>
             
-            ${processedSizeMB ? `
+            ${processedSize ? `
               <div class="flex justify-between items-center">
                 <span class="text-neutral-600 dark:text-neutral-400">Feldolgozott:</span>
-                <span class="font-medium text-green-600">${processedSizeMB} MB</span>
+                <span class="font-medium text-green-600">${processedSize}</span>
+              </div>
+              
+              <div class="flex justify-between items-center">
+                <span class="text-neutral-600 dark:text-neutral-400">Kódolás:</span>
+                <span class="font-medium text-neutral-800 dark:text-neutral-200">
+                  ${this.describeEncoding(imageData.processedFormat, imageData.processedEncoding)}
+                </span>
               </div>
               
+              ${imageData.processedEncoding && imageData.processedEncoding.targetSize ? `
+                <div class="flex justify-between items-center">
+                  <span class="text-neutral-600 dark:text-neutral-400">Célméret:</span>
+                  <span class="font-medium ${imageData.processedEncoding.targetMet ? 'text-green-600' : 'text-red-600'}">
+                    ${this.formatBytes(imageData.processedEncoding.targetSize)} ${imageData.processedEncoding.targetMet ? '✓' : '✗ nem teljesült'}
+                  </span>
+                </div>
+              ` : ''}
+              
               ${compressionRatio !== 0 ? `
                 <div class="flex justify-between items-center">
                   <span class="text-neutral-600 dark:text-neutral-400">Megtakarítás:</span>
@@ -733,6 +1247,10 @@ class ImageFlowApp {
                 </div>
               ` : ''}
             ` : ''}
+            
+            ${this.renderMetadataPanel(imageData)}
+            
+            ${this.renderHistoryPanel(imageData)}
           </div>
           
           <!-- Action Buttons -->
@@ -786,35 +1304,110 @@ class ImageFlowApp {
               <div class="grid grid-cols-2 gap-2 mb-2">
                 <div>
                   <label class="text-xs text-neutral-600 dark:text-neutral-400">Szélesség</label>
-                  <input type="number" id="width_${imageData.id}" placeholder="Auto" 
+                  <input type="number" id="width_${imageData.id}" placeholder="Auto" value="${settings.width || ''}"
                          class="w-full px-2 py-1 text-xs border border-neutral-300 dark:border-neutral-600 rounded bg-white dark:bg-neutral-800 text-neutral-800 dark:text-neutral-200">
                 </div>
                 <div>
                   <label class="text-xs text-neutral-600 dark:text-neutral-400">Magasság</label>
-                  <input type="number" id="height_${imageData.id}" placeholder="Auto"
+                  <input type="number" id="height_${imageData.id}" placeholder="Auto" value="${settings.height || ''}"
                          class="w-full px-2 py-1 text-xs border border-neutral-300 dark:border-neutral-600 rounded bg-white dark:bg-neutral-800 text-neutral-800 dark:text-neutral-200">
                 </div>
               </div>
               
+              <div class="grid grid-cols-2 gap-2 mb-2">
+                <div>
+                  <label class="text-xs text-neutral-600 dark:text-neutral-400">Illesztés</label>
+                  <select id="fit_${imageData.id}" class="w-full px-2 py-1 text-xs border border-neutral-300 dark:border-neutral-600 rounded bg-white dark:bg-neutral-800 text-neutral-800 dark:text-neutral-200">
+                    ${this.renderSelectOptions(this.fitOptions, settings.fit || 'inside')}
+                  </select>
+                </div>
+                <div>
+                  <label class="text-xs text-neutral-600 dark:text-neutral-400">Igazítás</label>
+                  <select id="gravity_${imageData.id}" class="w-full px-2 py-1 text-xs border border-neutral-300 dark:border-neutral-600 rounded bg-white dark:bg-neutral-800 text-neutral-800 dark:text-neutral-200">
+                    ${this.renderSelectOptions(this.gravityOptions, settings.gravity || 'center')}
+                  </select>
+                </div>
+              </div>
+              <div class="flex flex-wrap items-center gap-3 mb-2 text-xs text-neutral-600 dark:text-neutral-400">
+                <label class="flex items-center gap-1">
+                  <span>Keret:</span>
+                  <input type="color" id="background_${imageData.id}" value="${settings.background && settings.background !== 'transparent' ? settings.background : '#ffffff'}" class="w-6 h-5 rounded">
+                </label>
+                <label class="flex items-center gap-1">
+                  <input type="checkbox" id="transparent_${imageData.id}" class="rounded" ${settings.background === 'transparent' ? 'checked' : ''}>
+                  <span>Átlátszó</span>
+                </label>
+                <label class="flex items-center gap-1">
+                  <input type="checkbox" id="noUpscale_${imageData.id}" class="rounded" ${settings.withoutEnlargement ? 'checked' : ''}>
+                  <span>Nincs nagyítás</span>
+                </label>
+              </div>
+              
+              <div class="grid grid-cols-2 gap-2 mb-2">
+                <div>
+                  <label class="text-xs text-neutral-600 dark:text-neutral-400">Zajszűrés (előtte)</label>
+                  <div class="flex gap-1">
+                    <select id="denoise_${imageData.id}" class="w-full px-2 py-1 text-xs border border-neutral-300 dark:border-neutral-600 rounded bg-white dark:bg-neutral-800 text-neutral-800 dark:text-neutral-200">
+                      ${this.renderSelectOptions(this.denoiseOptions, cardDenoise.method || '')}
+                    </select>
+                    <select id="denoiseStrength_${imageData.id}" class="px-1 py-1 text-xs border border-neutral-300 dark:border-neutral-600 rounded bg-white dark:bg-neutral-800 text-neutral-800 dark:text-neutral-200">
+                      ${this.renderSelectOptions(this.denoiseStrengths, String(cardDenoise.radius || 1))}
+                    </select>
+                  </div>
+                </div>
+                <div>
+                  <label class="text-xs text-neutral-600 dark:text-neutral-400">Élesítés (utána)</label>
+                  <select id="sharpen_${imageData.id}" onchange="app.applySharpenPreset('${imageData.id}')" class="w-full px-2 py-1 text-xs border border-neutral-300 dark:border-neutral-600 rounded bg-white dark:bg-neutral-800 text-neutral-800 dark:text-neutral-200">
+                    ${this.renderSelectOptions(this.sharpenOptions, cardSharpen.preset || '')}
+                  </select>
+                </div>
+              </div>
+              <div class="grid grid-cols-3 gap-2 mb-2">
+                <input type="number" id="sharpenAmount_${imageData.id}" value="${cardSharpen.amount}" min="0" max="500" title="Élesítés mértéke %" oninput="app.handleSharpenInput('${imageData.id}')" class="w-full px-2 py-1 text-xs border border-neutral-300 dark:border-neutral-600 rounded bg-white dark:bg-neutral-800 text-neutral-800 dark:text-neutral-200">
+                <input type="number" id="sharpenRadius_${imageData.id}" value="${cardSharpen.radius}" min="0.1" max="10" step="0.1" title="Élesítés sugara (px)" oninput="app.handleSharpenInput('${imageData.id}')" class="w-full px-2 py-1 text-xs border border-neutral-300 dark:border-neutral-600 rounded bg-white dark:bg-neutral-800 text-neutral-800 dark:text-neutral-200">
+                <input type="number" id="sharpenThreshold_${imageData.id}" value="${cardSharpen.threshold}" min="0" max="255" title="Élesítés küszöbe" oninput="app.handleSharpenInput('${imageData.id}')" class="w-full px-2 py-1 text-xs border border-neutral-300 dark:border-neutral-600 rounded bg-white dark:bg-neutral-800 text-neutral-800 dark:text-neutral-200">
+              </div>
+              
               <div class="grid grid-cols-2 gap-2 mb-2">
                 <div>
                   <label class="text-xs text-neutral-600 dark:text-neutral-400">Formátum</label>
-                  <select id="format_${imageData.id}" class="w-full px-2 py-1 text-xs border border-neutral-300 dark:border-neutral-600 rounded bg-white dark:bg-neutral-800 text-neutral-800 dark:text-neutral-200">
-                    <option value="png">PNG (Veszteségmentes)</option>
-                    <option value="webp">WebP (Veszteségmentes)</option>
-                    <option value="jpg">JPG (Magas minőség)</option>
-                    <option value="avif">AVIF (Modern)</option>
+                  <select id="format_${imageData.id}" onchange="app.handleQualityFormatChange('${imageData.id}')" class="w-full px-2 py-1 text-xs border border-neutral-300 dark:border-neutral-600 rounded bg-white dark:bg-neutral-800 text-neutral-800 dark:text-neutral-200">
+                    ${this.renderSelectOptions([
+                      ['png', 'PNG'],
+                      ['webp', 'WebP'],
+                      ['jpg', 'JPG'],
+                      ['avif', 'AVIF (Modern)'],
+                      ['tiff', 'TIFF (Nyomdai)']
+                    ], cardFormat)}
                   </select>
                 </div>
                 <div>
                   <label class="text-xs text-neutral-600 dark:text-neutral-400">Algoritmus</label>
                   <select id="algorithm_${imageData.id}" class="w-full px-2 py-1 text-xs border border-neutral-300 dark:border-neutral-600 rounded bg-white dark:bg-neutral-800 text-neutral-800 dark:text-neutral-200">
-                    <option value="lanczos">Lanczos3 (Legjobb)</option>
-                    <option value="bicubic">Bicubic (Professzionális)</option>
-                    <option value="bilinear">Bilinear (Gyors)</option>
-                    <option value="nearest">Nearest (Pixel art)</option>
+                    ${this.renderSelectOptions(this.resizeAlgorithms, settings.algorithm)}
+                  </select>
+                </div>
+              </div>
+              
+              <div class="grid grid-cols-2 gap-2 mb-2">
+                <div>
+                  <label class="text-xs text-neutral-600 dark:text-neutral-400">Mód</label>
+                  <select id="mode_${imageData.id}" onchange="app.handleQualityInput('${imageData.id}')" class="w-full px-2 py-1 text-xs border border-neutral-300 dark:border-neutral-600 rounded bg-white dark:bg-neutral-800 text-neutral-800 dark:text-neutral-200">
+                    <option value="lossless" ${cardEncoding.lossless ? 'selected' : ''} ${cardModes.includes('lossless') ? '' : 'disabled'}>Veszteségmentes</option>
+                    <option value="lossy" ${cardEncoding.lossless ? '' : 'selected'} ${cardModes.includes('lossy') ? '' : 'disabled'}>Veszteséges</option>
                   </select>
                 </div>
+                <div>
+                  <div class="flex justify-between">
+                    <label class="text-xs text-neutral-600 dark:text-neutral-400">Minőség</label>
+                    <span id="qualityValue_${imageData.id}" class="text-xs text-neutral-600 dark:text-neutral-400">
+                      ${cardEncoding.lossless ? '100%' : `${Math.round(cardEncoding.quality * 100)}%`}
+                    </span>
+                  </div>
+                  <input type="range" id="quality_${imageData.id}" min="0" max="100" 
+                         value="${Math.round(cardEncoding.quality * 100)}" ${cardEncoding.lossless ? 'disabled' : ''}
+                         oninput="app.handleQualityInput('${imageData.id}')" class="w-full">
+                </div>
               </div>
               
               <div class="grid grid-cols-2 gap-2">
@@ -836,6 +1429,23 @@ class ImageFlowApp {
                   Csak Konvertál
                 </button>
               </div>
+              
+              <div class="grid grid-cols-2 gap-2 mt-2">
+                <button onclick="app.applyWatermark('${imageData.id}')" 
+                        class="btn btn-secondary btn-sm text-xs" title="A Vízjel panel beállításaival">
+                  Vízjel
+                </button>
+                
+                <button onclick="app.openRedactionEditor('${imageData.id}')" 
+                        class="btn btn-secondary btn-sm text-xs" title="Arcok, rendszámok, adatok elmosása vagy kitakarása">
+                  Kitakarás
+                </button>
+                
+                <button onclick="app.applyAdjustments('${imageData.id}')" 
+                        class="btn btn-secondary btn-sm text-xs col-span-2" title="A Szín- és Tónuskorrekció panel beállításaival">
+                  Színkorrekció
+                </button>
+              </div>
             </div>
             
             <!-- Bottom Row -->
@@ -866,6 +1476,101 @@ class ImageFlowApp {
     `;
   }
 
+  renderSelectOptions(options, selected) {
+    return options.map(([value, label]) => 
+      `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`
+    ).join('');
+  }
+
+  getFitControlIds(scope) {
+    if (scope === 'batch' || scope === 'quick') {
+      return {
+        fit: `${scope}Fit`,
+        gravity: `${scope}Gravity`,
+        background: `${scope}Background`,
+        transparent: `${scope}Transparent`,
+        noUpscale: `${scope}NoUpscale`
+      };
+    }
+    return {
+      fit: `fit_${scope}`,
+      gravity: `gravity_${scope}`,
+      background: `background_${scope}`,
+      transparent: `transparent_${scope}`,
+      noUpscale: `noUpscale_${scope}`
+    };
+  }
+
+  // Fit mode of the batch, quick or card controls; controls a panel lacks keep their defaults
+  getFitSettings(scope) {
+    const ids = this.getFitControlIds(scope);
+    const element = (key) => document.getElementById(ids[key]);
+    
+    return {
+      fit: element('fit') ? element('fit').value : 'inside',
+      gravity: element('gravity') ? element('gravity').value : 'center',
+      background: element('transparent') && element('transparent').checked ? 'transparent' :
+        (element('background') ? element('background').value : 'transparent'),
+      withoutEnlargement: element('noUpscale') ? element('noUpscale').checked : false
+    };
+  }
+
+  getFilterControlIds(scope) {
+    if (scope === 'batch') {
+      return {
+        denoise: 'batchDenoise',
+        strength: 'batchDenoiseStrength',
+        sharpen: 'batchSharpen',
+        amount: 'batchSharpenAmount',
+        radius: 'batchSharpenRadius',
+        threshold: 'batchSharpenThreshold'
+      };
+    }
+    return {
+      denoise: `denoise_${scope}`,
+      strength: `denoiseStrength_${scope}`,
+      sharpen: `sharpen_${scope}`,
+      amount: `sharpenAmount_${scope}`,
+      radius: `sharpenRadius_${scope}`,
+      threshold: `sharpenThreshold_${scope}`
+    };
+  }
+
+  // Denoise and sharpening of the batch or card controls (null when off)
+  getFilterSettings(scope) {
+    const ids = this.getFilterControlIds(scope);
+    const element = (key) => document.getElementById(ids[key]);
+    const number = (key, min, max) => Math.min(max, Math.max(min, parseFloat(element(key).value) || 0));
+    
+    const method = element('denoise') ? element('denoise').value : '';
+    const preset = element('sharpen') ? element('sharpen').value : '';
+    return {
+      denoise: method ? { method, radius: parseInt(element('strength').value) || 1 } : null,
+      sharpen: preset ? {
+        preset,
+        amount: number('amount', 0, 500),
+        radius: number('radius', 0.1, 10),
+        threshold: number('threshold', 0, 255)
+      } : null
+    };
+  }
+
+  // A preset fills in its amount, radius and threshold
+  applySharpenPreset(scope) {
+    const ids = this.getFilterControlIds(scope);
+    const values = Filters.SHARPEN_PRESETS[document.getElementById(ids.sharpen).value];
+    if (!values) return;
+    
+    ['amount', 'radius', 'threshold'].forEach(key => {
+      document.getElementById(ids[key]).value = values[key];
+    });
+  }
+
+  // Editing the values turns sharpening on as a custom setting
+  handleSharpenInput(scope) {
+    document.getElementById(this.getFilterControlIds(scope).sharpen).value = 'custom';
+  }
+
   // Batch processing functions
   async batchResize() {
     if (this.images.length === 0) {
@@ -875,7 +1580,7 @@ class ImageFlowApp {
     
     const width = document.getElementById('batchWidth').value || null;
     const height = document.getElementById('batchHeight').value || null;
-    const format = document.getElementById('batchFormat').value;
+    const encoding = this.getEncodingSettings('batch');
     const algorithm = document.getElementById('batchAlgorithm').value;
     
     if (!width && !height) {
@@ -883,72 +1588,164 @@ class ImageFlowApp {
       return;
     }
     
-    try {
-      this.showProgressModal('Tömeges átméretezés folyamatban...');
-      
-      for (let i = 0; i < this.images.length; i++) {
-        const image = this.images[i];
-        this.updateProgressModal(`Feldolgozás: ${image.name}`, (i / this.images.length) * 100);
-        
-        const settings = {
-          format: format,
-          quality: 1,
-          width: width ? parseInt(width) : null,
-          height: height ? parseInt(height) : null,
-          maintainAspect: true,
-          algorithm: algorithm
-        };
-        
-        this.processingOptions.algorithm = algorithm;
-        await this.processImageWithSettings(image.id, settings);
-      }
-      
-      this.hideProgressModal();
-      this.showNotification(`${this.images.length} kép sikeresen átméretezve!`, 'success');
-      
-    } catch (error) {
-      this.hideProgressModal();
-      console.error('Batch resize failed:', error);
-      this.showNotification('Tömeges átméretezés sikertelen!', 'error');
+    const settings = {
+      ...encoding,
+      width: width ? parseInt(width) : null,
+      height: height ? parseInt(height) : null,
+      ...this.getFitSettings('batch'),
+      ...this.getFilterSettings('batch'),
+      algorithm: algorithm
+    };
+    
+    this.processingOptions.algorithm = algorithm;
+    const { processed } = await this.processBatch(this.images, () => settings, 'Tömeges átméretezés folyamatban...');
+    
+    this.updateStats();
+    this.renderImages();
+    if (processed > 0) {
+      this.showNotification(`${processed} kép sikeresen átméretezve!`, 'success');
     }
   }
   
-  async batchConvert() {
+  async batchTargetSize() {
     if (this.images.length === 0) {
-      this.showNotification('Nincs feltöltött kép a konvertáláshoz!', 'warning');
+      this.showNotification('Nincs feltöltött kép a feldolgozáshoz!', 'warning');
+      return;
+    }
+    
+    const targetKB = parseFloat(document.getElementById('batchTargetSize').value);
+    if (!targetKB || targetKB <= 0) {
+      this.showNotification('Adjon meg egy érvényes célméretet (KB)!', 'warning');
       return;
     }
     
-    const format = document.getElementById('batchFormat').value;
+    const width = document.getElementById('batchWidth').value || null;
+    const height = document.getElementById('batchHeight').value || null;
     const algorithm = document.getElementById('batchAlgorithm').value;
     
+    const settings = {
+      ...this.getEncodingSettings('batch'),
+      width: width ? parseInt(width) : null,
+      height: height ? parseInt(height) : null,
+      ...this.getFitSettings('batch'),
+      ...this.getFilterSettings('batch'),
+      algorithm: algorithm,
+      targetSize: Math.round(targetKB * 1024),
+      allowDownscale: document.getElementById('batchAllowDownscale').checked
+    };
+    
+    this.processingOptions.algorithm = algorithm;
+    const { processed } = await this.processBatch(this.images, () => settings, 'Tömörítés célméretre...');
+    
+    // Images whose best attempt is still over the budget
+    const missed = this.images.filter(img => img.settings === settings &&
+      img.processedEncoding && img.processedEncoding.targetMet === false);
+    
+    this.updateStats();
+    this.renderImages();
+    if (missed.length > 0) {
+      this.showNotification(`${missed.length} kép nem érte el a ${targetKB} KB célméretet: ${missed.map(img => img.name).join(', ')}`, 'warning');
+    } else if (processed > 0) {
+      this.showNotification(`${processed} kép sikeresen tömörítve ${targetKB} KB alá!`, 'success');
+    }
+  }
+  
+  updatePngOptions() {
+    const config = this.formatConfigs.png;
+    config.colorType = document.getElementById('pngColorType').value;
+    config.palette = parseInt(document.getElementById('pngPalette').value, 10);
+    config.quantizer = document.getElementById('pngQuantizer').value;
+    config.dither = document.getElementById('pngDither').checked;
+    config.compression = document.getElementById('pngCompression').value;
+  }
+  
+  updateTiffOptions() {
+    this.formatConfigs.tiff.compression = document.getElementById('tiffCompression').value;
+    this.formatConfigs.tiff.bitDepth = parseInt(document.getElementById('tiffBitDepth').value, 10);
+  }
+  
+  // All images as the pages of one multi-page TIFF
+  async exportTiffDocument() {
+    if (this.images.length === 0) {
+      this.showNotification('Nincs kép a dokumentumhoz!', 'warning');
+      return;
+    }
+    
+    const images = [...this.images];
+    const config = this.formatConfigs.tiff;
+    const prepare = async () => {
+      const bitmaps = [];
+      for (const image of images) {
+        bitmaps.push(await this.createPageBitmap(image));
+      }
+      return { message: { type: 'tiff-document', bitmaps, config }, transfer: bitmaps };
+    };
+    const onProgress = (progress) => this.updateProgress(progress * images.length, images.length);
+    
+    this.showProgress(true, 'TIFF dokumentum készítése...', images.length);
+    
     try {
-      this.showProgressModal('Tömeges formátum váltás folyamatban...');
-      
-      for (let i = 0; i < this.images.length; i++) {
-        const image = this.images[i];
-        this.updateProgressModal(`Konvertálás: ${image.name}`, (i / this.images.length) * 100);
-        
-        const settings = {
-          format: format,
-          quality: 1,
-          width: null, // No resizing, just format conversion
-          height: null,
-          maintainAspect: true,
-          algorithm: algorithm
-        };
-        
-        this.processingOptions.algorithm = algorithm;
-        await this.processImageWithSettings(image.id, settings);
+      let blob;
+      if (this.workerPool) {
+        blob = await this.workerPool.run(prepare, onProgress);
+      } else {
+        const { message } = await prepare();
+        try {
+          blob = await Imaging.encodeTiffDocument(message.bitmaps, config, onProgress);
+        } finally {
+          message.bitmaps.forEach(bitmap => bitmap.close());
+        }
       }
       
-      this.hideProgressModal();
-      this.showNotification(`${this.images.length} kép sikeresen konvertálva ${format.toUpperCase()} formátumba!`, 'success');
-      
+      this.downloadBlob(blob, `imageflow_document_${new Date().toISOString().split('T')[0]}.tiff`);
+      this.hideProgress();
+      this.showNotification(`${images.length} oldalas TIFF dokumentum letöltve!`, 'success');
     } catch (error) {
-      this.hideProgressModal();
-      console.error('Batch convert failed:', error);
-      this.showNotification('Tömeges formátum váltás sikertelen!', 'error');
+      console.error('TIFF document export failed:', error);
+      this.hideProgress();
+      this.showNotification('TIFF dokumentum létrehozása sikertelen!', 'error');
+    }
+  }
+  
+  // Pages use the processed output whenever the browser can decode it
+  async createPageBitmap(image) {
+    if (!image.processedBlob) {
+      return this.createSourceBitmap(image);
+    }
+    
+    try {
+      return await createImageBitmap(image.processedBlob);
+    } catch (error) {
+      // e.g. TIFF outputs
+      return ImageDecoders.decodeToBitmap(image.processedBlob, { name: `output.${image.processedFormat}` });
+    }
+  }
+  
+  async batchConvert() {
+    if (this.images.length === 0) {
+      this.showNotification('Nincs feltöltött kép a konvertáláshoz!', 'warning');
+      return;
+    }
+    
+    const encoding = this.getEncodingSettings('batch');
+    const algorithm = document.getElementById('batchAlgorithm').value;
+    
+    const settings = {
+      ...encoding,
+      width: null, // No resizing, just format conversion
+      height: null,
+      maintainAspect: true,
+      ...this.getFilterSettings('batch'),
+      algorithm: algorithm
+    };
+    
+    this.processingOptions.algorithm = algorithm;
+    const { processed } = await this.processBatch(this.images, () => settings, 'Tömeges formátum váltás folyamatban...');
+    
+    this.updateStats();
+    this.renderImages();
+    if (processed > 0) {
+      this.showNotification(`${processed} kép sikeresen konvertálva ${encoding.format.toUpperCase()} formátumba!`, 'success');
     }
   }
   
@@ -968,27 +1765,16 @@ class ImageFlowApp {
       this.showProgressModal('ZIP fájl létrehozása...');
       
       const zip = new JSZip();
-      const format = document.getElementById('batchFormat').value;
       
       for (let i = 0; i < this.images.length; i++) {
         const image = this.images[i];
         this.updateProgressModal(`ZIP-be csomagolás: ${image.name}`, (i / this.images.length) * 50);
         
-        let imageData;
-        if (image.processed && image.processedSrc) {
-          // Use processed version if available
-          imageData = image.processedSrc;
-        } else {
-          // Use original
-          imageData = image.src;
-        }
-        
-        // Convert data URL to blob
-        const response = await fetch(imageData);
-        const blob = await response.blob();
+        // Use processed version if available, otherwise the original
+        const blob = image.processedBlob || image.file;
         
         // Add to ZIP with new name
-        const extension = format || image.file.type.split('/')[1];
+        const extension = image.processedFormat || image.name.split('.').pop();
         const filename = `${image.name.split('.')[0]}_processed.${extension}`;
         zip.file(filename, blob);
       }
@@ -999,12 +1785,7 @@ class ImageFlowApp {
       const content = await zip.generateAsync({type: 'blob'});
       
       // Download ZIP
-      const link = document.createElement('a');
-      link.href = URL.createObjectURL(content);
-      link.download = `imageflow_batch_${new Date().toISOString().split('T')[0]}.zip`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      this.downloadBlob(content, `imageflow_batch_${new Date().toISOString().split('T')[0]}.zip`);
       
       this.hideProgressModal();
       this.showNotification(`${this.images.length} kép sikeresen letöltve ZIP fájlban!`, 'success');
@@ -1016,19 +1797,134 @@ class ImageFlowApp {
     }
   }
   
+  // Responsive export: every image (with its edits) at several widths and in
+  // AVIF/WebP/JPEG, zipped as images/<name>-<width>.<ext> together with
+  // <picture> snippets (snippets.html) and a manifest of the files (manifest.json)
+  async exportResponsiveSet() {
+    if (this.images.length === 0) {
+      this.showNotification('Nincs kép az exportáláshoz!', 'warning');
+      return;
+    }
+    if (!window.JSZip) {
+      this.showNotification('ZIP funkció nem elérhető!', 'error');
+      return;
+    }
+    
+    const widths = document.getElementById('responsiveWidths').value
+      .split(/[\s,;]+/).map(value => parseInt(value)).filter(value => value > 0);
+    const quality = Math.min(100, Math.max(1, parseInt(document.getElementById('responsiveQuality').value) || 80)) / 100;
+    // Most efficient first: browsers take the first <source> they support, JPEG is the <img> fallback
+    const formats = [['avif', 'responsiveAvif'], ['webp', 'responsiveWebp'], ['jpg', 'responsiveJpg']]
+      .filter(([, id]) => document.getElementById(id).checked)
+      .map(([format]) => ({ format, quality, lossless: false }));
+    const sizes = this.escapeHtml(document.getElementById('responsiveSizes').value.trim() || '100vw');
+    
+    if (widths.length === 0 || formats.length === 0) {
+      this.showNotification('Adjon meg legalább egy szélességet és formátumot!', 'warning');
+      return;
+    }
+    
+    const results = new Map();
+    const { processed } = await this.processBatch(this.images, () => null, 'Reszponzív képek készítése...',
+      async (image, settings, onProgress) => {
+        const steps = this.getActiveSteps(image);
+        const options = this.getWorkerOptions({}, image);
+        results.set(image.id, await this.runOnSource(image, { type: 'responsive', steps, widths, formats, options },
+          (bitmap) => Pipeline.runVariants(bitmap, steps, widths, formats, options, onProgress), onProgress));
+      });
+    if (processed === 0) return;
+    
+    try {
+      this.showProgressModal('ZIP fájl létrehozása...');
+      
+      const zip = new JSZip();
+      const manifest = { generated: new Date().toISOString(), widths, formats: formats.map(spec => spec.format), sizes, images: [] };
+      const snippets = [];
+      const usedNames = new Set();
+      const skipped = new Set();
+      
+      this.images.filter(image => results.has(image.id)).forEach(image => {
+        const result = results.get(image.id);
+        result.skipped.forEach(format => skipped.add(format));
+        
+        const base = this.getResponsiveBaseName(image.name, usedNames);
+        const files = result.variants.map(variant => {
+          const file = `images/${base}-${variant.width}.${variant.format}`;
+          zip.file(file, variant.blob);
+          return { file, format: variant.format, width: variant.width, height: variant.height, bytes: variant.size };
+        });
+        
+        manifest.images.push({ name: image.name, base, width: result.width, height: result.height, variants: files });
+        snippets.push(`<!-- ${image.name} -->\n${this.buildPictureMarkup(files, sizes)}`);
+      });
+      
+      zip.file('snippets.html', snippets.join('\n\n') + '\n');
+      zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+      
+      this.updateProgressModal('ZIP fájl generálása...', 75);
+      const content = await zip.generateAsync({ type: 'blob' });
+      this.downloadBlob(content, `imageflow_responsive_${new Date().toISOString().split('T')[0]}.zip`);
+      
+      this.hideProgressModal();
+      this.showNotification(`${processed} kép reszponzív csomagja letöltve!`, 'success');
+      if (skipped.size > 0) {
+        this.showNotification(`A böngésző nem tud ${[...skipped].join(', ').toUpperCase()} formátumot kódolni, kihagyva`, 'warning');
+      }
+    } catch (error) {
+      this.hideProgressModal();
+      console.error('Responsive export failed:', error);
+      this.showNotification('Reszponzív export sikertelen!', 'error');
+    }
+  }
+  
+  // URL-safe, unique file name stem ("Nyári fotó (2).JPG" → "nyari-foto-2")
+  getResponsiveBaseName(name, usedNames) {
+    const stem = name.replace(/\.[^.]+$/, '')
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'image';
+    
+    let base = stem;
+    for (let i = 2; usedNames.has(base); i++) {
+      base = `${stem}-${i}`;
+    }
+    usedNames.add(base);
+    return base;
+  }
+  
+  // <picture> with one <source> per modern format and the last format as the <img> fallback
+  buildPictureMarkup(files, sizes) {
+    const formats = [...new Set(files.map(file => file.format))];
+    if (formats.length === 0) return '';
+    
+    const srcset = (format) => files.filter(file => file.format === format)
+      .map(file => `${file.file} ${file.width}w`).join(', ');
+    const fallbackFormat = formats[formats.length - 1];
+    const largest = files.filter(file => file.format === fallbackFormat).pop();
+    const types = { avif: 'image/avif', webp: 'image/webp', jpg: 'image/jpeg', png: 'image/png' };
+    
+    return [
+      '<picture>',
+      ...formats.slice(0, -1).map(format => `  <source type="${types[format]}" srcset="${srcset(format)}" sizes="${sizes}">`),
+      `  <img src="${largest.file}" srcset="${srcset(fallbackFormat)}" sizes="${sizes}" width="${largest.width}" height="${largest.height}" alt="" loading="lazy" decoding="async">`,
+      '</picture>'
+    ].join('\n');
+  }
+  
   // Apply quick preset to batch controls
   applyBatchPreset(preset) {
     const presets = {
-      thumbnail: { width: 300, height: 300 },
-      social: { width: 1080, height: 1080 },
-      web: { width: 1920, height: 1080 },
-      hd: { width: 1280, height: 720 }
+      thumbnail: { width: 300, height: 300, fit: 'cover', gravity: 'smart' },
+      social: { width: 1080, height: 1080, fit: 'cover', gravity: 'smart' },
+      web: { width: 1920, height: 1080, fit: 'inside', gravity: 'center' },
+      hd: { width: 1280, height: 720, fit: 'cover', gravity: 'center' }
     };
     
     const settings = presets[preset];
     if (settings) {
       document.getElementById('batchWidth').value = settings.width;
       document.getElementById('batchHeight').value = settings.height;
+      document.getElementById('batchFit').value = settings.fit;
+      document.getElementById('batchGravity').value = settings.gravity;
       this.showNotification(`${preset.toUpperCase()} preset alkalmazva!`, 'success');
     }
   }
@@ -1039,41 +1935,46 @@ class ImageFlowApp {
       thumbnail: { 
         width: 300, 
         height: 300, 
-        quality: 1, 
+        quality: 100, 
+        lossless: true,
         format: 'webp',
-        maintainAspect: true,
+        fit: 'cover',
         algorithm: 'lanczos'
       },
       social: { 
         width: 1200, 
         height: 1200, 
-        quality: 1, 
+        quality: 100, 
+        lossless: true,
         format: 'webp',
-        maintainAspect: true,
+        fit: 'cover',
         algorithm: 'lanczos'
       },
       web: { 
         width: 800, 
         height: null, 
-        quality: 1, 
+        quality: 100, 
+        lossless: true,
         format: 'webp',
-        maintainAspect: true,
+        fit: 'inside',
         algorithm: 'lanczos'
       },
       print: {
         width: null,
         height: null,
-        quality: 1,
+        quality: 100,
+        lossless: true,
         format: 'png',
-        maintainAspect: true,
+        fit: 'inside',
         algorithm: 'lanczos'
       },
       mobile: {
         width: 480,
         height: null,
-        quality: 1,
+        quality: 100,
+        lossless: true,
         format: 'webp',
-        maintainAspect: true,
+        fit: 'inside',
         algorithm: 'lanczos'
       }
     };
@@ -1081,11 +1982,14 @@ class ImageFlowApp {
     const config = presets[preset];
     if (!config) return;
     
-    document.getElementById('customWidth').value = config.width;
+    document.getElementById('customWidth').value = config.width || '';
     document.getElementById('customHeight').value = config.height || '';
-    // Quality is always lossless (100%)
-    document.getElementById('qualityValue').textContent = `${config.quality}%`;
+    document.getElementById('quickFit').value = config.fit;
     document.getElementById('quickFormat').value = config.format;
+    this.handleQualityFormatChange('quick');
+    document.getElementById('quickMode').value = config.lossless ? 'lossless' : 'lossy';
+    document.getElementById('quickQuality').value = config.quality;
+    this.handleQualityInput('quick');
     
     this.showNotification(`${preset.toUpperCase()} preset alkalmazva`, 'info');
   }
@@ -1096,17 +2000,10 @@ class ImageFlowApp {
       return;
     }
     
-    const format = document.getElementById('quickFormat').value;
-    const quality = 1; // Always lossless quality
-    
-    this.showProgress(true, 'Gyors feldolgozás...', this.images.length);
+    const encoding = this.getEncodingSettings('quick');
     
-    for (let i = 0; i < this.images.length; i++) {
-      await this.processImageWithSettings(this.images[i].id, { format, quality });
-      this.updateProgress(i + 1, this.images.length);
-    }
+    await this.processBatch(this.images, () => ({ ...encoding }), 'Gyors feldolgozás...');
     
-    this.hideProgress();
     this.updateStats();
     this.renderImages();
     this.showNotification('Gyors feldolgozás befejezve!', 'success');
@@ -1118,35 +2015,74 @@ class ImageFlowApp {
       return;
     }
     
-    const format = document.getElementById('quickFormat').value;
-    const quality = 1; // Always lossless quality
+    const encoding = this.getEncodingSettings('quick');
     const width = parseInt(document.getElementById('customWidth').value) || null;
     const height = parseInt(document.getElementById('customHeight').value) || null;
-    const maintainAspect = document.getElementById('maintainAspect').checked;
+    const fit = this.getFitSettings('quick');
     
-    this.showProgress(true, 'Batch feldolgozás...', this.images.length);
+    await this.processBatch(this.images, () => ({
+      ...encoding, width, height, ...fit
+    }), 'Batch feldolgozás...');
     
-    for (let i = 0; i < this.images.length; i++) {
-      await this.processImageWithSettings(this.images[i].id, { 
-        format, quality, width, height, maintainAspect 
-      });
-      this.updateProgress(i + 1, this.images.length);
-    }
-    
-    this.hideProgress();
     this.updateStats();
     this.renderImages();
     this.showNotification('Batch feldolgozás befejezve!', 'success');
   }
 
+  // Process a set of images in parallel on the worker pool (sequentially on the
+  // main thread when workers are unavailable), reporting per-image progress.
+  // `process` defaults to a plain resize/encode (recipes pass processRecipe).
+  async processBatch(images, getSettings, title, process = (image, settings, onProgress) => this.processImageLossless(image, settings, onProgress)) {
+    const total = images.length;
+    const inFlight = new Map();
+    let completed = 0;
+    let failed = 0;
+    
+    const reportProgress = () => {
+      let partial = 0;
+      inFlight.forEach(progress => { partial += progress; });
+      this.updateProgress(completed + partial, total);
+    };
+    
+    const processOne = async (image) => {
+      try {
+        await process(image, getSettings(image), (progress) => {
+          inFlight.set(image.id, progress);
+          reportProgress();
+        });
+      } catch (error) {
+        console.error(`Failed to process ${image.name}:`, error);
+        failed++;
+      } finally {
+        inFlight.delete(image.id);
+        completed++;
+        reportProgress();
+      }
+    };
+    
+    this.showProgress(true, title, total);
+    
+    if (this.workerPool) {
+      await Promise.all(images.map(processOne));
+    } else {
+      for (const image of images) {
+        await processOne(image);
+      }
+    }
+    
+    this.hideProgress();
+    
+    if (failed > 0) {
+      this.showNotification(`${failed} kép feldolgozása sikertelen!`, 'error');
+    }
+    return { processed: total - failed, failed };
+  }
+
   async processImage(imageId) {
     const image = this.images.find(img => img.id == imageId);
     if (!image) return;
     
-    const format = document.getElementById('quickFormat').value;
-    const quality = 1; // Always lossless quality
-    
-    await this.processImageWithSettings(imageId, { format, quality });
+    await this.processImageWithSettings(imageId, this.getEncodingSettings('quick'));
     this.updateStats();
     this.renderImages();
     this.showNotification('Kép feldolgozva!', 'success');
@@ -1165,325 +2101,672 @@ class ImageFlowApp {
     }
   }
 
-  async processImageLossless(image, settings) {
-    const startTime = performance.now();
-    
-    return new Promise(async (resolve, reject) => {
-      try {
-        const img = new Image();
-        img.crossOrigin = 'anonymous';
-        
-        img.onload = async () => {
-          try {
-            const processedData = await this.applyLosslessProcessing(img, settings);
-            
-            // Update image data with processed result
-            image.processed = true;
-            image.processedSrc = processedData.dataUrl;
-            image.processedSize = processedData.size;
-            image.processedFormat = settings.format;
-            image.processedDimensions = processedData.dimensions;
-            image.processingTime = performance.now() - startTime;
-            
-            // Update statistics
-            this.storageData.compressedSize += processedData.size;
-            this.processingStats.totalProcessed++;
-            this.processingStats.timeSaved += image.processingTime;
-            
-            console.log(`Lossless processing completed in ${image.processingTime.toFixed(2)}ms`);
-            resolve(processedData);
-            
-          } catch (processingError) {
-            console.error('Lossless processing error:', processingError);
-            reject(processingError);
-          }
-        };
-        
-        img.onerror = (error) => {
-          console.error('Image loading error:', error);
-          reject(new Error('Failed to load image for processing'));
-        };
-        
-        img.src = image.src;
-        
-      } catch (error) {
-        console.error('Setup error:', error);
-        reject(error);
-      }
-    });
+  // Resize/encode as a new history entry, rendered from the original
+  async processImageLossless(image, settings, onProgress = () => {}) {
+    const processedData = await this.recordEdit(image, {
+      label: this.describeSettings(settings),
+      steps: this.settingsToSteps(settings),
+      settings
+    }, onProgress);
+    
+    // Update statistics
+    this.processingStats.totalProcessed++;
+    this.processingStats.timeSaved += image.processingTime;
+    
+    console.log(`Lossless processing completed in ${image.processingTime.toFixed(2)}ms`);
+    return processedData;
   }
 
-  async applyLosslessProcessing(sourceImg, settings) {
-    const { format, quality = 1, width, height, maintainAspect = true } = settings;
-    
-    // Calculate target dimensions
-    let targetWidth = width || sourceImg.naturalWidth;
-    let targetHeight = height || sourceImg.naturalHeight;
-    
-    if ((width || height) && maintainAspect) {
-      const aspectRatio = sourceImg.naturalWidth / sourceImg.naturalHeight;
-      if (width && !height) {
-        targetHeight = Math.round(width / aspectRatio);
-      } else if (height && !width) {
-        targetWidth = Math.round(height * aspectRatio);
-      }
+  // Run a job on the decoded original: in a worker when the pool exists (the
+  // bitmap is added to `message`), otherwise through `runLocally` on this thread
+  async runOnSource(image, message, runLocally, onProgress) {
+    if (this.workerPool) {
+      return this.workerPool.run(async () => {
+        const bitmap = await this.createSourceBitmap(image);
+        return { message: { ...message, bitmap }, transfer: [bitmap] };
+      }, onProgress);
     }
     
-    // Create high-quality canvas for processing
-    const canvas = this.createHighQualityCanvas(targetWidth, targetHeight);
-    const ctx = canvas.getContext('2d');
-    
-    // Apply advanced resampling if resizing is needed
-    if (targetWidth !== sourceImg.naturalWidth || targetHeight !== sourceImg.naturalHeight) {
-      await this.resizeWithAdvancedAlgorithm(sourceImg, canvas, this.processingOptions.algorithm);
-    } else {
-      // Direct copy for format conversion only
-      ctx.drawImage(sourceImg, 0, 0);
+    const bitmap = await this.createSourceBitmap(image);
+    try {
+      return await runLocally(bitmap);
+    } finally {
+      bitmap.close();
     }
-    
-    // Apply format-specific optimizations
-    const optimizedDataUrl = await this.applyFormatOptimization(canvas, format, quality);
-    
-    // Calculate actual file size
-    const base64Length = optimizedDataUrl.split(',')[1].length;
-    const actualSize = Math.round(base64Length * 0.75);
-    
-    return {
-      dataUrl: optimizedDataUrl,
-      size: actualSize,
-      dimensions: { width: targetWidth, height: targetHeight },
-      format: format
-    };
   }
 
-  createHighQualityCanvas(width, height) {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    
-    canvas.width = width;
-    canvas.height = height;
-    
-    // Enable high-quality rendering
-    ctx.imageSmoothingEnabled = true;
-    ctx.imageSmoothingQuality = 'high';
+  // A recipe is one history entry, whatever the number of its steps
+  async processRecipe(image, steps, onProgress = () => {}, label = 'Recept') {
+    const processedData = await this.recordEdit(image, { label, steps }, onProgress);
     
-    // Set optimal pixel density
-    const devicePixelRatio = window.devicePixelRatio || 1;
-    if (devicePixelRatio > 1) {
-      const scaledWidth = width * devicePixelRatio;
-      const scaledHeight = height * devicePixelRatio;
-      
-      canvas.style.width = width + 'px';
-      canvas.style.height = height + 'px';
-      canvas.width = scaledWidth;
-      canvas.height = scaledHeight;
-      
-      ctx.scale(devicePixelRatio, devicePixelRatio);
-    }
-    
-    return canvas;
+    this.processingStats.totalProcessed++;
+    this.processingStats.timeSaved += image.processingTime;
+    return processedData;
   }
 
-  async resizeWithAdvancedAlgorithm(sourceImg, targetCanvas, algorithm = 'lanczos') {
-    // Check if Pica is available
-    if (!window.pica) {
-      console.warn('Pica.js not available, falling back to canvas resize');
-      return this.fallbackCanvasResize(sourceImg, targetCanvas);
+  // Render the upright original through pipeline steps (see pipeline.js)
+  renderSteps(image, steps, onProgress = () => {}) {
+    const options = this.getWorkerOptions({}, image);
+    return this.runOnSource(image, { type: 'pipeline', steps, options },
+      (bitmap) => Pipeline.run(bitmap, steps, options, onProgress), onProgress);
+  }
+
+  // Resize/encode settings of the batch and card controls as pipeline steps
+  settingsToSteps(settings) {
+    const { width = null, height = null, fit = 'inside', gravity, background, withoutEnlargement, algorithm } = settings;
+    const { format, quality, lossless, targetSize, allowDownscale } = settings;
+    
+    const steps = [];
+    if (settings.denoise) {
+      steps.push({ type: 'denoise', ...settings.denoise });
     }
-    
-    const pica = window.pica();
-    
-    // Create source canvas
-    const sourceCanvas = document.createElement('canvas');
-    const sourceCtx = sourceCanvas.getContext('2d');
-    sourceCanvas.width = sourceImg.naturalWidth;
-    sourceCanvas.height = sourceImg.naturalHeight;
-    
-    // Draw source image with high quality
-    sourceCtx.imageSmoothingEnabled = true;
-    sourceCtx.imageSmoothingQuality = 'high';
-    sourceCtx.drawImage(sourceImg, 0, 0);
-    
-    // Configure Pica options for maximum quality
-    const resizeOptions = {
-      quality: 3, // Maximum quality (0-3)
-      alpha: true,
-      unsharpAmount: this.processingOptions.enableSharpening ? 80 : 0,
-      unsharpRadius: 0.6,
-      unsharpThreshold: 2
-    };
-    
-    // Apply advanced resampling algorithm
-    switch (algorithm) {
-      case 'lanczos':
-        resizeOptions.filter = 'lanczos3';
-        break;
-      case 'bicubic':
-        resizeOptions.filter = 'catrom';
-        break;
-      case 'bilinear':
-        resizeOptions.filter = 'linear';
-        break;
-      case 'nearest':
-        resizeOptions.filter = 'box';
-        break;
-      default:
-        resizeOptions.filter = 'lanczos3';
+    if (width || height) {
+      steps.push({ type: 'resize', width, height, fit, gravity, background, withoutEnlargement, algorithm });
     }
-    
-    try {
-      await pica.resize(sourceCanvas, targetCanvas, resizeOptions);
-    } catch (error) {
-      console.warn('Pica resize failed, falling back to canvas resize:', error);
-      
-      // Fallback to high-quality canvas resize
-      const ctx = targetCanvas.getContext('2d');
-      ctx.imageSmoothingEnabled = true;
-      ctx.imageSmoothingQuality = 'high';
-      ctx.drawImage(sourceCanvas, 0, 0, targetCanvas.width, targetCanvas.height);
+    if (settings.sharpen) {
+      const { amount, radius, threshold } = settings.sharpen;
+      steps.push({ type: 'sharpen', amount, radius, threshold });
     }
+    steps.push({ type: 'encode', format, quality, lossless, targetSize, allowDownscale });
+    return steps;
   }
 
-  fallbackCanvasResize(sourceImg, targetCanvas) {
-    const ctx = targetCanvas.getContext('2d');
-    ctx.imageSmoothingEnabled = true;
-    ctx.imageSmoothingQuality = 'high';
-    ctx.drawImage(sourceImg, 0, 0, targetCanvas.width, targetCanvas.height);
-    return Promise.resolve();
+  describeSettings(settings) {
+    const format = (settings.format || 'png').toUpperCase();
+    const size = settings.width || settings.height ?
+      `Átméretezés ${settings.width || 'auto'}×${settings.height || 'auto'} → ${format}` : `Konvertálás → ${format}`;
+    const fit = settings.width && settings.height && settings.fit && settings.fit !== 'inside' ? ` (${settings.fit})` : '';
+    const filters = [settings.denoise ? 'zajszűrés' : '', settings.sharpen ? 'élesítés' : ''].filter(Boolean);
+    const label = size + fit + (filters.length ? `, ${filters.join(', ')}` : '');
+    return settings.targetSize ? `${label} (${this.formatBytes(settings.targetSize)})` : label;
   }
 
-  async applyFormatOptimization(canvas, format, quality = 1) {
-    const formatConfig = this.formatConfigs[format] || this.formatConfigs['png'];
-    
-    switch (format) {
-      case 'webp':
-        return this.optimizeWebP(canvas, formatConfig, quality);
-      case 'png':
-        return this.optimizePNG(canvas, formatConfig);
-      case 'avif':
-        return this.optimizeAVIF(canvas, formatConfig, quality);
-      case 'tiff':
-        return this.optimizeTIFF(canvas, formatConfig);
-      case 'jpg':
-      case 'jpeg':
-        return this.optimizeJPEG(canvas, formatConfig, quality);
-      default:
-        return canvas.toDataURL(`image/${format}`, quality);
+  // Edit history: every edit is an operation ({ label, steps, settings }) and
+  // the output is always re-rendered from the original plus the active ones.
+  // `position` is the number of active operations; the rest can be redone.
+  getHistory(image) {
+    if (!image.history) {
+      image.history = { operations: [], position: 0 };
     }
+    return image.history;
   }
 
-  optimizeWebP(canvas, config, quality) {
-    if (config.lossless) {
-      // Force lossless WebP
-      return canvas.toDataURL('image/webp', 1.0);
-    }
-    return canvas.toDataURL('image/webp', quality);
+  getActiveSteps(image) {
+    const history = this.getHistory(image);
+    return history.operations.slice(0, history.position).flatMap(operation => operation.steps);
   }
 
-  optimizePNG(canvas, config) {
-    // PNG is inherently lossless
-    return canvas.toDataURL('image/png');
+  // Add an operation after the active ones (dropping the undone ones)
+  recordEdit(image, operation, onProgress = () => {}) {
+    const history = this.getHistory(image);
+    const operations = [...history.operations.slice(0, history.position), operation];
+    return this.renderHistory(image, { operations, position: operations.length }, onProgress);
   }
 
-  optimizeAVIF(canvas, config, quality) {
-    // AVIF lossless mode (if supported by browser)
-    if (config.lossless) {
-      return canvas.toDataURL('image/avif', 1.0);
+  // Render a history state; it only becomes the image's history once it rendered
+  async renderHistory(image, history, onProgress = () => {}) {
+    const active = history.operations.slice(0, history.position);
+    this.lastEditedImageId = image.id;
+    
+    if (active.length === 0) {
+      image.history = history;
+      this.clearProcessedOutput(image);
+      return null;
     }
-    return canvas.toDataURL('image/avif', quality);
-  }
-
-  optimizeTIFF(canvas, config) {
-    // TIFF support is limited in browsers, fallback to PNG
-    console.warn('TIFF format not fully supported, using PNG instead');
-    return canvas.toDataURL('image/png');
-  }
-
-  optimizeJPEG(canvas, config, quality) {
-    // JPEG with high quality settings
-    const jpegQuality = Math.max(0.85, quality); // Never go below 85% for quality
-    return canvas.toDataURL('image/jpeg', jpegQuality);
+    
+    const startTime = performance.now();
+    const processedData = await this.renderSteps(image, active.flatMap(operation => operation.steps), onProgress);
+    
+    const withSettings = active.filter(operation => operation.settings);
+    image.history = history;
+    image.settings = withSettings.length > 0 ? withSettings[withSettings.length - 1].settings : null;
+    image.processingTime = performance.now() - startTime;
+    this.setProcessedOutput(image, processedData.blob, processedData.format, processedData.dimensions, processedData.encoding);
+    return processedData;
   }
 
-  // Simple download without processing
-  async downloadOriginal(imageId) {
+  async jumpToHistory(imageId, position) {
     const image = this.images.find(img => img.id == imageId);
     if (!image) return;
     
+    const history = this.getHistory(image);
+    const target = Math.min(Math.max(0, position), history.operations.length);
+    if (target === history.position) return;
+    
     try {
-      // Create download link for original image
-      const link = document.createElement('a');
-      link.download = `original_${image.name}`;
-      link.href = image.src;
-      
-      // Trigger download
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      
-      this.showNotification('Eredeti kép letöltve!', 'success');
-      
+      await this.renderHistory(image, { operations: history.operations, position: target });
+      this.updateStats();
+      this.renderImages();
     } catch (error) {
-      console.error('Download failed:', error);
-      this.showNotification('Letöltés sikertelen!', 'error');
+      console.error('Failed to restore edit history:', error);
+      this.showNotification('Az előzmény visszaállítása sikertelen!', 'error');
     }
   }
 
-  // Format conversion without resizing
-  async convertFormat(imageId, targetFormat) {
+  undoEdit(imageId = this.lastEditedImageId) {
     const image = this.images.find(img => img.id == imageId);
-    if (!image) return;
-    
-    try {
-      const settings = {
-        format: targetFormat,
-        quality: 1, // Maximum quality
-        width: null,
-        height: null,
-        maintainAspect: true
-      };
-      
-      await this.processImageWithSettings(imageId, settings);
-      this.showNotification(`Kép konvertálva ${targetFormat.toUpperCase()} formátumba!`, 'success');
-      
-    } catch (error) {
-      console.error('Format conversion failed:', error);
-      this.showNotification('Formátum konverzió sikertelen!', 'error');
+    if (!image || this.getHistory(image).position === 0) {
+      this.showNotification('Nincs visszavonható művelet', 'info');
+      return;
     }
+    return this.jumpToHistory(image.id, image.history.position - 1);
   }
-  
-  // Individual image processing with custom settings
-  async processIndividualImage(imageId) {
+
+  redoEdit(imageId = this.lastEditedImageId) {
     const image = this.images.find(img => img.id == imageId);
-    if (!image) return;
-    
-    try {
-      const width = document.getElementById(`width_${imageId}`).value || null;
-      const height = document.getElementById(`height_${imageId}`).value || null;
-      const format = document.getElementById(`format_${imageId}`).value;
-      const algorithm = document.getElementById(`algorithm_${imageId}`).value;
-      
-      const settings = {
-        format: format,
-        quality: 1, // Lossless quality
-        width: width ? parseInt(width) : null,
-        height: height ? parseInt(height) : null,
-        maintainAspect: true,
-        algorithm: algorithm
-      };
-      
-      // Update processing algorithm
-      this.processingOptions.algorithm = algorithm;
-      
-      this.showNotification('Egyedi feldolgozás indítása...', 'info');
-      
-      await this.processImageWithSettings(imageId, settings);
-      
-      this.showNotification(`Kép sikeresen feldolgozva (${format.toUpperCase()})! Letöltéshez kattints a Letöltés gombra.`, 'success');
-      
-    } catch (error) {
-      console.error('Individual processing failed:', error);
-      this.showNotification('Egyedi feldolgozás sikertelen!', 'error');
+    if (!image || this.getHistory(image).position === image.history.operations.length) {
+      this.showNotification('Nincs újra végrehajtható művelet', 'info');
+      return;
+    }
+    return this.jumpToHistory(image.id, image.history.position + 1);
+  }
+
+  // The undone operations stay in the list, so reverting can be redone
+  revertToOriginal(imageId) {
+    return this.jumpToHistory(imageId, 0);
+  }
+
+  renderHistoryPanel(imageData) {
+    const history = imageData.history;
+    if (!history || history.operations.length === 0) return '';
+    
+    const entry = (position, label) => `
+      <button onclick="app.jumpToHistory('${imageData.id}', ${position})" 
+              class="block w-full text-left px-2 py-1 rounded ${position === history.position ? 'bg-blue-100 dark:bg-blue-900 font-semibold' : 'hover:bg-neutral-100 dark:hover:bg-neutral-700'} ${position > history.position ? 'opacity-50' : ''}">
+        ${position}. ${this.escapeHtml(label)}
+      </button>
+    `;
+    
+    return `
+      <div class="pt-2 border-t border-neutral-200 dark:border-neutral-700">
+        <div class="grid grid-cols-3 gap-1">
+          <button onclick="app.undoEdit('${imageData.id}')" class="btn btn-secondary btn-sm text-xs" title="Ctrl+Z" ${history.position === 0 ? 'disabled' : ''}>↶ Vissza</button>
+          <button onclick="app.redoEdit('${imageData.id}')" class="btn btn-secondary btn-sm text-xs" title="Ctrl+Shift+Z" ${history.position === history.operations.length ? 'disabled' : ''}>↷ Újra</button>
+          <button onclick="app.revertToOriginal('${imageData.id}')" class="btn btn-warning btn-sm text-xs" ${history.position === 0 ? 'disabled' : ''}>Eredeti</button>
+        </div>
+        <details class="mt-2">
+          <summary class="cursor-pointer text-neutral-600 dark:text-neutral-400">Előzmények (${history.position}/${history.operations.length})</summary>
+          <div class="mt-2 space-y-1 text-xs">
+            ${entry(0, 'Eredeti')}
+            ${history.operations.map((operation, index) => entry(index + 1, operation.label)).join('')}
+          </div>
+        </details>
+      </div>
+    `;
+  }
+
+  // Options the processing pipeline needs from the app (workers have no access to it)
+  getWorkerOptions(settings = {}, image = null) {
+    return {
+      algorithm: settings.algorithm || this.processingOptions.algorithm,
+      linearLight: this.processingOptions.linearLight,
+      colorSpace: this.processingOptions.colorSpace,
+      gamma: this.processingOptions.gammaCorrection,
+      formatConfigs: this.formatConfigs,
+      metadata: image ? this.getExportMetadata(image) : null
+    };
+  }
+
+  // Metadata of an image that survives the current export policy
+  getExportMetadata(image) {
+    const policy = this.processingOptions.preserveMetadata ? this.processingOptions.metadataPolicy : 'strip';
+    return Metadata.select(image.metadata, policy);
+  }
+
+  // Collapsible list of the parsed metadata fields of a card
+  renderMetadataPanel(imageData) {
+    const fields = Metadata.summarize(imageData.metadata);
+    if (fields.length === 0) return '';
+    
+    const policy = this.processingOptions.preserveMetadata ? this.processingOptions.metadataPolicy : 'strip';
+    const stripped = (field) => !Metadata.isKept(field, policy);
+    return `
+      <details class="pt-2 border-t border-neutral-200 dark:border-neutral-700">
+        <summary class="cursor-pointer text-neutral-600 dark:text-neutral-400">Metaadatok (${fields.length})</summary>
+        <div class="mt-2 space-y-1 text-xs">
+          ${fields.map(field => `
+            <div class="flex justify-between gap-2">
+              <span class="text-neutral-500">${field.label}:</span>
+              <span class="text-right break-all ${stripped(field) ? 'line-through text-red-500' : 'text-neutral-800 dark:text-neutral-200'}">
+                ${this.escapeHtml(field.value)}
+              </span>
+            </div>
+          `).join('')}
+        </div>
+      </details>
+    `;
+  }
+
+  updateMetadataPolicy() {
+    const policy = document.getElementById('metadataPolicy').value;
+    this.processingOptions.metadataPolicy = Metadata.POLICIES.includes(policy) ? policy : 'keep';
+    this.processingOptions.preserveMetadata = this.processingOptions.metadataPolicy !== 'strip';
+    this.renderImages();
+  }
+
+  updateResampleLight() {
+    const mode = document.getElementById('resampleLight').value;
+    this.processingOptions.linearLight = mode !== 'off';
+    this.processingOptions.colorSpace = mode === 'gamma' ? 'gamma' : 'sRGB';
+  }
+
+  // Recipes: the editor works on `recipeDraft`, saved recipes are copies of it
+  toggleImageSelection(imageId) {
+    const id = String(imageId);
+    if (this.selectedImages.has(id)) {
+      this.selectedImages.delete(id);
+    } else {
+      this.selectedImages.add(id);
+    }
+    this.updateSelectionCount();
+  }
+
+  selectAllImages(selected = true) {
+    this.selectedImages = new Set(selected ? this.images.map(img => String(img.id)) : []);
+    this.updateSelectionCount();
+    this.renderImages();
+  }
+
+  updateSelectionCount() {
+    const counter = document.getElementById('selectionCount');
+    if (counter) {
+      counter.textContent = `${this.selectedImages.size} kijelölve`;
+    }
+    this.updatePreviews();
+  }
+
+  getSelectedImages() {
+    return this.images.filter(img => this.selectedImages.has(String(img.id)));
+  }
+
+  addRecipeStep() {
+    const type = document.getElementById('recipeStepType').value;
+    const definition = this.recipeStepTypes[type];
+    if (!definition) return;
+    
+    const step = { type };
+    definition.fields.forEach(field => {
+      step[field.key] = field.value;
+    });
+    this.recipeDraft.push(step);
+    this.renderRecipeEditor();
+  }
+
+  updateRecipeStep(index, key, value) {
+    const step = this.recipeDraft[index];
+    if (!step) return;
+    
+    const field = this.recipeStepTypes[step.type].fields.find(f => f.key === key);
+    if (field.options) {
+      // Option values may be numbers or booleans, the <select> gives strings
+      const option = field.options.find(([optionValue]) => String(optionValue) === value);
+      step[key] = option ? option[0] : field.value;
+    } else if (field.type === 'number') {
+      step[key] = value === '' ? null : parseFloat(value) / (field.scale || 1);
+    } else {
+      step[key] = value;
+    }
+  }
+
+  moveRecipeStep(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.recipeDraft.length) return;
+    
+    [this.recipeDraft[index], this.recipeDraft[target]] = [this.recipeDraft[target], this.recipeDraft[index]];
+    this.renderRecipeEditor();
+  }
+
+  removeRecipeStep(index) {
+    this.recipeDraft.splice(index, 1);
+    this.renderRecipeEditor();
+  }
+
+  renderRecipeEditor() {
+    const container = document.getElementById('recipeSteps');
+    if (!container) return;
+    
+    if (this.recipeDraft.length === 0) {
+      container.innerHTML = '<p class="text-sm text-neutral-500">A recept üres. Adjon hozzá lépéseket az alábbi listából.</p>';
+      return;
+    }
+    
+    container.innerHTML = this.recipeDraft.map((step, index) => `
+      <div class="flex flex-wrap items-end gap-2 p-2 rounded-lg bg-white/60 dark:bg-neutral-800/60 border border-neutral-200 dark:border-neutral-700">
+        <span class="text-sm font-semibold w-32 text-neutral-800 dark:text-neutral-200">${index + 1}. ${this.recipeStepTypes[step.type].label}</span>
+        ${this.recipeStepTypes[step.type].fields.map(field => this.renderRecipeField(step, index, field)).join('')}
+        <div class="flex gap-1 ml-auto">
+          <button onclick="app.moveRecipeStep(${index}, -1)" class="btn btn-secondary btn-sm text-xs" title="Feljebb">↑</button>
+          <button onclick="app.moveRecipeStep(${index}, 1)" class="btn btn-secondary btn-sm text-xs" title="Lejjebb">↓</button>
+          <button onclick="app.removeRecipeStep(${index})" class="btn btn-danger btn-sm text-xs" title="Lépés törlése">✕</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  renderRecipeField(step, index, field) {
+    const value = step[field.key];
+    const onchange = `app.updateRecipeStep(${index}, '${field.key}', this.value)`;
+    const classes = 'px-2 py-1 text-xs border border-neutral-300 dark:border-neutral-600 rounded bg-white dark:bg-neutral-800 text-neutral-800 dark:text-neutral-200';
+    
+    let input;
+    if (field.options) {
+      input = `<select onchange="${onchange}" class="${classes}">
+        ${this.renderSelectOptions(field.options.map(([optionValue, label]) => [String(optionValue), label]), String(value))}
+      </select>`;
+    } else if (field.type === 'number') {
+      const shown = value === null || value === undefined ? '' : Math.round(value * (field.scale || 1) * 100) / 100;
+      input = `<input type="number" value="${shown}" placeholder="Auto" onchange="${onchange}" class="${classes} w-20">`;
+    } else {
+      input = `<input type="text" value="${this.escapeHtml(value || '')}" onchange="${onchange}" class="${classes} w-32">`;
+    }
+    
+    return `
+      <label class="flex flex-col text-xs text-neutral-600 dark:text-neutral-400">
+        ${field.label}
+        ${input}
+      </label>
+    `;
+  }
+
+  renderRecipeList(selected = '') {
+    const select = document.getElementById('recipeSelect');
+    if (!select) return;
+    
+    select.innerHTML = '<option value="">– Mentett receptek –</option>' +
+      this.renderSelectOptions(this.recipes.map(recipe => [this.escapeHtml(recipe.name), this.escapeHtml(recipe.name)]), this.escapeHtml(selected));
+  }
+
+  persistRecipes() {
+    if (!this.library) return;
+    
+    this.library.saveMeta('recipes', this.recipes)
+      .catch(error => console.error('Failed to save recipes:', error));
+  }
+
+  saveRecipe() {
+    const name = document.getElementById('recipeName').value.trim();
+    if (!name) {
+      this.showNotification('Adjon nevet a receptnek!', 'warning');
+      return;
+    }
+    if (this.recipeDraft.length === 0) {
+      this.showNotification('Adjon hozzá legalább egy lépést a recepthez!', 'warning');
+      return;
+    }
+    
+    const recipe = { name, steps: this.recipeDraft.map(step => ({ ...step })) };
+    const index = this.recipes.findIndex(existing => existing.name === name);
+    if (index === -1) {
+      this.recipes.push(recipe);
+    } else {
+      this.recipes[index] = recipe;
+    }
+    
+    this.persistRecipes();
+    this.renderRecipeList(name);
+    this.showNotification(`„${name}” recept mentve!`, 'success');
+  }
+
+  loadRecipe() {
+    const name = document.getElementById('recipeSelect').value;
+    const recipe = this.recipes.find(existing => existing.name === name);
+    if (!recipe) return;
+    
+    this.recipeDraft = recipe.steps.map(step => ({ ...step }));
+    document.getElementById('recipeName').value = recipe.name;
+    this.renderRecipeEditor();
+  }
+
+  deleteRecipe() {
+    const name = document.getElementById('recipeSelect').value;
+    if (!name || !confirm(`Biztosan törli a(z) „${name}” receptet?`)) return;
+    
+    this.recipes = this.recipes.filter(recipe => recipe.name !== name);
+    this.persistRecipes();
+    this.renderRecipeList();
+    this.showNotification('Recept törölve!', 'info');
+  }
+
+  // Apply the edited recipe to the ticked images ('selected') or to all of them
+  async applyRecipe(scope = 'all') {
+    const images = scope === 'selected' ? this.getSelectedImages() : this.images;
+    if (images.length === 0) {
+      this.showNotification(scope === 'selected' ? 'Nincs kijelölt kép!' : 'Nincs feltöltött kép a feldolgozáshoz!', 'warning');
+      return;
+    }
+    
+    const steps = this.recipeDraft.map(step => ({ ...step }));
+    try {
+      Pipeline.validate(steps);
+    } catch (error) {
+      this.showNotification('Adjon hozzá legalább egy lépést a recepthez!', 'warning');
+      return;
+    }
+    
+    const label = `Recept: ${document.getElementById('recipeName').value.trim() || 'névtelen'}`;
+    const { processed } = await this.processBatch(images, () => steps, 'Recept alkalmazása...',
+      (image, recipeSteps, onProgress) => this.processRecipe(image, recipeSteps, onProgress, label));
+    
+    this.updateStats();
+    this.renderImages();
+    if (processed > 0) {
+      this.showNotification(`${processed} kép feldolgozva a recepttel!`, 'success');
+    }
+  }
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  async createSourceBitmap(image) {
+    if (image.decoder) {
+      return ImageDecoders.decodeToBitmap(image.file, {
+        decoder: image.decoder,
+        name: image.name,
+        page: image.page
+      });
+    }
+    
+    if (image.orientation > 1) {
+      return this.decodeOriented(image.file, image.orientation);
+    }
+    
+    try {
+      return await createImageBitmap(image.file);
+    } catch (error) {
+      // SVG cannot be decoded from a Blob directly, go through an <img> element
+      const img = await this.loadImageElement(image.src);
+      return createImageBitmap(img);
+    }
+  }
+
+  loadImageElement(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Failed to load image for processing'));
+      img.src = src;
+    });
+  }
+
+  resizeWithAdvancedAlgorithm(source, targetCanvas, algorithm = 'lanczos') {
+    return Imaging.resizeWithAdvancedAlgorithm(source, targetCanvas, algorithm, this.getWorkerOptions({ algorithm }));
+  }
+
+  applyFormatOptimization(canvas, format, quality = 1, lossless) {
+    const encoding = Imaging.resolveEncoding(format, { quality, lossless }, this.formatConfigs);
+    return Imaging.applyFormatOptimization(canvas, format, encoding.quality, encoding.config);
+  }
+
+  // Quality controls exist in the batch panel ('batch'), the advanced panel
+  // ('quick') and on every image card (scope = image id)
+  getQualityControlIds(scope) {
+    if (scope === 'batch' || scope === 'quick') {
+      return {
+        format: `${scope}Format`,
+        quality: `${scope}Quality`,
+        mode: `${scope}Mode`,
+        value: `${scope}QualityValue`
+      };
+    }
+    return {
+      format: `format_${scope}`,
+      quality: `quality_${scope}`,
+      mode: `mode_${scope}`,
+      value: `qualityValue_${scope}`
+    };
+  }
+
+  // Load the remembered quality/mode of the newly selected format
+  handleQualityFormatChange(scope) {
+    const ids = this.getQualityControlIds(scope);
+    const format = document.getElementById(ids.format).value;
+    const config = this.formatConfigs[format];
+    if (!config) return;
+    
+    const modeEl = document.getElementById(ids.mode);
+    Array.from(modeEl.options).forEach(option => {
+      option.disabled = !config.modes.includes(option.value);
+    });
+    modeEl.value = config.lossless ? 'lossless' : 'lossy';
+    document.getElementById(ids.quality).value = config.quality !== undefined ? config.quality : 100;
+    
+    this.updateQualityDisplay(scope);
+  }
+
+  // Remember the chosen quality/mode per format
+  handleQualityInput(scope) {
+    const ids = this.getQualityControlIds(scope);
+    const format = document.getElementById(ids.format).value;
+    const config = this.formatConfigs[format];
+    
+    if (config) {
+      config.lossless = document.getElementById(ids.mode).value === 'lossless';
+      if (config.modes.includes('lossy')) {
+        config.quality = parseInt(document.getElementById(ids.quality).value, 10);
+      }
+    }
+    
+    this.updateQualityDisplay(scope);
+  }
+
+  updateQualityDisplay(scope) {
+    const ids = this.getQualityControlIds(scope);
+    const lossless = document.getElementById(ids.mode).value === 'lossless';
+    const qualityEl = document.getElementById(ids.quality);
+    
+    qualityEl.disabled = lossless;
+    document.getElementById(ids.value).textContent = lossless ? '100%' : `${qualityEl.value}%`;
+  }
+
+  getEncodingSettings(scope) {
+    const ids = this.getQualityControlIds(scope);
+    return {
+      format: document.getElementById(ids.format).value,
+      quality: parseInt(document.getElementById(ids.quality).value, 10) / 100,
+      lossless: document.getElementById(ids.mode).value === 'lossless'
+    };
+  }
+
+  describeEncoding(format, encoding) {
+    const name = (format || 'png').toUpperCase();
+    let description = !encoding || encoding.lossless ?
+      `${name} · veszteségmentes` : `${name} · ${Math.round(encoding.quality * 100)}%`;
+    
+    if (encoding && encoding.scale && encoding.scale < 1) {
+      description += ` · ${Math.round(encoding.scale * 100)}% méret`;
+    }
+    return description;
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+  }
+
+  // Simple download without processing
+  async downloadOriginal(imageId) {
+    const image = this.images.find(img => img.id == imageId);
+    if (!image) return;
+    
+    try {
+      // The preview URL may point to a PNG rendition, download the original Blob
+      this.downloadBlob(image.file, `original_${image.name}`);
+      
+      this.showNotification('Eredeti kép letöltve!', 'success');
+      
+    } catch (error) {
+      console.error('Download failed:', error);
+      this.showNotification('Letöltés sikertelen!', 'error');
+    }
+  }
+
+  // Format conversion without resizing
+  async convertFormat(imageId, targetFormat) {
+    const image = this.images.find(img => img.id == imageId);
+    if (!image) return;
+    
+    try {
+      // Use the remembered quality/mode of the target format
+      const settings = {
+        format: targetFormat,
+        width: null,
+        height: null,
+        maintainAspect: true
+      };
+      
+      await this.processImageWithSettings(imageId, settings);
+      this.updateStats();
+      this.renderImages();
+      this.showNotification(`Kép konvertálva ${targetFormat.toUpperCase()} formátumba!`, 'success');
+      
+    } catch (error) {
+      console.error('Format conversion failed:', error);
+      this.showNotification('Formátum konverzió sikertelen!', 'error');
+    }
+  }
+  
+  // Individual image processing with custom settings
+  async processIndividualImage(imageId) {
+    const image = this.images.find(img => img.id == imageId);
+    if (!image) return;
+    
+    try {
+      const width = document.getElementById(`width_${imageId}`).value || null;
+      const height = document.getElementById(`height_${imageId}`).value || null;
+      const encoding = this.getEncodingSettings(imageId);
+      const algorithm = document.getElementById(`algorithm_${imageId}`).value;
+      
+      const settings = {
+        ...encoding,
+        width: width ? parseInt(width) : null,
+        height: height ? parseInt(height) : null,
+        ...this.getFitSettings(imageId),
+        ...this.getFilterSettings(imageId),
+        algorithm: algorithm
+      };
+      
+      // Update processing algorithm
+      this.processingOptions.algorithm = algorithm;
+      
+      this.showNotification('Egyedi feldolgozás indítása...', 'info');
+      
+      await this.processImageWithSettings(imageId, settings);
+      this.updateStats();
+      this.renderImages();
+      
+      this.showNotification(`Kép sikeresen feldolgozva (${encoding.format.toUpperCase()})! Letöltéshez kattints a Letöltés gombra.`, 'success');
+      
+    } catch (error) {
+      console.error('Individual processing failed:', error);
+      this.showNotification('Egyedi feldolgozás sikertelen!', 'error');
     }
   }
   
@@ -1493,15 +2776,15 @@ class ImageFlowApp {
     if (!image) return;
     
     try {
-      const format = document.getElementById(`format_${imageId}`).value;
+      const encoding = this.getEncodingSettings(imageId);
       const algorithm = document.getElementById(`algorithm_${imageId}`).value;
       
       const settings = {
-        format: format,
-        quality: 1, // Lossless quality
+        ...encoding,
         width: null, // No resizing
         height: null, // No resizing
         maintainAspect: true,
+        ...this.getFilterSettings(imageId),
         algorithm: algorithm
       };
       
@@ -1511,8 +2794,10 @@ class ImageFlowApp {
       this.showNotification('Formátum konverzió indítása...', 'info');
       
       await this.processImageWithSettings(imageId, settings);
+      this.updateStats();
+      this.renderImages();
       
-      this.showNotification(`Formátum sikeresen konvertálva (${format.toUpperCase()})! Letöltéshez kattints a Letöltés gombra.`, 'success');
+      this.showNotification(`Formátum sikeresen konvertálva (${encoding.format.toUpperCase()})! Letöltéshez kattints a Letöltés gombra.`, 'success');
       
     } catch (error) {
       console.error('Individual format conversion failed:', error);
@@ -1521,19 +2806,49 @@ class ImageFlowApp {
   }
 
   // Professional Crop Functionality
-  initializeCropMode(imageId) {
+  async initializeCropMode(imageId) {
     const image = this.images.find(img => img.id == imageId);
     if (!image) return;
     
+    // The crop is added to the edit history, so it works on the current state
+    let view;
+    try {
+      view = await this.getEditView(image);
+    } catch (error) {
+      console.error('Failed to render the current edit state:', error);
+      this.showNotification('A kép aktuális állapota nem jeleníthető meg!', 'error');
+      return;
+    }
+    
     this.cropState.active = true;
     this.cropState.imageId = imageId;
+    this.cropState.view = view;
+    this.cropState.orientationSteps = [];
+    this.cropState.straighten = 0;
     
     // Create crop overlay UI
-    this.createCropOverlay(image);
+    this.createCropOverlay(view);
     this.showNotification('Vágási mód aktiválva. Jelölje ki a területet.', 'info');
   }
   
-  createCropOverlay(image) {
+  // Image shown by the crop overlay: the original or the output of the active edits
+  async getEditView(image) {
+    const steps = this.getActiveSteps(image).filter(step => step.type !== 'encode');
+    if (steps.length === 0) {
+      return { src: image.src, width: image.width, height: image.height };
+    }
+    
+    const encoding = image.processedEncoding || {};
+    if (image.processedFormat !== 'tiff' && !(encoding.scale < 1)) {
+      return { src: image.processedSrc, ...image.processedDimensions };
+    }
+    
+    // Outputs the browser cannot show or that were shrunk to a target size
+    const preview = await this.renderSteps(image, steps);
+    return { src: URL.createObjectURL(preview.blob), ...preview.dimensions, temporary: true };
+  }
+  
+  createCropOverlay(view) {
     // Remove existing crop overlay
     const existingOverlay = document.getElementById('cropOverlay');
     if (existingOverlay) {
@@ -1566,20 +2881,38 @@ class ImageFlowApp {
               <option value="16:9">16:9 (Szélesvásznú)</option>
               <option value="3:2">3:2 (Fotó)</option>
               <option value="21:9">21:9 (Ultra-wide)</option>
+              <option value="custom">Egyedi arány…</option>
+              <option value="exact">Pontos kimeneti méret…</option>
             </select>
+            <button onclick="app.smartCropSelection()" class="px-3 py-1 bg-purple-100 text-purple-800 rounded-md text-sm hover:bg-purple-200 transition-colors" title="A kijelölés a kép tartalma alapján (élek, részletek, bőrtónusok)">✨ Intelligens</button>
+            <input type="text" id="cropCustomRatio" placeholder="pl. 5:4 vagy 1.91" oninput="app.setCropAspectRatio('custom')" class="hidden w-32 px-2 py-1 border border-gray-300 rounded-md text-sm">
+            <span id="cropExactSize" class="hidden flex items-center space-x-1 text-sm text-gray-700">
+              <input type="number" id="cropExactWidth" value="1200" min="1" oninput="app.setCropAspectRatio('exact')" class="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm">
+              <span>×</span>
+              <input type="number" id="cropExactHeight" value="628" min="1" oninput="app.setCropAspectRatio('exact')" class="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm">
+              <span>px</span>
+            </span>
           </div>
           
           <div class="flex items-center space-x-2">
             <label class="text-sm font-medium text-gray-700">Algoritmus:</label>
             <select id="cropAlgorithm" class="px-3 py-1 border border-gray-300 rounded-md text-sm">
-              <option value="lanczos">Lanczos3 (Legjobb)</option>
-              <option value="bicubic">Bicubic (Gyors)</option>
-              <option value="bilinear">Bilinear (Alapértelmezett)</option>
-              <option value="nearest">Nearest (Pixel art)</option>
+              ${this.renderSelectOptions(this.resizeAlgorithms, 'lanczos')}
             </select>
           </div>
         </div>
         
+        <!-- Rotate, flip and straighten (applied before the selection) -->
+        <div class="mb-4 flex flex-wrap items-center gap-2">
+          <button onclick="app.rotateCropView(-90)" class="px-3 py-1 bg-gray-200 text-gray-700 rounded-md text-sm hover:bg-gray-300 transition-colors" title="Forgatás balra">⟲ 90°</button>
+          <button onclick="app.rotateCropView(90)" class="px-3 py-1 bg-gray-200 text-gray-700 rounded-md text-sm hover:bg-gray-300 transition-colors" title="Forgatás jobbra">⟳ 90°</button>
+          <button onclick="app.flipCropView('horizontal')" class="px-3 py-1 bg-gray-200 text-gray-700 rounded-md text-sm hover:bg-gray-300 transition-colors">⇋ Vízszintes tükrözés</button>
+          <button onclick="app.flipCropView('vertical')" class="px-3 py-1 bg-gray-200 text-gray-700 rounded-md text-sm hover:bg-gray-300 transition-colors">⇵ Függőleges tükrözés</button>
+          <label class="text-sm font-medium text-gray-700 ml-2">Kiegyenesítés:</label>
+          <input type="range" id="cropStraighten" min="-45" max="45" step="0.1" value="0" oninput="app.setCropStraighten(this.value)" class="w-40">
+          <span id="cropStraightenValue" class="text-sm text-gray-600 w-14">0.0°</span>
+        </div>
+        
         <!-- Crop Canvas Container -->
         <div class="relative bg-gray-100 rounded-lg overflow-hidden" style="max-width: 800px; max-height: 600px;">
           <canvas id="cropCanvas" class="block mx-auto cursor-crosshair"></canvas>
@@ -1598,10 +2931,19 @@ class ImageFlowApp {
           </div>
         </div>
         
+        <!-- Numeric selection in pixels of the current image -->
+        <div class="mt-4 flex flex-wrap items-center gap-3 text-sm text-gray-700">
+          <label class="flex items-center space-x-1"><span>X:</span><input type="number" id="cropInputX" min="0" onchange="app.setCropAreaFromInputs()" class="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm"></label>
+          <label class="flex items-center space-x-1"><span>Y:</span><input type="number" id="cropInputY" min="0" onchange="app.setCropAreaFromInputs()" class="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm"></label>
+          <label class="flex items-center space-x-1"><span>Szélesség:</span><input type="number" id="cropInputWidth" min="1" onchange="app.setCropAreaFromInputs()" class="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm"></label>
+          <label class="flex items-center space-x-1"><span>Magasság:</span><input type="number" id="cropInputHeight" min="1" onchange="app.setCropAreaFromInputs()" class="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm"></label>
+          <span class="text-xs text-gray-500">Nyilak: mozgatás (Shift: 10 px), Alt + nyilak: méretezés</span>
+        </div>
+        
         <!-- Crop dimensions display -->
         <div class="mt-4 text-sm text-gray-600">
           <span>Kiválasztott terület: <span id="cropDimensions">0 × 0 px</span></span>
-          <span class="ml-4">Eredeti: ${image.width} × ${image.height} px</span>
+          <span class="ml-4">Jelenlegi méret: <span id="cropSourceSize">${view.width} × ${view.height} px</span></span>
         </div>
         
         <!-- Action buttons -->
@@ -1618,6 +2960,9 @@ class ImageFlowApp {
           <button onclick="app.applyCropAndDownload()" class="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors font-medium">
             Kivágás & Letöltés
           </button>
+          <button onclick="app.applyCropToAll()" class="px-4 py-2 bg-cyan-600 text-white rounded-md hover:bg-cyan-700 transition-colors font-medium">
+            Minden képre…
+          </button>
         </div>
       </div>
     `;
@@ -1625,45 +2970,134 @@ class ImageFlowApp {
     document.body.appendChild(overlay);
     
     // Initialize crop canvas
-    this.setupCropCanvas(image);
+    this.setupCropCanvas(view);
   }
   
-  setupCropCanvas(image) {
+  setupCropCanvas(view) {
     const canvas = document.getElementById('cropCanvas');
     const ctx = canvas.getContext('2d');
-    
-    // Calculate canvas size maintaining aspect ratio
-    const maxWidth = 800;
-    const maxHeight = 600;
-    
-    let canvasWidth = image.width;
-    let canvasHeight = image.height;
-    
-    if (canvasWidth > maxWidth || canvasHeight > maxHeight) {
-      const scale = Math.min(maxWidth / canvasWidth, maxHeight / canvasHeight);
-      canvasWidth = Math.round(canvasWidth * scale);
-      canvasHeight = Math.round(canvasHeight * scale);
-    }
-    
-    canvas.width = canvasWidth;
-    canvas.height = canvasHeight;
     canvas.style.maxWidth = '100%';
     canvas.style.height = 'auto';
     
-    // Store scale factor for coordinate conversion
-    this.cropState.scale = canvasWidth / image.width;
+    this.cropState.canvas = canvas;
+    this.cropState.ctx = ctx;
     
     // Load and draw image
     const img = new Image();
     img.crossOrigin = 'anonymous';
     img.onload = () => {
-      ctx.drawImage(img, 0, 0, canvasWidth, canvasHeight);
+      this.cropState.sourceImage = img;
+      this.drawCropCanvas();
       this.setupCropInteraction(canvas);
     };
-    img.src = image.src;
-    
-    this.cropState.canvas = canvas;
-    this.cropState.ctx = ctx;
+    img.src = view.src;
+  }
+  
+  // Draw the view with the pending rotate/flip/straighten, fitted into 800×600.
+  // The preview is transformed at display size; applying works at full resolution.
+  drawCropCanvas() {
+    const { canvas, ctx, view, sourceImage } = this.cropState;
+    const steps = this.getCropGeometrySteps();
+    const size = Pipeline.measure(view.width, view.height, steps);
+    const fit = Math.min(1, 800 / size.width, 600 / size.height);
+    
+    let preview = Imaging.createCanvas(Math.max(1, Math.round(view.width * fit)), Math.max(1, Math.round(view.height * fit)));
+    preview.getContext('2d').drawImage(sourceImage, 0, 0, preview.width, preview.height);
+    steps.forEach(step => {
+      preview = Pipeline[step.type](preview, step);
+    });
+    
+    canvas.width = preview.width;
+    canvas.height = preview.height;
+    ctx.drawImage(preview, 0, 0);
+    
+    // Store scale factor for coordinate conversion
+    this.cropState.scale = canvas.width / size.width;
+    this.cropState.size = size;
+    document.getElementById('cropSourceSize').textContent = `${size.width} × ${size.height} px`;
+    
+    // The old selection no longer matches the picture; a locked ratio starts over
+    this.resetCropSelection();
+    this.setCropAspectRatio(document.getElementById('cropAspectRatio').value);
+  }
+  
+  getCropGeometrySteps() {
+    const steps = this.cropState.orientationSteps.map(step => ({ ...step }));
+    if (this.cropState.straighten) {
+      steps.push({ type: 'straighten', angle: this.cropState.straighten, autoCrop: true });
+    }
+    return steps;
+  }
+  
+  // Quarter turns and flips are kept in the order they were clicked;
+  // consecutive turns are merged and a repeated flip cancels itself
+  rotateCropView(angle) {
+    const steps = this.cropState.orientationSteps;
+    const last = steps[steps.length - 1];
+    if (last && last.type === 'rotate') {
+      last.angle = (last.angle + angle + 360) % 360;
+      if (last.angle === 0) steps.pop();
+    } else {
+      steps.push({ type: 'rotate', angle: (angle + 360) % 360 });
+    }
+    this.drawCropCanvas();
+  }
+  
+  flipCropView(axis) {
+    const steps = this.cropState.orientationSteps;
+    const last = steps[steps.length - 1];
+    if (last && last.type === 'flip' && last.axis === axis) {
+      steps.pop();
+    } else {
+      steps.push({ type: 'flip', axis });
+    }
+    this.drawCropCanvas();
+  }
+  
+  setCropStraighten(value) {
+    this.cropState.straighten = parseFloat(value) || 0;
+    document.getElementById('cropStraightenValue').textContent = `${this.cropState.straighten.toFixed(1)}°`;
+    this.drawCropCanvas();
+  }
+  
+  // Pending overlay edits as one history operation: geometry first, then the
+  // selection converted back to full-resolution pixels (null if nothing to do)
+  getCropEdit() {
+    const steps = this.getCropGeometrySteps();
+    const area = this.cropState.cropArea;
+    
+    if (area.width && area.height) {
+      const scale = this.cropState.scale;
+      const { size } = this.cropState;
+      const x = Math.min(Math.round(area.x / scale), size.width - 1);
+      const y = Math.min(Math.round(area.y / scale), size.height - 1);
+      steps.push(this.getCropStep({
+        x,
+        y,
+        width: Math.min(Math.round(area.width / scale), size.width - x),
+        height: Math.min(Math.round(area.height / scale), size.height - y)
+      }));
+    }
+    
+    // "Crop to exactly W×H": the ratio-locked selection is resampled to that size
+    const exact = this.getExactCropSize();
+    if (exact && steps.length > 0) {
+      const algorithm = document.getElementById('cropAlgorithm').value;
+      steps.push({ type: 'resize', ...exact, fit: 'fill', algorithm });
+    }
+    
+    if (steps.length === 0) return null;
+    return { label: steps.map(step => this.describeGeometryStep(step)).join(', '), steps };
+  }
+  
+  describeGeometryStep(step) {
+    switch (step.type) {
+      case 'rotate': return `Forgatás ${step.angle}°`;
+      case 'flip': return step.axis === 'vertical' ? 'Függőleges tükrözés' : 'Vízszintes tükrözés';
+      case 'straighten': return `Kiegyenesítés ${step.angle.toFixed(1)}°`;
+      case 'resize': return `Átméretezés ${step.width}×${step.height}`;
+      default: return step.unit === 'percent' ? `Kivágás ${step.width}% × ${step.height}%` : `Kivágás ${step.width}×${step.height}`;
+    }
   }
   
   setupCropInteraction(canvas) {
@@ -1672,25 +3106,31 @@ class ImageFlowApp {
     let isResizing = false;
     let startX, startY, currentHandle;
     
-    const selection = document.getElementById('cropSelection');
-    const handles = document.getElementById('cropHandles');
-    const dimensionsDisplay = document.getElementById('cropDimensions');
-    
-    // Mouse events for crop selection
-    canvas.addEventListener('mousedown', (e) => {
+    // Pointer events cover mouse, pen and touch; the capture keeps a drag
+    // going when the finger leaves the canvas. Points are in canvas pixels,
+    // also when the canvas is shown smaller (max-width on narrow screens)
+    canvas.style.touchAction = 'none';
+    const getPoint = (e) => {
       const rect = canvas.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
+      return {
+        x: Math.max(0, Math.min(canvas.width, (e.clientX - rect.left) * canvas.width / rect.width)),
+        y: Math.max(0, Math.min(canvas.height, (e.clientY - rect.top) * canvas.height / rect.height))
+      };
+    };
+    
+    canvas.addEventListener('pointerdown', (e) => {
+      canvas.setPointerCapture(e.pointerId);
+      const { x, y } = getPoint(e);
       
-      // Check if clicking on a handle
-      const handle = this.getHandleAtPosition(x, y);
+      // Check if pressing on a handle (fingers get a bigger target)
+      const handle = this.getHandleAtPosition(x, y, e.pointerType === 'touch' ? 20 : 8);
       if (handle) {
         isResizing = true;
         currentHandle = handle;
         return;
       }
       
-      // Check if clicking inside selection for dragging
+      // Check if pressing inside selection for dragging
       if (this.isPointInSelection(x, y)) {
         isDragging = true;
         startX = x - this.cropState.cropArea.x;
@@ -1707,10 +3147,8 @@ class ImageFlowApp {
       this.updateCropSelection();
     });
     
-    canvas.addEventListener('mousemove', (e) => {
-      const rect = canvas.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
+    canvas.addEventListener('pointermove', (e) => {
+      const { x, y } = getPoint(e);
       
       if (isSelecting) {
         const width = x - startX;
@@ -1739,40 +3177,120 @@ class ImageFlowApp {
       }
     });
     
-    canvas.addEventListener('mouseup', () => {
+    const endInteraction = () => {
       isSelecting = false;
       isDragging = false;
       isResizing = false;
       currentHandle = null;
-    });
-    
-    // Handle clicks for repositioning handles
-    handles.addEventListener('mousedown', (e) => {
-      e.stopPropagation();
-      const handle = e.target.dataset.handle;
-      if (handle) {
-        isResizing = true;
-        currentHandle = handle;
+    };
+    canvas.addEventListener('pointerup', endInteraction);
+    canvas.addEventListener('pointercancel', endInteraction);
+    
+    // Arrow keys nudge the selection by one image pixel (Shift: 10), Alt + arrows resize it
+    this.cropState.keyHandler = (e) => {
+      if (!e.key.startsWith('Arrow') || e.target.closest('input, textarea, select')) return;
+      const area = this.cropState.cropArea;
+      if (!area.width || !area.height) return;
+      
+      e.preventDefault();
+      const step = (e.shiftKey ? 10 : 1) * this.cropState.scale;
+      const dx = e.key === 'ArrowLeft' ? -step : e.key === 'ArrowRight' ? step : 0;
+      const dy = e.key === 'ArrowUp' ? -step : e.key === 'ArrowDown' ? step : 0;
+      
+      if (e.altKey) {
+        // With a locked ratio either arrow axis scales the whole selection
+        const ratio = this.getCropRatio();
+        area.width = Math.max(step, Math.min(canvas.width - area.x, area.width + (ratio ? dx || dy * ratio : dx)));
+        area.height = ratio ? area.width / ratio : Math.max(step, Math.min(canvas.height - area.y, area.height + dy));
+        this.constrainToAspectRatio();
+      } else {
+        area.x = Math.max(0, Math.min(canvas.width - area.width, area.x + dx));
+        area.y = Math.max(0, Math.min(canvas.height - area.height, area.y + dy));
       }
-    });
+      this.updateCropSelection();
+    };
+    document.addEventListener('keydown', this.cropState.keyHandler);
   }
   
-  constrainToAspectRatio() {
-    const aspectRatio = document.getElementById('cropAspectRatio').value;
-    if (aspectRatio === 'free') return;
-    
-    const ratios = {
-      '1:1': 1,
-      '4:3': 4/3,
-      '16:9': 16/9,
-      '3:2': 3/2,
-      '21:9': 21/9
+  // Width/height ratio the selection is locked to, or null for a free selection
+  getCropRatio() {
+    const value = document.getElementById('cropAspectRatio').value;
+    if (value === 'exact') {
+      const size = this.getExactCropSize();
+      return size ? size.width / size.height : null;
+    }
+    return this.parseCropRatio(value === 'custom' ? document.getElementById('cropCustomRatio').value : value);
+  }
+  
+  // "16:9", "16/9", "16x9" or a plain number like "1.91"
+  parseCropRatio(text) {
+    const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(?:[:\/x×]\s*(\d+(?:\.\d+)?))?$/i);
+    if (!match) return null;
+    
+    const ratio = match[2] ? parseFloat(match[1]) / parseFloat(match[2]) : parseFloat(match[1]);
+    return ratio > 0 && isFinite(ratio) ? ratio : null;
+  }
+  
+  getExactCropSize() {
+    if (document.getElementById('cropAspectRatio').value !== 'exact') return null;
+    
+    const width = parseInt(document.getElementById('cropExactWidth').value);
+    const height = parseInt(document.getElementById('cropExactHeight').value);
+    return width > 0 && height > 0 ? { width, height } : null;
+  }
+  
+  // Place the selection where the content is; it stays adjustable afterwards
+  smartCropSelection() {
+    const { canvas } = this.cropState;
+    const ratio = this.getCropRatio();
+    if (!ratio) {
+      this.showNotification('Az intelligens vágáshoz válasszon képarányt!', 'warning');
+      return;
+    }
+    
+    const focus = SmartCrop.findFocus(canvas, ratio);
+    this.cropState.cropArea = Pipeline.resolveCrop(canvas.width, canvas.height, { ratio, focus });
+    this.updateCropSelection();
+  }
+  
+  // Numeric fields are in pixels of the current image, the selection in canvas pixels
+  setCropAreaFromInputs() {
+    const { canvas, scale } = this.cropState;
+    const read = (id) => Math.max(0, parseFloat(document.getElementById(id).value) || 0) * scale;
+    
+    const x = Math.min(read('cropInputX'), canvas.width - 1);
+    const y = Math.min(read('cropInputY'), canvas.height - 1);
+    this.cropState.cropArea = {
+      x,
+      y,
+      width: Math.min(read('cropInputWidth'), canvas.width - x),
+      height: Math.min(read('cropInputHeight'), canvas.height - y)
     };
     
-    const ratio = ratios[aspectRatio];
-    if (!ratio) return;
+    this.constrainToAspectRatio();
+    this.updateCropSelection();
+  }
+  
+  updateCropInputs() {
+    const area = this.cropState.cropArea;
+    const hasSelection = area.width > 0 && area.height > 0;
+    const values = {
+      cropInputX: area.x,
+      cropInputY: area.y,
+      cropInputWidth: area.width,
+      cropInputHeight: area.height
+    };
     
+    Object.entries(values).forEach(([id, value]) => {
+      document.getElementById(id).value = hasSelection ? Math.round(value / this.cropState.scale) : '';
+    });
+  }
+  
+  constrainToAspectRatio() {
+    const ratio = this.getCropRatio();
     const area = this.cropState.cropArea;
+    if (!ratio || !area.width || !area.height) return;
+    
     const currentRatio = area.width / area.height;
     
     if (currentRatio > ratio) {
@@ -1785,12 +3303,16 @@ class ImageFlowApp {
     
     // Ensure selection stays within canvas bounds
     const canvas = this.cropState.canvas;
-    if (area.x + area.width > canvas.width) {
-      area.x = canvas.width - area.width;
+    if (area.width > canvas.width) {
+      area.width = canvas.width;
+      area.height = area.width / ratio;
     }
-    if (area.y + area.height > canvas.height) {
-      area.y = canvas.height - area.height;
+    if (area.height > canvas.height) {
+      area.height = canvas.height;
+      area.width = area.height * ratio;
     }
+    area.x = Math.max(0, Math.min(area.x, canvas.width - area.width));
+    area.y = Math.max(0, Math.min(area.y, canvas.height - area.height));
   }
   
   updateCropSelection() {
@@ -1811,421 +3333,1319 @@ class ImageFlowApp {
       handles.style.display = 'block';
       this.updateHandlePositions();
       
-      // Update dimensions display (convert back to original image coordinates)
-      const originalWidth = Math.round(area.width / this.cropState.scale);
-      const originalHeight = Math.round(area.height / this.cropState.scale);
-      dimensionsDisplay.textContent = `${originalWidth} × ${originalHeight} px`;
-    } else {
-      selection.style.display = 'none';
-      handles.style.display = 'none';
-      dimensionsDisplay.textContent = '0 × 0 px';
-    }
+      // Update dimensions display (convert back to original image coordinates)
+      const originalWidth = Math.round(area.width / this.cropState.scale);
+      const originalHeight = Math.round(area.height / this.cropState.scale);
+      dimensionsDisplay.textContent = `${originalWidth} × ${originalHeight} px`;
+    } else {
+      selection.style.display = 'none';
+      handles.style.display = 'none';
+      dimensionsDisplay.textContent = '0 × 0 px';
+    }
+    this.updateCropInputs();
+  }
+  
+  updateHandlePositions() {
+    const handles = document.getElementById('cropHandles').children;
+    const area = this.cropState.cropArea;
+    
+    // Position handles around the selection
+    handles[0].style.left = area.x + 'px'; // nw
+    handles[0].style.top = area.y + 'px';
+    
+    handles[1].style.left = (area.x + area.width / 2) + 'px'; // n
+    handles[1].style.top = area.y + 'px';
+    
+    handles[2].style.left = (area.x + area.width) + 'px'; // ne
+    handles[2].style.top = area.y + 'px';
+    
+    handles[3].style.left = (area.x + area.width) + 'px'; // e
+    handles[3].style.top = (area.y + area.height / 2) + 'px';
+    
+    handles[4].style.left = (area.x + area.width) + 'px'; // se
+    handles[4].style.top = (area.y + area.height) + 'px';
+    
+    handles[5].style.left = (area.x + area.width / 2) + 'px'; // s
+    handles[5].style.top = (area.y + area.height) + 'px';
+    
+    handles[6].style.left = area.x + 'px'; // sw
+    handles[6].style.top = (area.y + area.height) + 'px';
+    
+    handles[7].style.left = area.x + 'px'; // w
+    handles[7].style.top = (area.y + area.height / 2) + 'px';
+  }
+  
+  setCropAspectRatio(ratio) {
+    this.processingOptions.cropAspectRatio = ratio;
+    document.getElementById('cropCustomRatio').classList.toggle('hidden', ratio !== 'custom');
+    document.getElementById('cropExactSize').classList.toggle('hidden', ratio !== 'exact');
+    
+    if (this.cropState.cropArea.width > 0 && this.cropState.cropArea.height > 0) {
+      this.constrainToAspectRatio();
+      this.updateCropSelection();
+    } else if (this.getCropRatio()) {
+      // A locked ratio without a selection starts from the largest centred one
+      const { canvas } = this.cropState;
+      this.cropState.cropArea = { x: 0, y: 0, width: canvas.width, height: canvas.height };
+      this.constrainToAspectRatio();
+      this.cropState.cropArea.x = (canvas.width - this.cropState.cropArea.width) / 2;
+      this.cropState.cropArea.y = (canvas.height - this.cropState.cropArea.height) / 2;
+      this.updateCropSelection();
+    }
+  }
+  
+  resetCropSelection() {
+    this.cropState.cropArea = { x: 0, y: 0, width: 0, height: 0 };
+    this.updateCropSelection();
+  }
+  
+  closeCropMode() {
+    const overlay = document.getElementById('cropOverlay');
+    if (overlay) {
+      overlay.remove();
+    }
+    if (this.cropState.view && this.cropState.view.temporary) {
+      URL.revokeObjectURL(this.cropState.view.src);
+    }
+    if (this.cropState.keyHandler) {
+      document.removeEventListener('keydown', this.cropState.keyHandler);
+      this.cropState.keyHandler = null;
+    }
+    this.cropState.active = false;
+    this.cropState.imageId = null;
+    this.cropState.view = null;
+  }
+  
+  // Apply crop without downloading
+  async applyCrop() {
+    const edit = this.getCropEdit();
+    if (!edit) {
+      this.showNotification('Kérjük, jelöljön ki egy területet, vagy forgassa el a képet!', 'warning');
+      return;
+    }
+    
+    try {
+      const image = this.images.find(img => img.id == this.cropState.imageId);
+      if (!image) return;
+      
+      // Record the crop after the active edits
+      await this.recordEdit(image, edit);
+      
+      // Update storage statistics
+      this.processingStats.totalProcessed++;
+      
+      // Refresh gallery display
+      this.updateStats();
+      this.renderImages();
+      
+      this.showNotification('Kivágás sikeresen alkalmazva! (Letöltéshez kattints a Letöltés gombra)', 'success');
+      this.closeCropMode();
+      
+    } catch (error) {
+      console.error('Crop failed:', error);
+      this.showNotification('Vágás sikertelen!', 'error');
+    }
+  }
+  
+  async applyCropAndDownload() {
+    const edit = this.getCropEdit();
+    if (!edit) {
+      this.showNotification('Kérjük, jelöljön ki egy területet, vagy forgassa el a képet!', 'warning');
+      return;
+    }
+    
+    try {
+      const image = this.images.find(img => img.id == this.cropState.imageId);
+      if (!image) return;
+      
+      // Render the active edits plus the crop, without adding it to the history
+      const croppedImageData = await this.processCroppedImage(image, edit.steps);
+      
+      // Download the cropped image
+      const baseName = image.name.replace(/\.[^.]+$/, '');
+      this.downloadProcessedImage(croppedImageData, `cropped_${baseName}.${croppedImageData.format}`);
+      
+      this.showNotification('Kivágott kép sikeresen letöltve!', 'success');
+      this.closeCropMode();
+      
+    } catch (error) {
+      console.error('Crop and download failed:', error);
+      this.showNotification('Vágás és letöltés sikertelen!', 'error');
+    }
+  }
+  
+  // The selection as a relative rectangle, previewed on the whole batch
+  applyCropToAll() {
+    const area = this.cropState.cropArea;
+    const { canvas } = this.cropState;
+    if (!area.width || !area.height) {
+      this.showNotification('Kérjük, jelöljön ki egy területet a vágáshoz!', 'warning');
+      return;
+    }
+    
+    const percent = (value, total) => Math.round(value / total * 10000) / 100;
+    const step = {
+      type: 'crop',
+      unit: 'percent',
+      x: percent(area.x, canvas.width),
+      y: percent(area.y, canvas.height),
+      width: percent(area.width, canvas.width),
+      height: percent(area.height, canvas.height)
+    };
+    
+    // Pending rotate/flip/straighten go along, the crop is relative to their result
+    const steps = [...this.getCropGeometrySteps(), step];
+    const label = steps.map(cropStep => this.describeGeometryStep(cropStep)).join(', ');
+    
+    this.closeCropMode();
+    this.previewBatchCrop({ label, steps });
+  }
+  
+  // Professional blur functionality
+  async applyBlurToImage(canvas, blurAmount, blurType = 'all') {
+    return Imaging.applyBlur(canvas, blurAmount, blurType);
+  }
+  
+  // Text or logo watermark, in the same canvas stage as the blur
+  async applyWatermarkToImage(canvas, settings, logo = null) {
+    return Imaging.applyWatermark(canvas, settings, logo);
+  }
+  
+  // Enhanced batch processing with blur
+  async batchApplyBlur() {
+    if (this.images.length === 0) {
+      this.showNotification('Nincs kép a homályosításhoz!', 'warning');
+      return;
+    }
+    
+    const blurAmount = parseFloat(document.getElementById('blurSlider').value || 0);
+    const blurType = document.getElementById('blurType').value;
+    
+    if (blurAmount === 0) {
+      this.showNotification('Állítsa be a homályosítás intenzitását!', 'warning');
+      return;
+    }
+    
+    try {
+      this.showProgressModal('Tömeges homályosítás folyamatban...');
+      
+      for (let i = 0; i < this.images.length; i++) {
+        const image = this.images[i];
+        this.updateProgressModal(`Homályosítás: ${image.name}`, (i / this.images.length) * 100);
+        
+        await this.processImageWithBlur(image.id, blurAmount, blurType);
+      }
+      
+      this.hideProgressModal();
+      this.showNotification(`${this.images.length} kép sikeresen homályosítva!`, 'success');
+      
+    } catch (error) {
+      this.hideProgressModal();
+      console.error('Batch blur failed:', error);
+      this.showNotification('Tömeges homályosítás sikertelen!', 'error');
+    }
+  }
+  
+  // Rotate/flip and straighten every image as one history entry each
+  async batchTransform() {
+    if (this.images.length === 0) {
+      this.showNotification('Nincs feltöltött kép a feldolgozáshoz!', 'warning');
+      return;
+    }
+    
+    const steps = [];
+    const [type, value] = document.getElementById('batchOrientation').value.split(':');
+    if (type === 'rotate') {
+      steps.push({ type: 'rotate', angle: parseInt(value) });
+    } else if (type === 'flip') {
+      steps.push({ type: 'flip', axis: value });
+    }
+    
+    const angle = Math.max(-45, Math.min(45, parseFloat(document.getElementById('batchStraighten').value) || 0));
+    if (angle) {
+      steps.push({ type: 'straighten', angle, autoCrop: true });
+    }
+    
+    if (steps.length === 0) {
+      this.showNotification('Válasszon forgatást, tükrözést vagy kiegyenesítési szöget!', 'warning');
+      return;
+    }
+    
+    const label = steps.map(step => this.describeGeometryStep(step)).join(', ');
+    const { processed } = await this.processBatch(this.images, () => steps, 'Forgatás folyamatban...',
+      (image, transformSteps, onProgress) => this.recordEdit(image, { label, steps: transformSteps }, onProgress));
+    
+    this.processingStats.totalProcessed += processed;
+    this.updateStats();
+    this.renderImages();
+    if (processed > 0) {
+      this.showNotification(`${processed} kép sikeresen elforgatva!`, 'success');
+    }
+  }
+  
+  updateBatchCropMode() {
+    const mode = document.getElementById('batchCropMode').value;
+    document.getElementById('batchCropRatioFields').classList.toggle('hidden', mode !== 'ratio');
+    document.getElementById('batchCropInsetFields').classList.toggle('hidden', mode !== 'inset');
+    document.getElementById('batchCropRelativeFields').classList.toggle('hidden', mode !== 'relative');
+  }
+  
+  // The batch crop form as one history operation; the crop step is a rule
+  // that Pipeline.resolveCrop turns into a rectangle for each image
+  getBatchCropRule() {
+    const mode = document.getElementById('batchCropMode').value;
+    const number = (id) => Math.max(0, parseFloat(document.getElementById(id).value) || 0);
+    
+    if (mode === 'ratio') {
+      const ratioText = document.getElementById('batchCropRatio').value.trim();
+      const ratio = this.parseCropRatio(ratioText);
+      const anchorSelect = document.getElementById('batchCropAnchor');
+      if (!ratio) return null;
+      return {
+        label: `Kivágás ${ratioText} (${anchorSelect.selectedOptions[0].textContent.toLowerCase()})`,
+        steps: [{ type: 'crop', ratio, anchor: anchorSelect.value }]
+      };
+    }
+    
+    if (mode === 'inset') {
+      const step = {
+        type: 'crop',
+        unit: 'inset',
+        top: number('batchCropTop'),
+        right: number('batchCropRight'),
+        bottom: number('batchCropBottom'),
+        left: number('batchCropLeft')
+      };
+      return { label: `Szélek levágása ${step.top}/${step.right}/${step.bottom}/${step.left} px`, steps: [step] };
+    }
+    
+    const step = {
+      type: 'crop',
+      unit: 'percent',
+      x: number('batchCropX'),
+      y: number('batchCropY'),
+      width: number('batchCropWidth'),
+      height: number('batchCropHeight')
+    };
+    if (!step.width || !step.height) return null;
+    return { label: `Kivágás ${step.width}% × ${step.height}%`, steps: [step] };
+  }
+  
+  // Contact sheet of the crop rule on every image before anything is committed
+  async previewBatchCrop(rule = this.getBatchCropRule()) {
+    if (this.images.length === 0) {
+      this.showNotification('Nincs feltöltött kép a vágáshoz!', 'warning');
+      return;
+    }
+    if (!rule) {
+      this.showNotification('Adjon meg érvényes vágási szabályt!', 'warning');
+      return;
+    }
+    
+    this.closeBatchCropPreview();
+    this.batchCropRule = rule;
+    
+    const overlay = document.createElement('div');
+    overlay.id = 'batchCropOverlay';
+    overlay.className = 'fixed inset-0 bg-black bg-opacity-75 z-50 flex items-center justify-center';
+    overlay.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-5xl w-full max-h-full overflow-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-xl font-bold text-gray-800">Kötegelt vágás előnézete – ${this.escapeHtml(rule.label)}</h3>
+          <button onclick="app.closeBatchCropPreview()" class="text-gray-500 hover:text-gray-700">
+            <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>
+          </button>
+        </div>
+        
+        <div class="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4">
+          ${this.images.map(image => `
+            <div class="text-center">
+              <canvas id="batchCropThumb-${image.id}" class="mx-auto bg-gray-100 rounded" style="max-width: 200px; max-height: 200px;"></canvas>
+              <div class="mt-1 text-xs text-gray-700 truncate" title="${this.escapeHtml(image.name)}">${this.escapeHtml(image.name)}</div>
+              <div id="batchCropSize-${image.id}" class="text-xs text-gray-500">…</div>
+            </div>
+          `).join('')}
+        </div>
+        
+        <div class="mt-6 flex justify-end space-x-3">
+          <button onclick="app.closeBatchCropPreview()" class="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600 transition-colors">
+            Mégse
+          </button>
+          <button onclick="app.applyBatchCrop()" class="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors font-medium">
+            Vágás alkalmazása (${this.images.length} kép)
+          </button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    
+    // Thumbnails show the current edit state of each image, drawn one by one
+    for (const image of this.images) {
+      if (this.batchCropRule !== rule) return;
+      try {
+        await this.drawBatchCropThumb(image, rule.steps);
+      } catch (error) {
+        console.error(`Crop preview failed for ${image.name}:`, error);
+        document.getElementById(`batchCropSize-${image.id}`).textContent = 'Előnézet nem elérhető';
+      }
+    }
+  }
+  
+  // `steps` end with the crop; rotate/flip/straighten steps before it are applied to the thumbnail
+  async drawBatchCropThumb(image, steps) {
+    const view = await this.getEditView(image);
+    try {
+      const img = await this.loadImageElement(view.src);
+      const canvas = document.getElementById(`batchCropThumb-${image.id}`);
+      if (!canvas) return;
+      
+      const geometry = steps.slice(0, -1);
+      const size = Pipeline.measure(view.width, view.height, geometry);
+      // Analysis size, so smart crops pick the same focus as the full-resolution render
+      const fit = Math.min(1, SmartCrop.ANALYSIS_SIZE / size.width, SmartCrop.ANALYSIS_SIZE / size.height);
+      let thumb = Imaging.createCanvas(Math.max(1, Math.round(view.width * fit)), Math.max(1, Math.round(view.height * fit)));
+      thumb.getContext('2d').drawImage(img, 0, 0, thumb.width, thumb.height);
+      geometry.forEach(step => {
+        thumb = Pipeline[step.type](thumb, step);
+      });
+      
+      canvas.width = thumb.width;
+      canvas.height = thumb.height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(thumb, 0, 0);
+      
+      // Dim what the crop removes and outline what it keeps
+      const crop = steps[steps.length - 1];
+      const resolved = crop.ratio && crop.anchor === 'smart' ? { ...crop, focus: SmartCrop.findFocus(thumb, crop.ratio) } : crop;
+      const rect = Pipeline.resolveCrop(size.width, size.height, resolved);
+      const scale = canvas.width / size.width;
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.beginPath();
+      ctx.rect(0, 0, canvas.width, canvas.height);
+      ctx.rect(rect.x * scale, rect.y * scale, rect.width * scale, rect.height * scale);
+      ctx.fill('evenodd');
+      ctx.strokeStyle = '#3b82f6';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(rect.x * scale, rect.y * scale, rect.width * scale, rect.height * scale);
+      
+      document.getElementById(`batchCropSize-${image.id}`).textContent = `${rect.width} × ${rect.height} px`;
+    } finally {
+      if (view.temporary) {
+        URL.revokeObjectURL(view.src);
+      }
+    }
+  }
+  
+  closeBatchCropPreview() {
+    const overlay = document.getElementById('batchCropOverlay');
+    if (overlay) {
+      overlay.remove();
+    }
+    this.batchCropRule = null;
+  }
+  
+  async applyBatchCrop() {
+    const rule = this.batchCropRule;
+    if (!rule) return;
+    this.closeBatchCropPreview();
+    
+    const { processed } = await this.processBatch(this.images, () => rule.steps, 'Kötegelt vágás folyamatban...',
+      (image, cropSteps, onProgress) => this.recordEdit(image, { label: rule.label, steps: cropSteps }, onProgress));
+    
+    this.processingStats.totalProcessed += processed;
+    this.updateStats();
+    this.renderImages();
+    if (processed > 0) {
+      this.showNotification(`${processed} kép sikeresen kivágva!`, 'success');
+    }
+  }
+  
+  // Process individual image with blur
+  async processImageWithBlur(imageId, blurAmount, blurType) {
+    const image = this.images.find(img => img.id == imageId);
+    if (!image) return;
+    
+    await this.recordEdit(image, {
+      label: `Homályosítás ${blurAmount}px`,
+      steps: [{ type: 'blur', amount: blurAmount, region: blurType }]
+    });
+    
+    // Update statistics
+    this.processingStats.totalProcessed++;
+  }
+  
+  // The watermark panel as a pipeline step; logos go along as their PNG blob
+  getWatermarkSettings() {
+    const value = (id) => document.getElementById(id).value;
+    const number = (id, fallback) => {
+      const parsed = parseFloat(value(id));
+      return Number.isFinite(parsed) ? parsed : fallback;
+    };
+    
+    const step = {
+      type: 'watermark',
+      kind: value('wmKind'),
+      size: Math.max(1, number('wmSize', 5)),
+      opacity: Math.min(100, Math.max(0, number('wmOpacity', 50))),
+      rotation: number('wmRotation', 0),
+      placement: value('wmPlacement'),
+      position: value('wmPosition'),
+      margin: Math.max(0, number('wmMargin', 4)),
+      spacing: Math.max(0, number('wmSpacing', 10))
+    };
+    
+    if (step.kind === 'logo') {
+      step.logo = this.watermarkLogo ? this.watermarkLogo.blob : null;
+    } else {
+      step.text = value('wmText').trim();
+      step.font = value('wmFont');
+      step.color = value('wmColor');
+    }
+    return step;
+  }
+  
+  describeWatermark(step) {
+    return step.kind === 'logo' ? 'Vízjel: logó' : `Vízjel: „${step.text}”`;
+  }
+  
+  updateWatermarkControls() {
+    const kind = document.getElementById('wmKind').value;
+    const placement = document.getElementById('wmPlacement').value;
+    document.getElementById('wmTextFields').classList.toggle('hidden', kind !== 'text');
+    document.getElementById('wmLogoFields').classList.toggle('hidden', kind !== 'logo');
+    document.getElementById('wmAnchorFields').classList.toggle('hidden', placement !== 'anchor');
+    document.getElementById('wmRepeatFields').classList.toggle('hidden', placement === 'anchor');
+    this.updateWatermarkPreview();
+  }
+  
+  async loadWatermarkLogo(input) {
+    const file = input.files[0];
+    if (!file) return;
+    
+    if (file.type !== 'image/png') {
+      this.showNotification('A logó csak PNG fájl lehet!', 'warning');
+      input.value = '';
+      return;
+    }
+    
+    try {
+      const bitmap = await createImageBitmap(file);
+      if (this.watermarkLogo) {
+        this.watermarkLogo.bitmap.close();
+      }
+      this.watermarkLogo = { blob: file, bitmap };
+      this.updateWatermarkPreview();
+    } catch (error) {
+      console.error('Failed to load watermark logo:', error);
+      this.showNotification('A logó nem tölthető be!', 'error');
+    }
+  }
+  
+  // Sizes are relative to the short side, so the small sample shows the same
+  // layout as the full-resolution output
+  async updateWatermarkPreview() {
+    const canvas = document.getElementById('watermarkPreview');
+    if (!canvas) return;
+    
+    const element = await this.getPreviewSample('watermarkPreview');
+    if (!element) return;
+    
+    this.drawPreviewSample(canvas, element);
+    const settings = this.getWatermarkSettings();
+    await this.applyWatermarkToImage(canvas, settings, this.watermarkLogo ? this.watermarkLogo.bitmap : null);
+  }
+  
+  // Sample of the live previews (watermark, adjustments): the first ticked image,
+  // or the first one, in its current edit state. `prefix` names the preview's
+  // canvas, its "Empty" placeholder and its "Name" caption.
+  async getPreviewSample(prefix) {
+    const image = this.getSelectedImages()[0] || this.images[0];
+    document.getElementById(prefix).classList.toggle('hidden', !image);
+    document.getElementById(`${prefix}Empty`).classList.toggle('hidden', !!image);
+    document.getElementById(`${prefix}Name`).textContent = image ? image.name : '';
+    if (!image) {
+      this.previewSample = null;
+      return null;
+    }
+    
+    const key = `${image.id}:${image.processedSrc || image.src}`;
+    if (!this.previewSample || this.previewSample.key !== key) {
+      this.previewSample = { key, element: this.loadPreviewElement(image) };
+    }
+    const sample = this.previewSample;
+    const element = await sample.element;
+    
+    // A newer sample was requested in the meantime
+    return this.previewSample === sample ? element : null;
+  }
+  
+  async loadPreviewElement(image) {
+    try {
+      const view = await this.getEditView(image);
+      const element = await this.loadImageElement(view.src);
+      if (view.temporary) {
+        URL.revokeObjectURL(view.src);
+      }
+      return element;
+    } catch (error) {
+      console.error('Failed to load the preview sample:', error);
+      return null;
+    }
+  }
+  
+  drawPreviewSample(canvas, element) {
+    const scale = Math.min(1, 480 / Math.max(element.naturalWidth, element.naturalHeight));
+    canvas.width = Math.max(1, Math.round(element.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(element.naturalHeight * scale));
+    Imaging.getContext(canvas).drawImage(element, 0, 0, canvas.width, canvas.height);
+  }
+  
+  updatePreviews() {
+    this.updateWatermarkPreview();
+    this.updateAdjustPreview();
+  }
+  
+  // Watermark the ticked images ('selected'), all of them ('all') or one image (its id)
+  async applyWatermark(scope = 'all') {
+    const images = scope === 'selected' ? this.getSelectedImages()
+      : scope === 'all' ? this.images
+      : this.images.filter(img => img.id == scope);
+    if (images.length === 0) {
+      this.showNotification(scope === 'selected' ? 'Nincs kijelölt kép!' : 'Nincs feltöltött kép a feldolgozáshoz!', 'warning');
+      return;
+    }
+    
+    const step = this.getWatermarkSettings();
+    if (step.kind === 'logo' ? !step.logo : !step.text) {
+      this.showNotification(step.kind === 'logo' ? 'Töltsön fel egy PNG logót!' : 'Adja meg a vízjel szövegét!', 'warning');
+      return;
+    }
+    
+    const label = this.describeWatermark(step);
+    const { processed } = await this.processBatch(images, () => [step], 'Vízjel elhelyezése...',
+      (image, steps, onProgress) => this.recordEdit(image, { label, steps }, onProgress));
+    
+    this.processingStats.totalProcessed += processed;
+    this.updateStats();
+    this.renderImages();
+    if (processed > 0) {
+      this.showNotification(`${processed} kép vízjelezve!`, 'success');
+    }
+  }
+  
+  // Colour and tone panel as a pipeline step
+  getAdjustmentSettings() {
+    const number = (id, fallback) => {
+      const parsed = parseFloat(document.getElementById(id).value);
+      return Number.isFinite(parsed) ? parsed : fallback;
+    };
+    
+    return {
+      type: 'adjust',
+      exposure: number('adjExposure', 0),
+      brightness: number('adjBrightness', 0),
+      contrast: number('adjContrast', 0),
+      saturation: number('adjSaturation', 0),
+      vibrance: number('adjVibrance', 0),
+      temperature: number('adjTemperature', 0),
+      tint: number('adjTint', 0),
+      levels: {
+        inBlack: Math.min(254, Math.max(0, number('adjInBlack', 0))),
+        inWhite: Math.min(255, Math.max(1, number('adjInWhite', 255))),
+        gamma: Math.min(9.99, Math.max(0.1, number('adjGamma', 1))),
+        outBlack: Math.min(255, Math.max(0, number('adjOutBlack', 0))),
+        outWhite: Math.min(255, Math.max(0, number('adjOutWhite', 255)))
+      },
+      curves: JSON.parse(JSON.stringify(this.adjustCurves))
+    };
+  }
+  
+  // Live preview and histogram of the adjusted sample
+  async updateAdjustPreview() {
+    const canvas = document.getElementById('adjustPreview');
+    if (!canvas) return;
+    
+    const settings = this.getAdjustmentSettings();
+    ['Exposure', 'Brightness', 'Contrast', 'Saturation', 'Vibrance', 'Temperature', 'Tint'].forEach(name => {
+      const value = settings[name.charAt(0).toLowerCase() + name.slice(1)];
+      document.getElementById(`adj${name}Value`).textContent = value > 0 ? `+${value}` : String(value);
+    });
+    this.drawCurvesEditor();
+    
+    const element = await this.getPreviewSample('adjustPreview');
+    if (!element) {
+      this.drawHistogram(null);
+      return;
+    }
+    
+    this.drawPreviewSample(canvas, element);
+    const ctx = canvas.getContext('2d');
+    const image = Adjustments.apply(ctx.getImageData(0, 0, canvas.width, canvas.height), settings);
+    ctx.putImageData(image, 0, 0);
+    this.drawHistogram(Adjustments.histogram(image));
+  }
+  
+  // Luma in grey behind the additive red, green and blue channels
+  drawHistogram(histogram) {
+    const canvas = document.getElementById('adjHistogram');
+    if (!canvas) return;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!histogram) return;
+    
+    const peak = Math.max(1, ...['r', 'g', 'b', 'luma'].map(channel => Math.max(...histogram[channel])));
+    const colors = { luma: 'rgba(200, 200, 200, 0.6)', r: 'rgba(255, 60, 60, 0.7)', g: 'rgba(60, 255, 60, 0.7)', b: 'rgba(60, 120, 255, 0.7)' };
+    
+    ['luma', 'r', 'g', 'b'].forEach(channel => {
+      ctx.save();
+      ctx.globalCompositeOperation = channel === 'luma' ? 'source-over' : 'lighter';
+      ctx.fillStyle = colors[channel];
+      ctx.beginPath();
+      ctx.moveTo(0, canvas.height);
+      histogram[channel].forEach((count, value) => {
+        ctx.lineTo(value * canvas.width / 255, canvas.height - Math.sqrt(count / peak) * canvas.height);
+      });
+      ctx.lineTo(canvas.width, canvas.height);
+      ctx.closePath();
+      ctx.fill();
+      ctx.restore();
+    });
+  }
+  
+  setCurveChannel(channel) {
+    this.adjustCurveChannel = channel;
+    this.drawCurvesEditor();
+  }
+  
+  drawCurvesEditor() {
+    const canvas = document.getElementById('adjCurves');
+    if (!canvas) return;
+    
+    const ctx = canvas.getContext('2d');
+    const size = canvas.width;
+    const points = this.adjustCurves[this.adjustCurveChannel];
+    const color = { rgb: '#e5e5e5', r: '#ef4444', g: '#22c55e', b: '#3b82f6' }[this.adjustCurveChannel];
+    
+    ctx.fillStyle = '#171717';
+    ctx.fillRect(0, 0, size, size);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 1;
+    for (let i = 1; i < 4; i++) {
+      ctx.beginPath();
+      ctx.moveTo(i * size / 4, 0);
+      ctx.lineTo(i * size / 4, size);
+      ctx.moveTo(0, i * size / 4);
+      ctx.lineTo(size, i * size / 4);
+      ctx.stroke();
+    }
+    ctx.beginPath();
+    ctx.moveTo(0, size);
+    ctx.lineTo(size, 0);
+    ctx.stroke();
+    
+    const lut = Adjustments.curveLUT(points);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    lut.forEach((output, input) => {
+      const x = input * size / 255;
+      const y = size - output * size / 255;
+      if (input === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.stroke();
+    
+    ctx.fillStyle = color;
+    points.forEach(([input, output]) => {
+      ctx.beginPath();
+      ctx.arc(input * size / 255, size - output * size / 255, 4, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+  
+  // Points stay sorted by input; a dragged point cannot pass its neighbours
+  setupCurvesEditor() {
+    const canvas = document.getElementById('adjCurves');
+    if (!canvas) return;
+    
+    let dragging = -1;
+    canvas.style.touchAction = 'none';
+    const getPoint = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return [
+        Math.round(Math.max(0, Math.min(255, (e.clientX - rect.left) / rect.width * 255))),
+        Math.round(Math.max(0, Math.min(255, 255 - (e.clientY - rect.top) / rect.height * 255)))
+      ];
+    };
+    const findPoint = ([input, output]) => this.adjustCurves[this.adjustCurveChannel]
+      .findIndex(point => Math.abs(point[0] - input) <= 8 && Math.abs(point[1] - output) <= 8);
+    
+    canvas.addEventListener('pointerdown', (e) => {
+      canvas.setPointerCapture(e.pointerId);
+      const point = getPoint(e);
+      const points = this.adjustCurves[this.adjustCurveChannel];
+      dragging = findPoint(point);
+      if (dragging === -1 && !points.some(([input]) => input === point[0])) {
+        points.push(point);
+        points.sort((a, b) => a[0] - b[0]);
+        dragging = points.indexOf(point);
+        this.updateAdjustPreview();
+      }
+    });
+    
+    canvas.addEventListener('pointermove', (e) => {
+      if (dragging === -1) return;
+      const points = this.adjustCurves[this.adjustCurveChannel];
+      const [input, output] = getPoint(e);
+      const min = dragging > 0 ? points[dragging - 1][0] + 1 : 0;
+      const max = dragging < points.length - 1 ? points[dragging + 1][0] - 1 : 255;
+      points[dragging] = [Math.max(min, Math.min(max, input)), output];
+      this.updateAdjustPreview();
+    });
+    
+    const finish = () => {
+      dragging = -1;
+    };
+    canvas.addEventListener('pointerup', finish);
+    canvas.addEventListener('pointercancel', finish);
+    
+    canvas.addEventListener('dblclick', (e) => {
+      const points = this.adjustCurves[this.adjustCurveChannel];
+      const index = findPoint(getPoint(e));
+      if (index !== -1 && points.length > 2) {
+        points.splice(index, 1);
+        this.updateAdjustPreview();
+      }
+    });
+  }
+  
+  resetAdjustments() {
+    ['Exposure', 'Brightness', 'Contrast', 'Saturation', 'Vibrance', 'Temperature', 'Tint', 'InBlack', 'OutBlack'].forEach(name => {
+      document.getElementById(`adj${name}`).value = 0;
+    });
+    document.getElementById('adjGamma').value = 1;
+    document.getElementById('adjInWhite').value = 255;
+    document.getElementById('adjOutWhite').value = 255;
+    this.adjustCurves = JSON.parse(JSON.stringify(Adjustments.DEFAULTS.curves));
+    this.updateAdjustPreview();
+  }
+  
+  // Adjust the ticked images ('selected'), all of them ('all') or one image (its id)
+  async applyAdjustments(scope = 'all') {
+    const images = scope === 'selected' ? this.getSelectedImages()
+      : scope === 'all' ? this.images
+      : this.images.filter(img => img.id == scope);
+    if (images.length === 0) {
+      this.showNotification(scope === 'selected' ? 'Nincs kijelölt kép!' : 'Nincs feltöltött kép a feldolgozáshoz!', 'warning');
+      return;
+    }
+    
+    const step = this.getAdjustmentSettings();
+    if (Adjustments.isIdentity(step)) {
+      this.showNotification('Állítson be legalább egy korrekciót!', 'warning');
+      return;
+    }
+    
+    const { processed } = await this.processBatch(images, () => [step], 'Színkorrekció folyamatban...',
+      (image, steps, onProgress) => this.recordEdit(image, { label: 'Színkorrekció', steps }, onProgress));
+    
+    this.processingStats.totalProcessed += processed;
+    this.updateStats();
+    this.renderImages();
+    if (processed > 0) {
+      this.showNotification(`${processed} kép színkorrigálva!`, 'success');
+    }
+  }
+  
+  // Redaction editor: regions drawn on the current edit state, kept in percent
+  // of its size so they can be saved as a template and reused on other images
+  async openRedactionEditor(imageId) {
+    const image = this.images.find(img => img.id == imageId);
+    if (!image) return;
+    
+    let view;
+    try {
+      view = await this.getEditView(image);
+    } catch (error) {
+      console.error('Failed to render the current edit state:', error);
+      this.showNotification('A kép aktuális állapota nem jeleníthető meg!', 'error');
+      return;
+    }
+    
+    this.redactState = { imageId, view, base: null, canvas: null, regions: [], selected: -1 };
+    this.createRedactOverlay(view);
+    
+    try {
+      const element = await this.loadImageElement(view.src);
+      const fit = Math.min(1, 800 / view.width, 600 / view.height);
+      const base = Imaging.createCanvas(Math.max(1, Math.round(view.width * fit)), Math.max(1, Math.round(view.height * fit)));
+      Imaging.getContext(base).drawImage(element, 0, 0, base.width, base.height);
+      this.redactState.base = base;
+      this.setupRedactInteraction(document.getElementById('redactCanvas'));
+      this.drawRedactCanvas();
+    } catch (error) {
+      console.error('Failed to load the image for redaction:', error);
+      this.showNotification('A kép nem tölthető be!', 'error');
+      this.closeRedactionEditor();
+    }
+  }
+  
+  createRedactOverlay(view) {
+    const existingOverlay = document.getElementById('redactOverlay');
+    if (existingOverlay) {
+      existingOverlay.remove();
+    }
+    
+    const overlay = document.createElement('div');
+    overlay.id = 'redactOverlay';
+    overlay.className = 'fixed inset-0 bg-black bg-opacity-75 z-50 flex items-center justify-center';
+    overlay.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-4xl max-h-full overflow-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-xl font-bold text-gray-800">Kitakarás (arcok, rendszámok, dokumentumok)</h3>
+          <button onclick="app.closeRedactionEditor()" class="text-gray-500 hover:text-gray-700">
+            <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>
+          </button>
+        </div>
+        
+        <!-- Tool settings; they also change the selected region -->
+        <div class="mb-4 flex flex-wrap items-center gap-3 text-sm text-gray-700">
+          <label class="flex items-center space-x-1"><span>Alakzat:</span>
+            <select id="redactShape" onchange="app.updateRedactTool()" class="px-3 py-1 border border-gray-300 rounded-md text-sm">
+              <option value="rect">Téglalap</option>
+              <option value="ellipse">Ellipszis</option>
+            </select>
+          </label>
+          <label class="flex items-center space-x-1"><span>Módszer:</span>
+            <select id="redactMode" onchange="app.updateRedactTool()" class="px-3 py-1 border border-gray-300 rounded-md text-sm">
+              <option value="pixelate">Pixelesítés (mozaik)</option>
+              <option value="blur">Gauss-elmosás</option>
+              <option value="fill">Kitöltés</option>
+            </select>
+          </label>
+          <label class="flex items-center space-x-1"><span>Erősség (%):</span>
+            <input type="number" id="redactStrength" min="0.5" max="20" step="0.5" value="3" onchange="app.updateRedactTool()" class="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm">
+          </label>
+          <label class="flex items-center space-x-1"><span>Szín:</span>
+            <input type="color" id="redactColor" value="#000000" oninput="app.updateRedactTool()" class="h-8 w-10 border border-gray-300 rounded">
+          </label>
+        </div>
+        
+        <div class="relative bg-gray-100 rounded-lg overflow-hidden" style="max-width: 800px; max-height: 600px;">
+          <canvas id="redactCanvas" class="block mx-auto cursor-crosshair"></canvas>
+        </div>
+        <p class="mt-2 text-xs text-gray-500">Húzással új terület, kattintással kijelölés és mozgatás, Delete: a kijelölt terület törlése. Méret: ${view.width} × ${view.height} px</p>
+        
+        <div id="redactRegions" class="mt-4 space-y-1 text-sm"></div>
+        
+        <!-- Templates: the same regions on any image -->
+        <div class="mt-4 flex flex-wrap items-center gap-2 text-sm text-gray-700">
+          <select id="redactTemplateSelect" onchange="app.loadRedactionTemplate(this.value)" class="px-3 py-1 border border-gray-300 rounded-md text-sm"></select>
+          <input type="text" id="redactTemplateName" placeholder="Sablon neve" class="px-2 py-1 border border-gray-300 rounded-md text-sm">
+          <button onclick="app.saveRedactionTemplate()" class="px-3 py-1 bg-gray-200 text-gray-700 rounded-md text-sm hover:bg-gray-300 transition-colors">Sablon mentése</button>
+          <button onclick="app.deleteRedactionTemplate()" class="px-3 py-1 bg-red-100 text-red-700 rounded-md text-sm hover:bg-red-200 transition-colors">Sablon törlése</button>
+        </div>
+        
+        <div class="mt-6 flex justify-end space-x-3">
+          <button onclick="app.closeRedactionEditor()" class="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600 transition-colors">
+            Mégse
+          </button>
+          <button onclick="app.applyRedaction('image')" class="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors font-medium">
+            Kitakarás Alkalmazása
+          </button>
+          <button onclick="app.applyRedaction('selected')" class="px-4 py-2 bg-cyan-600 text-white rounded-md hover:bg-cyan-700 transition-colors font-medium">
+            Kijelöltekre
+          </button>
+          <button onclick="app.applyRedaction('all')" class="px-4 py-2 bg-cyan-700 text-white rounded-md hover:bg-cyan-800 transition-colors font-medium">
+            Minden képre
+          </button>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(overlay);
+    this.renderRedactionTemplateLists();
+    this.renderRedactRegionList();
+  }
+  
+  // The preview is the real redaction at display size, with outlines on top
+  drawRedactCanvas() {
+    const { base, regions, selected } = this.redactState;
+    const canvas = document.getElementById('redactCanvas');
+    if (!canvas || !base) return;
+    
+    canvas.width = base.width;
+    canvas.height = base.height;
+    canvas.style.maxWidth = '100%';
+    canvas.style.height = 'auto';
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(base, 0, 0);
+    Imaging.applyRedaction(canvas, regions);
+    
+    regions.forEach((region, index) => {
+      const x = region.x * canvas.width / 100;
+      const y = region.y * canvas.height / 100;
+      const width = region.width * canvas.width / 100;
+      const height = region.height * canvas.height / 100;
+      
+      ctx.save();
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = index === selected ? '#3b82f6' : 'rgba(255, 255, 255, 0.8)';
+      ctx.setLineDash(index === selected ? [] : [6, 4]);
+      ctx.beginPath();
+      if (region.shape === 'ellipse') {
+        ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+      } else {
+        ctx.rect(x, y, width, height);
+      }
+      ctx.stroke();
+      ctx.restore();
+    });
   }
   
-  updateHandlePositions() {
-    const handles = document.getElementById('cropHandles').children;
-    const area = this.cropState.cropArea;
+  setupRedactInteraction(canvas) {
+    let drawing = null;
+    let moving = null;
     
-    // Position handles around the selection
-    handles[0].style.left = area.x + 'px'; // nw
-    handles[0].style.top = area.y + 'px';
-    
-    handles[1].style.left = (area.x + area.width / 2) + 'px'; // n
-    handles[1].style.top = area.y + 'px';
-    
-    handles[2].style.left = (area.x + area.width) + 'px'; // ne
-    handles[2].style.top = area.y + 'px';
-    
-    handles[3].style.left = (area.x + area.width) + 'px'; // e
-    handles[3].style.top = (area.y + area.height / 2) + 'px';
+    // Points in percent of the image, whatever size the canvas is shown at
+    canvas.style.touchAction = 'none';
+    const getPoint = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return {
+        x: Math.max(0, Math.min(100, (e.clientX - rect.left) / rect.width * 100)),
+        y: Math.max(0, Math.min(100, (e.clientY - rect.top) / rect.height * 100))
+      };
+    };
     
-    handles[4].style.left = (area.x + area.width) + 'px'; // se
-    handles[4].style.top = (area.y + area.height) + 'px';
+    canvas.addEventListener('pointerdown', (e) => {
+      canvas.setPointerCapture(e.pointerId);
+      const point = getPoint(e);
+      const index = this.getRedactRegionAt(point.x, point.y);
+      
+      if (index !== -1) {
+        const region = this.redactState.regions[index];
+        moving = { region, dx: point.x - region.x, dy: point.y - region.y };
+        this.selectRedactRegion(index);
+        return;
+      }
+      
+      const tool = this.getRedactTool();
+      drawing = { ...tool, x: point.x, y: point.y, width: 0, height: 0, startX: point.x, startY: point.y };
+      this.redactState.regions.push(drawing);
+      this.redactState.selected = this.redactState.regions.length - 1;
+    });
     
-    handles[5].style.left = (area.x + area.width / 2) + 'px'; // s
-    handles[5].style.top = (area.y + area.height) + 'px';
+    canvas.addEventListener('pointermove', (e) => {
+      const point = getPoint(e);
+      if (drawing) {
+        drawing.x = Math.min(point.x, drawing.startX);
+        drawing.y = Math.min(point.y, drawing.startY);
+        drawing.width = Math.abs(point.x - drawing.startX);
+        drawing.height = Math.abs(point.y - drawing.startY);
+        this.drawRedactCanvas();
+      } else if (moving) {
+        moving.region.x = Math.max(0, Math.min(100 - moving.region.width, point.x - moving.dx));
+        moving.region.y = Math.max(0, Math.min(100 - moving.region.height, point.y - moving.dy));
+        this.drawRedactCanvas();
+      }
+    });
     
-    handles[6].style.left = area.x + 'px'; // sw
-    handles[6].style.top = (area.y + area.height) + 'px';
+    const finish = () => {
+      if (drawing) {
+        delete drawing.startX;
+        delete drawing.startY;
+        // A click without a drag does not leave an empty region behind
+        if (drawing.width < 0.5 || drawing.height < 0.5) {
+          this.redactState.regions.pop();
+          this.redactState.selected = -1;
+        }
+      }
+      drawing = null;
+      moving = null;
+      this.drawRedactCanvas();
+      this.renderRedactRegionList();
+    };
+    canvas.addEventListener('pointerup', finish);
+    canvas.addEventListener('pointercancel', finish);
     
-    handles[7].style.left = area.x + 'px'; // w
-    handles[7].style.top = (area.y + area.height / 2) + 'px';
+    this.redactState.keyHandler = (e) => {
+      if (e.key !== 'Delete' && e.key !== 'Backspace') return;
+      if (e.target.closest('input, textarea, select')) return;
+      if (this.redactState.selected === -1) return;
+      
+      e.preventDefault();
+      this.removeRedactRegion(this.redactState.selected);
+    };
+    document.addEventListener('keydown', this.redactState.keyHandler);
   }
   
-  setCropAspectRatio(ratio) {
-    this.processingOptions.cropAspectRatio = ratio;
-    if (this.cropState.cropArea.width > 0 && this.cropState.cropArea.height > 0) {
-      this.constrainToAspectRatio();
-      this.updateCropSelection();
+  // Topmost region under the point (regions drawn later are on top)
+  getRedactRegionAt(x, y) {
+    const regions = this.redactState.regions;
+    for (let i = regions.length - 1; i >= 0; i--) {
+      const region = regions[i];
+      if (x >= region.x && x <= region.x + region.width && y >= region.y && y <= region.y + region.height) {
+        return i;
+      }
     }
+    return -1;
   }
   
-  resetCropSelection() {
-    this.cropState.cropArea = { x: 0, y: 0, width: 0, height: 0 };
-    this.updateCropSelection();
+  getRedactTool() {
+    return {
+      shape: document.getElementById('redactShape').value,
+      mode: document.getElementById('redactMode').value,
+      strength: Math.max(0.5, parseFloat(document.getElementById('redactStrength').value) || 3),
+      color: document.getElementById('redactColor').value
+    };
   }
   
-  closeCropMode() {
-    const overlay = document.getElementById('cropOverlay');
-    if (overlay) {
-      overlay.remove();
+  // The tool settings apply to new regions and to the selected one
+  updateRedactTool() {
+    const region = this.redactState.regions[this.redactState.selected];
+    if (region) {
+      Object.assign(region, this.getRedactTool());
+      this.drawRedactCanvas();
+      this.renderRedactRegionList();
     }
-    this.cropState.active = false;
-    this.cropState.imageId = null;
   }
   
-  // Apply crop without downloading
-  async applyCrop() {
-    if (!this.cropState.cropArea.width || !this.cropState.cropArea.height) {
-      this.showNotification('Kérjük, jelöljön ki egy területet a vágáshoz!', 'warning');
-      return;
+  selectRedactRegion(index) {
+    this.redactState.selected = index;
+    const region = this.redactState.regions[index];
+    if (region) {
+      document.getElementById('redactShape').value = region.shape;
+      document.getElementById('redactMode').value = region.mode;
+      document.getElementById('redactStrength').value = region.strength;
+      document.getElementById('redactColor').value = region.color;
     }
+    this.drawRedactCanvas();
+    this.renderRedactRegionList();
+  }
+  
+  removeRedactRegion(index) {
+    this.redactState.regions.splice(index, 1);
+    this.redactState.selected = -1;
+    this.drawRedactCanvas();
+    this.renderRedactRegionList();
+  }
+  
+  renderRedactRegionList() {
+    const container = document.getElementById('redactRegions');
+    if (!container) return;
     
-    try {
-      const image = this.images.find(img => img.id == this.cropState.imageId);
-      if (!image) return;
-      
-      // Convert canvas coordinates back to original image coordinates
-      const scale = this.cropState.scale;
-      const cropArea = {
-        x: Math.round(this.cropState.cropArea.x / scale),
-        y: Math.round(this.cropState.cropArea.y / scale),
-        width: Math.round(this.cropState.cropArea.width / scale),
-        height: Math.round(this.cropState.cropArea.height / scale)
-      };
-      
-      // Get selected algorithm
-      const algorithm = document.getElementById('cropAlgorithm').value;
-      
-      // Process cropped image with lossless quality
-      const croppedImageData = await this.processCroppedImage(image, cropArea, algorithm);
-      
-      // Update image with cropped version
-      image.processed = true;
-      image.processedSrc = croppedImageData.dataUrl;
-      image.processedSize = croppedImageData.size || this.calculateDataUrlSize(croppedImageData.dataUrl);
-      image.processedFormat = 'png';
-      image.processedDimensions = { width: croppedImageData.width, height: croppedImageData.height };
-      
-      // Update storage statistics
-      this.storageData.compressedSize += image.processedSize;
-      this.processingStats.totalProcessed++;
-      
-      // Refresh gallery display
-      this.updateImageGallery();
-      
-      this.showNotification('Kivágás sikeresen alkalmazva! (Letöltéshez kattints a Letöltés gombra)', 'success');
-      this.closeCropMode();
-      
-    } catch (error) {
-      console.error('Crop failed:', error);
-      this.showNotification('Vágás sikertelen!', 'error');
+    const { regions, selected } = this.redactState;
+    if (regions.length === 0) {
+      container.innerHTML = '<p class="text-gray-500">Még nincs kitakart terület.</p>';
+      return;
     }
+    
+    const shapes = { rect: 'Téglalap', ellipse: 'Ellipszis' };
+    const modes = { blur: 'Gauss-elmosás', pixelate: 'Pixelesítés', fill: 'Kitöltés' };
+    container.innerHTML = regions.map((region, index) => `
+      <div class="flex items-center gap-2 px-2 py-1 rounded ${index === selected ? 'bg-blue-100' : 'hover:bg-gray-100'}">
+        <button onclick="app.selectRedactRegion(${index})" class="flex-1 text-left text-gray-700">
+          ${index + 1}. ${shapes[region.shape]} – ${modes[region.mode]}${region.mode === 'fill' ? '' : ` (${region.strength}%)`}
+        </button>
+        <button onclick="app.removeRedactRegion(${index})" class="text-red-600 hover:text-red-800" title="Terület törlése">✕</button>
+      </div>
+    `).join('');
   }
   
-  async applyCropAndDownload() {
-    if (!this.cropState.cropArea.width || !this.cropState.cropArea.height) {
-      this.showNotification('Kérjük, jelöljön ki egy területet a vágáshoz!', 'warning');
+  getRedactStep(regions) {
+    return { type: 'redact', regions: regions.map(({ shape, x, y, width, height, mode, strength, color }) => ({ shape, x, y, width, height, mode, strength, color })) };
+  }
+  
+  // The editor's regions on its image ('image'), the ticked images or all of them
+  async applyRedaction(scope = 'image') {
+    const regions = this.redactState.regions;
+    if (regions.length === 0) {
+      this.showNotification('Jelöljön ki legalább egy kitakarandó területet!', 'warning');
       return;
     }
     
-    try {
-      const image = this.images.find(img => img.id == this.cropState.imageId);
-      if (!image) return;
-      
-      // Convert canvas coordinates back to original image coordinates
-      const scale = this.cropState.scale;
-      const cropArea = {
-        x: Math.round(this.cropState.cropArea.x / scale),
-        y: Math.round(this.cropState.cropArea.y / scale),
-        width: Math.round(this.cropState.cropArea.width / scale),
-        height: Math.round(this.cropState.cropArea.height / scale)
-      };
-      
-      // Get selected algorithm
-      const algorithm = document.getElementById('cropAlgorithm').value;
-      
-      // Process cropped image with lossless quality
-      const croppedImageData = await this.processCroppedImage(image, cropArea, algorithm);
-      
-      // Download the cropped image
-      this.downloadProcessedImage(croppedImageData, `cropped_${image.name}`);
-      
-      this.showNotification('Kivágott kép sikeresen letöltve!', 'success');
-      this.closeCropMode();
-      
-    } catch (error) {
-      console.error('Crop and download failed:', error);
-      this.showNotification('Vágás és letöltés sikertelen!', 'error');
+    const images = scope === 'image' ? this.images.filter(img => img.id == this.redactState.imageId) : scope === 'selected' ? this.getSelectedImages() : this.images;
+    if (images.length === 0) {
+      this.showNotification('Nincs kijelölt kép!', 'warning');
+      return;
     }
+    
+    const step = this.getRedactStep(regions);
+    this.closeRedactionEditor();
+    await this.redactImages(images, step);
   }
   
-  // Helper function to calculate data URL size
-  calculateDataUrlSize(dataUrl) {
-    const base64Length = dataUrl.split(',')[1].length;
-    return Math.round(base64Length * 0.75);
+  async redactImages(images, step) {
+    const label = `Kitakarás (${step.regions.length} terület)`;
+    const { processed } = await this.processBatch(images, () => [step], 'Kitakarás folyamatban...',
+      (image, steps, onProgress) => this.recordEdit(image, { label, steps }, onProgress));
+    
+    this.processingStats.totalProcessed += processed;
+    this.updateStats();
+    this.renderImages();
+    if (processed > 0) {
+      this.showNotification(`${processed} kép kitakarva!`, 'success');
+    }
   }
   
-  // Professional blur functionality
-  async applyBlurToImage(canvas, blurAmount, blurType = 'all') {
-    if (blurAmount === 0) return canvas;
-    
-    const ctx = canvas.getContext('2d');
-    const width = canvas.width;
-    const height = canvas.height;
-    
-    // Create a copy of the original canvas
-    const originalCanvas = document.createElement('canvas');
-    const originalCtx = originalCanvas.getContext('2d');
-    originalCanvas.width = width;
-    originalCanvas.height = height;
-    originalCtx.drawImage(canvas, 0, 0);
-    
-    // Apply CSS filter blur (fastest method)
-    ctx.filter = `blur(${blurAmount}px)`;
-    
-    switch (blurType) {
-      case 'all':
-        // Blur entire image
-        ctx.clearRect(0, 0, width, height);
-        ctx.drawImage(originalCanvas, 0, 0);
-        break;
-        
-      case 'top':
-        // Blur top 33%
-        const topHeight = Math.round(height * 0.33);
-        ctx.clearRect(0, 0, width, topHeight);
-        ctx.drawImage(originalCanvas, 0, 0, width, topHeight, 0, 0, width, topHeight);
-        // Restore bottom part without blur
-        ctx.filter = 'none';
-        ctx.drawImage(originalCanvas, 0, topHeight, width, height - topHeight, 0, topHeight, width, height - topHeight);
-        break;
-        
-      case 'bottom':
-        // Blur bottom 33%
-        const bottomStart = Math.round(height * 0.67);
-        ctx.filter = 'none';
-        ctx.clearRect(0, 0, width, height);
-        ctx.drawImage(originalCanvas, 0, 0, width, bottomStart, 0, 0, width, bottomStart);
-        // Apply blur to bottom
-        ctx.filter = `blur(${blurAmount}px)`;
-        ctx.drawImage(originalCanvas, 0, bottomStart, width, height - bottomStart, 0, bottomStart, width, height - bottomStart);
-        break;
-        
-      case 'center':
-        // Blur center 33%
-        const centerStart = Math.round(height * 0.33);
-        const centerEnd = Math.round(height * 0.67);
-        ctx.filter = 'none';
-        ctx.clearRect(0, 0, width, height);
-        // Top part (no blur)
-        ctx.drawImage(originalCanvas, 0, 0, width, centerStart, 0, 0, width, centerStart);
-        // Bottom part (no blur)
-        ctx.drawImage(originalCanvas, 0, centerEnd, width, height - centerEnd, 0, centerEnd, width, height - centerEnd);
-        // Center part (with blur)
-        ctx.filter = `blur(${blurAmount}px)`;
-        ctx.drawImage(originalCanvas, 0, centerStart, width, centerEnd - centerStart, 0, centerStart, width, centerEnd - centerStart);
-        break;
-        
-      case 'edges':
-        // Blur edges (25% from each side)
-        const edgeSize = Math.round(width * 0.25);
-        const centerWidth = width - (edgeSize * 2);
-        ctx.filter = 'none';
-        ctx.clearRect(0, 0, width, height);
-        // Center area (no blur)
-        ctx.drawImage(originalCanvas, edgeSize, 0, centerWidth, height, edgeSize, 0, centerWidth, height);
-        // Left and right edges (with blur)
-        ctx.filter = `blur(${blurAmount}px)`;
-        ctx.drawImage(originalCanvas, 0, 0, edgeSize, height, 0, 0, edgeSize, height); // Left
-        ctx.drawImage(originalCanvas, width - edgeSize, 0, edgeSize, height, width - edgeSize, 0, edgeSize, height); // Right
-        break;
+  closeRedactionEditor() {
+    const overlay = document.getElementById('redactOverlay');
+    if (overlay) {
+      overlay.remove();
     }
+    if (!this.redactState) return;
     
-    // Reset filter
-    ctx.filter = 'none';
-    
-    return canvas;
+    if (this.redactState.view && this.redactState.view.temporary) {
+      URL.revokeObjectURL(this.redactState.view.src);
+    }
+    if (this.redactState.keyHandler) {
+      document.removeEventListener('keydown', this.redactState.keyHandler);
+    }
+    this.redactState = null;
   }
   
-  // Enhanced batch processing with blur
-  async batchApplyBlur() {
-    if (this.images.length === 0) {
-      this.showNotification('Nincs kép a homályosításhoz!', 'warning');
+  // Redaction templates ({ name, regions }), saved like the recipes
+  saveRedactionTemplate() {
+    const name = document.getElementById('redactTemplateName').value.trim();
+    if (!name) {
+      this.showNotification('Adjon nevet a sablonnak!', 'warning');
       return;
     }
-    
-    const blurAmount = parseFloat(document.getElementById('blurSlider').value || 0);
-    const blurType = document.getElementById('blurType').value;
-    
-    if (blurAmount === 0) {
-      this.showNotification('Állítsa be a homályosítás intenzitását!', 'warning');
+    if (this.redactState.regions.length === 0) {
+      this.showNotification('Jelöljön ki legalább egy kitakarandó területet!', 'warning');
       return;
     }
     
-    try {
-      this.showProgressModal('Tömeges homályosítás folyamatban...');
-      
-      for (let i = 0; i < this.images.length; i++) {
-        const image = this.images[i];
-        this.updateProgressModal(`Homályosítás: ${image.name}`, (i / this.images.length) * 100);
-        
-        await this.processImageWithBlur(image.id, blurAmount, blurType);
-      }
-      
-      this.hideProgressModal();
-      this.showNotification(`${this.images.length} kép sikeresen homályosítva!`, 'success');
-      
-    } catch (error) {
-      this.hideProgressModal();
-      console.error('Batch blur failed:', error);
-      this.showNotification('Tömeges homályosítás sikertelen!', 'error');
+    const template = { name, regions: this.getRedactStep(this.redactState.regions).regions };
+    const index = this.redactionTemplates.findIndex(existing => existing.name === name);
+    if (index === -1) {
+      this.redactionTemplates.push(template);
+    } else {
+      this.redactionTemplates[index] = template;
     }
+    this.persistRedactionTemplates();
+    this.renderRedactionTemplateLists(name);
+    this.showNotification(`„${name}” sablon mentve!`, 'success');
   }
   
-  // Process individual image with blur
-  async processImageWithBlur(imageId, blurAmount, blurType) {
-    const image = this.images.find(img => img.id == imageId);
-    if (!image) return;
+  loadRedactionTemplate(name) {
+    const template = this.redactionTemplates.find(existing => existing.name === name);
+    if (!template) return;
+    
+    this.redactState.regions = template.regions.map(region => ({ ...region }));
+    this.redactState.selected = -1;
+    document.getElementById('redactTemplateName').value = name;
+    this.drawRedactCanvas();
+    this.renderRedactRegionList();
+  }
+  
+  deleteRedactionTemplate() {
+    const name = document.getElementById('redactTemplateSelect').value;
+    if (!name || !confirm(`Biztosan törli a(z) „${name}” sablont?`)) return;
+    
+    this.redactionTemplates = this.redactionTemplates.filter(template => template.name !== name);
+    this.persistRedactionTemplates();
+    this.renderRedactionTemplateLists();
+    this.showNotification('Sablon törölve!', 'info');
+  }
+  
+  persistRedactionTemplates() {
+    if (!this.library) return;
     
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.crossOrigin = 'anonymous';
-      
-      img.onload = async () => {
-        try {
-          // Create canvas with original image
-          const canvas = document.createElement('canvas');
-          const ctx = canvas.getContext('2d');
-          canvas.width = img.naturalWidth;
-          canvas.height = img.naturalHeight;
-          
-          ctx.imageSmoothingEnabled = true;
-          ctx.imageSmoothingQuality = 'high';
-          ctx.drawImage(img, 0, 0);
-          
-          // Apply blur effect
-          const blurredCanvas = await this.applyBlurToImage(canvas, blurAmount, blurType);
-          
-          // Convert to high-quality PNG
-          const dataUrl = blurredCanvas.toDataURL('image/png');
-          
-          // Update image data
-          image.processed = true;
-          image.processedSrc = dataUrl;
-          image.processedSize = this.calculateDataUrlSize(dataUrl);
-          image.processedFormat = 'png';
-          image.processedDimensions = { width: canvas.width, height: canvas.height };
-          
-          // Update statistics
-          this.storageData.compressedSize += image.processedSize;
-          this.processingStats.totalProcessed++;
-          
-          resolve();
-          
-        } catch (error) {
-          reject(error);
-        }
-      };
-      
-      img.onerror = () => reject(new Error('Failed to load image for blur processing'));
-      img.src = image.src;
-    });
+    this.library.saveMeta('redactionTemplates', this.redactionTemplates)
+      .catch(error => console.error('Failed to save redaction templates:', error));
   }
   
-  async processCroppedImage(image, cropArea, algorithm = 'lanczos') {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.crossOrigin = 'anonymous';
-      
-      img.onload = async () => {
-        try {
-          // Create source canvas with full image
-          const sourceCanvas = document.createElement('canvas');
-          const sourceCtx = sourceCanvas.getContext('2d');
-          sourceCanvas.width = img.naturalWidth;
-          sourceCanvas.height = img.naturalHeight;
-          
-          sourceCtx.imageSmoothingEnabled = true;
-          sourceCtx.imageSmoothingQuality = 'high';
-          sourceCtx.drawImage(img, 0, 0);
-          
-          // Create target canvas for cropped area
-          const targetCanvas = document.createElement('canvas');
-          const targetCtx = targetCanvas.getContext('2d');
-          targetCanvas.width = cropArea.width;
-          targetCanvas.height = cropArea.height;
-          
-          // Extract cropped portion using high-quality algorithms
-          if (window.pica && algorithm === 'lanczos') {
-            // Use Pica for highest quality cropping
-            const pica = window.pica();
-            
-            // Create intermediate canvas with crop area
-            const cropCanvas = document.createElement('canvas');
-            const cropCtx = cropCanvas.getContext('2d');
-            cropCanvas.width = cropArea.width;
-            cropCanvas.height = cropArea.height;
-            
-            // Extract the crop area
-            const imageData = sourceCtx.getImageData(cropArea.x, cropArea.y, cropArea.width, cropArea.height);
-            cropCtx.putImageData(imageData, 0, 0);
-            
-            // Use Pica for any additional processing if needed
-            await pica.resize(cropCanvas, targetCanvas, {
-              quality: 3,
-              alpha: true,
-              filter: 'lanczos3'
-            });
-          } else {
-            // Direct high-quality crop
-            targetCtx.imageSmoothingEnabled = true;
-            targetCtx.imageSmoothingQuality = 'high';
-            
-            targetCtx.drawImage(
-              sourceCanvas,
-              cropArea.x, cropArea.y, cropArea.width, cropArea.height,
-              0, 0, cropArea.width, cropArea.height
-            );
-          }
-          
-          // Convert to high-quality PNG (lossless)
-          const dataUrl = targetCanvas.toDataURL('image/png');
-          
-          resolve({
-            dataUrl: dataUrl,
-            width: cropArea.width,
-            height: cropArea.height,
-            format: 'png'
-          });
-          
-        } catch (error) {
-          reject(error);
-        }
-      };
-      
-      img.onerror = () => reject(new Error('Failed to load image for cropping'));
-      img.src = image.src;
+  // The editor's and the batch panel's template lists
+  renderRedactionTemplateLists(selected = '') {
+    const options = this.renderSelectOptions(
+      this.redactionTemplates.map(template => [this.escapeHtml(template.name), this.escapeHtml(template.name)]),
+      this.escapeHtml(selected)
+    );
+    ['redactTemplateSelect', 'batchRedactTemplate'].forEach(id => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.innerHTML = '<option value="">– Kitakarási sablonok –</option>' + options;
+      }
     });
   }
   
+  // Batch panel: a saved template on the ticked images or on all of them
+  async applyRedactionTemplate(scope = 'all') {
+    const template = this.redactionTemplates.find(existing => existing.name === document.getElementById('batchRedactTemplate').value);
+    if (!template) {
+      this.showNotification('Válasszon kitakarási sablont! (A kártyák Kitakarás szerkesztőjében menthető.)', 'warning');
+      return;
+    }
+    
+    const images = scope === 'selected' ? this.getSelectedImages() : this.images;
+    if (images.length === 0) {
+      this.showNotification(scope === 'selected' ? 'Nincs kijelölt kép!' : 'Nincs feltöltött kép a feldolgozáshoz!', 'warning');
+      return;
+    }
+    
+    await this.redactImages(images, this.getRedactStep(template.regions));
+  }
+  
+  // Crop rectangle in pixels of the current edit state
+  getCropStep(cropArea) {
+    return { type: 'crop', unit: 'px', ...cropArea };
+  }
+  
+  // Full-resolution render of the active edits followed by the overlay's steps
+  async processCroppedImage(image, cropSteps) {
+    const steps = [...this.getActiveSteps(image), ...cropSteps];
+    const result = await this.renderSteps(image, steps);
+    
+    return {
+      blob: result.blob,
+      width: result.dimensions.width,
+      height: result.dimensions.height,
+      format: result.format
+    };
+  }
+  
   downloadProcessedImage(imageData, filename) {
+    this.downloadBlob(imageData.blob, filename);
+  }
+  
+  // Processed outputs carry the extension of the format they were encoded to
+  getOutputFilename(image) {
+    if (!image.processed) return image.name;
+    
+    const baseName = image.name.replace(/\.[^.]+$/, '');
+    const extension = image.processedFormat || image.name.split('.').pop();
+    return `processed_${baseName}.${extension}`;
+  }
+
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.download = filename;
-    link.href = imageData.dataUrl;
+    link.href = url;
     
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
+    
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
   }
   
   // Helper methods for crop interaction
-  getHandleAtPosition(x, y) {
+  getHandleAtPosition(x, y, tolerance = 8) {
     const handles = document.getElementById('cropHandles');
     if (!handles || handles.style.display === 'none') return null;
     
     const handleElements = handles.children;
-    const tolerance = 8; // pixels
     
     for (let i = 0; i < handleElements.length; i++) {
       const handle = handleElements[i];
@@ -2323,12 +4743,7 @@ class ImageFlowApp {
     const image = this.images.find(img => img.id == imageId);
     if (!image) return;
     
-    const dataUrl = image.processedSrc || image.src;
-    const link = document.createElement('a');
-    link.download = image.processed ? 
-      `processed_${image.name}` : image.name;
-    link.href = dataUrl;
-    link.click();
+    this.downloadBlob(image.processedBlob || image.file, this.getOutputFilename(image));
     
     this.showNotification('Kép letöltve!', 'success');
   }
@@ -2343,7 +4758,15 @@ class ImageFlowApp {
       this.storageData.compressedSize -= image.processedSize;
     }
     
+    this.releaseImageUrls(image);
     this.images.splice(imageIndex, 1);
+    this.selectedImages.delete(String(image.id));
+    this.updateSelectionCount();
+    if (this.library) {
+      this.library.deleteImage(image.id)
+        .then(() => this.refreshStorageUsage())
+        .catch(error => console.error('Failed to delete image from the library:', error));
+    }
     this.updateStats();
     this.renderImages();
     this.showNotification('Kép törölve!', 'info');
@@ -2358,10 +4781,11 @@ class ImageFlowApp {
     const totalStorageMB = (this.storageData.originalSize / (1024 * 1024)).toFixed(1);
     document.getElementById('totalStorage').textContent = `${totalStorageMB} MB`;
     
-    // Update storage analytics
-    const usedStorageMB = (this.storageData.originalSize / (1024 * 1024)).toFixed(1);
+    // Update storage analytics (originals and outputs are both held as Blobs)
+    this.storageData.used = this.storageData.originalSize + this.storageData.compressedSize;
+    const usedStorageMB = (this.storageData.used / (1024 * 1024)).toFixed(1);
     const limitGB = (this.storageData.limit / (1024 * 1024 * 1024)).toFixed(1);
-    const usagePercent = (this.storageData.originalSize / this.storageData.limit) * 100;
+    const usagePercent = (this.storageData.used / this.storageData.limit) * 100;
     
     document.getElementById('usedStorage').textContent = `${usedStorageMB} MB / ${limitGB} GB`;
     document.getElementById('storageBar').style.width = `${Math.min(usagePercent, 100)}%`;
@@ -2385,6 +4809,7 @@ class ImageFlowApp {
     document.getElementById('totalBandwidthSavedStat').textContent = `${bandwidthSavedMB} MB`;
     
     this.updateFileTypeChart();
+    this.persistLibraryMeta();
   }
 
   updateFileTypeChart() {
@@ -2443,19 +4868,37 @@ class ImageFlowApp {
     }
   }
 
+  // `current` may be fractional while images are still in flight
   updateProgress(current, total) {
     const fillEl = document.getElementById('progressFill');
     const countEl = document.getElementById('progressCount');
+    const percentEl = document.getElementById('progressPercent');
     
     const percentage = Math.round((current / total) * 100);
     fillEl.style.width = `${percentage}%`;
-    countEl.textContent = current;
+    countEl.textContent = Math.floor(current);
+    percentEl.textContent = `${percentage}%`;
   }
 
   hideProgress() {
     this.showProgress(false);
   }
 
+  // Percentage-based variant of the progress modal
+  showProgressModal(title) {
+    this.showProgress(true, title, this.images.length);
+  }
+
+  updateProgressModal(text, percentage) {
+    document.getElementById('progressText').textContent = text;
+    document.getElementById('progressFill').style.width = `${Math.round(percentage)}%`;
+    document.getElementById('progressPercent').textContent = `${Math.round(percentage)}%`;
+  }
+
+  hideProgressModal() {
+    this.hideProgress();
+  }
+
   showNotification(message, type = 'info') {
     const container = document.getElementById('notifications');
     const notification = document.createElement('div');
@@ -2530,7 +4973,7 @@ class ImageFlowApp {
   }
 
   // File sharing methods
-  sendFile(imageId, connectionId) {
+  async sendFile(imageId, connectionId) {
     const image = this.images.find(img => img.id == imageId);
     const connection = this.connections.find(conn => conn.peer === connectionId);
     
@@ -2539,11 +4982,13 @@ class ImageFlowApp {
       return;
     }
     
+    const blob = image.processedBlob || image.file;
     const fileData = {
       type: 'file',
       name: image.name,
-      data: image.processedSrc || image.src,
-      size: image.processedSize || image.size
+      mimeType: blob.type,
+      data: await blob.arrayBuffer(),
+      size: blob.size
     };
     
     connection.send(fileData);
@@ -2552,10 +4997,8 @@ class ImageFlowApp {
 
   receiveFile(data) {
     // Create a download link for received file
-    const link = document.createElement('a');
-    link.href = data.data;
-    link.download = data.name;
-    link.click();
+    const blob = new Blob([data.data], { type: data.mimeType || '' });
+    this.downloadBlob(blob, data.name);
     
     this.showNotification(`Fájl érkezett: ${data.name}`, 'success');
   }
@@ -2574,11 +5017,10 @@ class ImageFlowApp {
       
       for (let i = 0; i < this.images.length; i++) {
         const image = this.images[i];
-        const dataUrl = image.processedSrc || image.src;
-        const base64Data = dataUrl.split(',')[1];
-        const fileName = image.processed ? `processed_${image.name}` : image.name;
+        const blob = image.processedBlob || image.file;
+        const fileName = this.getOutputFilename(image);
         
-        zip.file(fileName, base64Data, { base64: true });
+        zip.file(fileName, blob);
         this.updateProgress(i + 1, this.images.length);
       }
       
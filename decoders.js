@@ -0,0 +1,418 @@
+// ImageFlow Pro Decoders - pluggable pure JS decoders for formats the browser
+// cannot open (or only partially supports). Relies on tiff.js for TIFF.
+const ImageDecoders = {
+  decoders: [],
+
+  // A decoder is { name, mimeTypes, extensions, sniff(bytes), decode(buffer, options) }.
+  // `decode` resolves to a list of pages, each either { width, height, data }
+  // with RGBA data or an ImageBitmap (for embedded PNGs the browser decodes).
+  register(decoder) {
+    this.decoders = this.decoders.filter(existing => existing.name !== decoder.name);
+    this.decoders.push(decoder);
+  },
+
+  get(name) {
+    return this.decoders.find(decoder => decoder.name === name) || null;
+  },
+
+  getExtension(name = '') {
+    const match = /\.([^.]+)$/.exec(name);
+    return match ? match[1].toLowerCase() : '';
+  },
+
+  // Cheap check on import, before any bytes are read
+  findByFile(file) {
+    const extension = this.getExtension(file.name);
+    return this.decoders.find(decoder =>
+      decoder.mimeTypes.includes(file.type) || decoder.extensions.includes(extension)) || null;
+  },
+
+  // The file signature wins over the name and MIME type, which are often wrong
+  async find(blob, name = '') {
+    const header = new Uint8Array(await blob.slice(0, 16).arrayBuffer());
+    return this.decoders.find(decoder => decoder.sniff(header)) ||
+      this.findByFile({ name, type: blob.type });
+  },
+
+  // Options: decoder (name, skips sniffing), name (file name) and page
+  async decode(blob, options = {}) {
+    const decoder = (options.decoder && this.get(options.decoder)) || await this.find(blob, options.name);
+    if (!decoder) {
+      throw new Error(`Unsupported image format: ${options.name || blob.type}`);
+    }
+
+    const pages = await decoder.decode(await blob.arrayBuffer(), options);
+    if (pages.length === 0) {
+      throw new Error(`${decoder.name}: the file contains no image`);
+    }
+    return { decoder, pages };
+  },
+
+  toBitmap(page) {
+    if (page.data) {
+      return createImageBitmap(new ImageData(page.data, page.width, page.height));
+    }
+    return Promise.resolve(page);
+  },
+
+  async decodeToBitmap(blob, options = {}) {
+    const { pages } = await this.decode(blob, options);
+    const index = Math.min(options.page || 0, pages.length - 1);
+    return this.toBitmap(pages.length === 1 ? pages[0] : pages[index]);
+  },
+
+  // --- BMP / DIB -----------------------------------------------------------
+
+  decodeBMP(buffer) {
+    const view = new DataView(buffer);
+    if (view.getUint16(0) !== 0x424D) {
+      throw new Error('Not a BMP file');
+    }
+    return [this.decodeDIB(view, 14, view.getUint32(10, true))];
+  },
+
+  // Decodes a device-independent bitmap. ICO/CUR entries store the DIB
+  // without a file header, with a doubled height and a 1-bit AND mask.
+  decodeDIB(view, offset, pixelOffset = null, icon = false) {
+    const headerSize = view.getUint32(offset, true);
+    let width, height, bpp, compression = 0, colorsUsed = 0;
+
+    if (headerSize === 12) {
+      // OS/2 BITMAPCOREHEADER
+      width = view.getUint16(offset + 4, true);
+      height = view.getInt16(offset + 6, true);
+      bpp = view.getUint16(offset + 10, true);
+    } else {
+      width = view.getInt32(offset + 4, true);
+      height = view.getInt32(offset + 8, true);
+      bpp = view.getUint16(offset + 14, true);
+      compression = view.getUint32(offset + 16, true);
+      colorsUsed = view.getUint32(offset + 32, true);
+    }
+
+    if (icon) height /= 2;
+    const topDown = height < 0;
+    height = Math.abs(height);
+    if (width <= 0 || height === 0) {
+      throw new Error('BMP: invalid dimensions');
+    }
+
+    // BI_BITFIELDS (3) / BI_ALPHABITFIELDS (6): channel masks
+    let masks = null;
+    let tableOffset = offset + headerSize;
+    if (compression === 3 || compression === 6) {
+      const maskCount = compression === 6 ? 4 : 3;
+      const maskOffset = headerSize >= 52 ? offset + 40 : tableOffset;
+      masks = [0, 1, 2, 3].map(i => (i < maskCount || headerSize >= 56) ? view.getUint32(maskOffset + i * 4, true) : 0);
+      if (headerSize < 52) tableOffset += maskCount * 4;
+    } else if (compression !== 0 && compression !== 1 && compression !== 2) {
+      throw new Error(`BMP: compression ${compression} is not supported`);
+    } else if (bpp === 16) {
+      masks = [0x7C00, 0x03E0, 0x001F, 0];
+    } else if (bpp === 32 && headerSize >= 56) {
+      masks = [0x00FF0000, 0x0000FF00, 0x000000FF, view.getUint32(offset + 52, true)];
+    }
+
+    // Color table (BGR triplets in OS/2 headers, BGRX quads otherwise)
+    const entrySize = headerSize === 12 ? 3 : 4;
+    const paletteSize = bpp <= 8 ? (colorsUsed || (1 << bpp)) : 0;
+    const palette = [];
+    for (let i = 0; i < paletteSize; i++) {
+      const p = tableOffset + i * entrySize;
+      palette.push([view.getUint8(p + 2), view.getUint8(p + 1), view.getUint8(p)]);
+    }
+    if (pixelOffset === null) {
+      pixelOffset = tableOffset + paletteSize * entrySize;
+    }
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    const rowSize = Math.floor((bpp * width + 31) / 32) * 4;
+    const rowStart = (y) => pixelOffset + (topDown ? y : height - 1 - y) * rowSize;
+    const setPixel = (x, y, [r, g, b], a = 255) => {
+      const o = (y * width + x) * 4;
+      data[o] = r;
+      data[o + 1] = g;
+      data[o + 2] = b;
+      data[o + 3] = a;
+    };
+
+    if (compression === 1 || compression === 2) {
+      const indices = this.decodeRLE(view, pixelOffset, width, height, compression === 2 ? 4 : 8);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          // RLE bitmaps are stored bottom-up
+          setPixel(x, height - 1 - y, palette[indices[y * width + x]] || [0, 0, 0]);
+        }
+      }
+    } else if (bpp <= 8) {
+      for (let y = 0; y < height; y++) {
+        const start = rowStart(y);
+        for (let x = 0; x < width; x++) {
+          const bit = x * bpp;
+          const byte = view.getUint8(start + (bit >> 3));
+          const index = (byte >> (8 - bpp - (bit & 7))) & ((1 << bpp) - 1);
+          setPixel(x, y, palette[index] || [0, 0, 0]);
+        }
+      }
+    } else if (bpp === 24) {
+      for (let y = 0; y < height; y++) {
+        const start = rowStart(y);
+        for (let x = 0; x < width; x++) {
+          const p = start + x * 3;
+          setPixel(x, y, [view.getUint8(p + 2), view.getUint8(p + 1), view.getUint8(p)]);
+        }
+      }
+    } else if (bpp === 16 || bpp === 32) {
+      const channels = (masks || [0x00FF0000, 0x0000FF00, 0x000000FF, 0xFF000000]).map(mask => this.describeMask(mask));
+      // Plain 32-bit BMPs usually leave the fourth byte at zero: treat as opaque then
+      let useAlpha = channels[3].bits > 0;
+      if (useAlpha && compression === 0) {
+        useAlpha = false;
+        for (let y = 0; y < height && !useAlpha; y++) {
+          const start = rowStart(y);
+          for (let x = 0; x < width; x++) {
+            if (view.getUint8(start + x * 4 + 3) !== 0) {
+              useAlpha = true;
+              break;
+            }
+          }
+        }
+      }
+
+      for (let y = 0; y < height; y++) {
+        const start = rowStart(y);
+        for (let x = 0; x < width; x++) {
+          const value = bpp === 16 ? view.getUint16(start + x * 2, true) : view.getUint32(start + x * 4, true);
+          const [r, g, b, a] = channels.map(channel => this.extractChannel(value, channel));
+          setPixel(x, y, [r, g, b], useAlpha ? a : 255);
+        }
+      }
+    } else {
+      throw new Error(`BMP: ${bpp}-bit images are not supported`);
+    }
+
+    // ICO/CUR: the AND mask marks transparent pixels, unless 32-bit alpha is present
+    if (icon) {
+      const maskOffset = pixelOffset + rowSize * height;
+      const maskRowSize = Math.floor((width + 31) / 32) * 4;
+      const hasAlpha = bpp === 32 && data.some((value, i) => i % 4 === 3 && value !== 255);
+
+      if (!hasAlpha && maskOffset + maskRowSize * height <= view.byteLength) {
+        for (let y = 0; y < height; y++) {
+          const start = maskOffset + (topDown ? y : height - 1 - y) * maskRowSize;
+          for (let x = 0; x < width; x++) {
+            if ((view.getUint8(start + (x >> 3)) >> (7 - (x & 7))) & 1) {
+              data[(y * width + x) * 4 + 3] = 0;
+            }
+          }
+        }
+      }
+    }
+
+    return { width, height, data };
+  },
+
+  describeMask(mask) {
+    if (!mask) return { mask: 0, shift: 0, bits: 0 };
+    let shift = 0;
+    while (((mask >>> shift) & 1) === 0) shift++;
+    let bits = 0;
+    while (((mask >>> (shift + bits)) & 1) === 1 && shift + bits < 32) bits++;
+    return { mask, shift, bits };
+  },
+
+  extractChannel(value, channel) {
+    if (!channel.bits) return 255;
+    const max = channel.bits >= 32 ? 0xFFFFFFFF : (2 ** channel.bits) - 1;
+    return Math.round((((value & channel.mask) >>> 0) >>> channel.shift) * 255 / max);
+  },
+
+  // RLE8 / RLE4: returns palette indices, rows bottom-up
+  decodeRLE(view, offset, width, height, bits) {
+    const indices = new Uint8Array(width * height);
+    let x = 0;
+    let y = 0;
+    let p = offset;
+    const put = (index) => {
+      if (x < width && y < height) indices[y * width + x] = index;
+      x++;
+    };
+
+    while (p + 1 < view.byteLength && y < height) {
+      const count = view.getUint8(p++);
+      const value = view.getUint8(p++);
+
+      if (count > 0) {
+        for (let i = 0; i < count; i++) {
+          put(bits === 8 ? value : (i & 1 ? value & 0x0F : value >> 4));
+        }
+      } else if (value === 0) {
+        x = 0;
+        y++;
+      } else if (value === 1) {
+        break;
+      } else if (value === 2) {
+        x += view.getUint8(p++);
+        y += view.getUint8(p++);
+      } else {
+        // Absolute run of `value` pixels, padded to a 16-bit boundary
+        const bytes = bits === 8 ? value : Math.ceil(value / 2);
+        for (let i = 0; i < value; i++) {
+          const byte = view.getUint8(p + (bits === 8 ? i : i >> 1));
+          put(bits === 8 ? byte : (i & 1 ? byte & 0x0F : byte >> 4));
+        }
+        p += bytes + (bytes & 1);
+      }
+    }
+    return indices;
+  },
+
+  // --- ICO / CUR -----------------------------------------------------------
+
+  // Only the largest (then deepest) entry of an icon is imported
+  async decodeICO(buffer) {
+    const view = new DataView(buffer);
+    const count = view.getUint16(4, true);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+      const entry = 6 + i * 16;
+      entries.push({
+        width: view.getUint8(entry) || 256,
+        height: view.getUint8(entry + 1) || 256,
+        bpp: view.getUint16(entry + 6, true),
+        size: view.getUint32(entry + 8, true),
+        offset: view.getUint32(entry + 12, true)
+      });
+    }
+    if (entries.length === 0) return [];
+
+    entries.sort((a, b) => (b.width * b.height - a.width * a.height) || (b.bpp - a.bpp));
+    const best = entries[0];
+    const bytes = new Uint8Array(buffer, best.offset, Math.min(best.size, buffer.byteLength - best.offset));
+
+    // Vista-style icons embed a complete PNG
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+      return [await createImageBitmap(new Blob([bytes], { type: 'image/png' }))];
+    }
+    return [this.decodeDIB(view, best.offset, null, true)];
+  },
+
+  // --- Netpbm (PBM / PGM / PPM) --------------------------------------------
+
+  decodeNetpbm(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const type = bytes[1] - 0x30;
+    let position = 2;
+
+    const isSpace = (c) => c === 0x20 || c === 0x09 || c === 0x0A || c === 0x0D || c === 0x0B || c === 0x0C;
+    const skipSpace = () => {
+      while (position < bytes.length) {
+        if (bytes[position] === 0x23) {
+          // Comment until the end of the line
+          while (position < bytes.length && bytes[position] !== 0x0A) position++;
+        } else if (isSpace(bytes[position])) {
+          position++;
+        } else {
+          break;
+        }
+      }
+    };
+    const readNumber = () => {
+      skipSpace();
+      let value = 0;
+      let digits = 0;
+      while (position < bytes.length && bytes[position] >= 0x30 && bytes[position] <= 0x39) {
+        value = value * 10 + bytes[position++] - 0x30;
+        digits++;
+      }
+      if (digits === 0) throw new Error('Netpbm: unexpected data');
+      return value;
+    };
+
+    const width = readNumber();
+    const height = readNumber();
+    const bitmap = type === 1 || type === 4;
+    const maxValue = bitmap ? 1 : readNumber();
+    const channels = type === 3 || type === 6 ? 3 : 1;
+    if (!width || !height || !maxValue) {
+      throw new Error('Netpbm: invalid header');
+    }
+    // Binary data starts after exactly one whitespace character
+    if (type >= 4) position++;
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    const wide = maxValue > 255;
+    const rowBits = Math.ceil(width / 8) * 8;
+    const readSample = (pixel, channel) => {
+      switch (type) {
+        case 1: {
+          skipSpace();
+          // PBM digits may be written without separators
+          return bytes[position++] === 0x31 ? 1 : 0;
+        }
+        case 2:
+        case 3:
+          return readNumber();
+        case 4: {
+          const bit = Math.floor(pixel / width) * rowBits + (pixel % width);
+          return (bytes[position + (bit >> 3)] >> (7 - (bit & 7))) & 1;
+        }
+        default: {
+          const index = position + (pixel * channels + channel) * (wide ? 2 : 1);
+          return wide ? (bytes[index] << 8) | bytes[index + 1] : bytes[index];
+        }
+      }
+    };
+
+    for (let pixel = 0; pixel < width * height; pixel++) {
+      const o = pixel * 4;
+      if (bitmap) {
+        // In PBM 1 is black
+        data[o] = data[o + 1] = data[o + 2] = readSample(pixel, 0) ? 0 : 255;
+      } else {
+        for (let c = 0; c < 3; c++) {
+          const value = c < channels ? readSample(pixel, c) : data[o];
+          data[o + c] = c < channels ? Math.round(value * 255 / maxValue) : value;
+        }
+      }
+      data[o + 3] = 255;
+    }
+
+    return [{ width, height, data }];
+  }
+};
+
+ImageDecoders.register({
+  name: 'tiff',
+  mimeTypes: ['image/tiff', 'image/tif', 'image/x-tiff'],
+  extensions: ['tif', 'tiff'],
+  sniff: (b) => (b[0] === 0x49 && b[1] === 0x49 && b[2] === 0x2A && b[3] === 0x00) ||
+                (b[0] === 0x4D && b[1] === 0x4D && b[2] === 0x00 && b[3] === 0x2A),
+  decode: (buffer, options) => TIFF.decode(buffer, options)
+});
+
+ImageDecoders.register({
+  name: 'bmp',
+  mimeTypes: ['image/bmp', 'image/x-bmp', 'image/x-ms-bmp'],
+  extensions: ['bmp', 'dib'],
+  sniff: (b) => b[0] === 0x42 && b[1] === 0x4D,
+  decode: (buffer) => ImageDecoders.decodeBMP(buffer)
+});
+
+ImageDecoders.register({
+  name: 'ico',
+  mimeTypes: ['image/x-icon', 'image/vnd.microsoft.icon'],
+  extensions: ['ico', 'cur'],
+  // Reserved 0, type 1 (icon) or 2 (cursor), at least one entry
+  sniff: (b) => b[0] === 0 && b[1] === 0 && (b[2] === 1 || b[2] === 2) && b[3] === 0 && (b[4] | b[5]) !== 0,
+  decode: (buffer) => ImageDecoders.decodeICO(buffer)
+});
+
+ImageDecoders.register({
+  name: 'netpbm',
+  mimeTypes: ['image/x-portable-bitmap', 'image/x-portable-graymap', 'image/x-portable-pixmap', 'image/x-portable-anymap'],
+  extensions: ['pbm', 'pgm', 'ppm', 'pnm'],
+  sniff: (b) => b[0] === 0x50 && b[1] >= 0x31 && b[1] <= 0x36 && (b[2] === 0x20 || b[2] === 0x0A || b[2] === 0x0D || b[2] === 0x09),
+  decode: (buffer) => ImageDecoders.decodeNetpbm(buffer)
+});
@@ -0,0 +1,185 @@
+// ImageFlow Pro Filters - sharpening and noise reduction on ImageData
+// Computed on the pixels (no CSS filters), so every browser gives the same
+// result. Loaded by the page and by worker.js.
+const Filters = {
+  // Output sharpening presets: screens want a fine, light mask, print a wider
+  // and stronger one that survives ink spread
+  SHARPEN_PRESETS: {
+    screen: { amount: 60, radius: 0.6, threshold: 2 },
+    print: { amount: 140, radius: 1.4, threshold: 3 }
+  },
+
+  // Unsharp mask: push each channel away from its Gaussian-blurred value.
+  // `amount` is in percent, `radius` is the blur sigma in pixels and
+  // differences below `threshold` (0..255) are left alone as noise.
+  unsharpMask(image, { amount = 80, radius = 1, threshold = 2 } = {}) {
+    if (!amount || !radius) return image;
+
+    const data = image.data;
+    const blurred = this.gaussianBlur(data, image.width, image.height, radius);
+    const strength = amount / 100;
+
+    for (let i = 0; i < data.length; i += 4) {
+      for (let c = 0; c < 3; c++) {
+        const diff = data[i + c] - blurred[i + c];
+        if (Math.abs(diff) >= threshold) {
+          data[i + c] += diff * strength;
+        }
+      }
+    }
+    return image;
+  },
+
+  // Separable Gaussian of the colour channels (alpha is copied), edges clamped
+  gaussianBlur(data, width, height, sigma) {
+    const reach = Math.max(1, Math.ceil(sigma * 3));
+    const kernel = new Float32Array(reach * 2 + 1);
+    let total = 0;
+    for (let k = -reach; k <= reach; k++) {
+      kernel[k + reach] = Math.exp(-(k * k) / (2 * sigma * sigma));
+      total += kernel[k + reach];
+    }
+    kernel.forEach((weight, k) => { kernel[k] = weight / total; });
+
+    const horizontal = new Float32Array(data.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        for (let c = 0; c < 3; c++) {
+          let sum = 0;
+          for (let k = -reach; k <= reach; k++) {
+            const sx = Math.min(width - 1, Math.max(0, x + k));
+            sum += data[(y * width + sx) * 4 + c] * kernel[k + reach];
+          }
+          horizontal[i + c] = sum;
+        }
+      }
+    }
+
+    const output = new Float32Array(data.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        for (let c = 0; c < 3; c++) {
+          let sum = 0;
+          for (let k = -reach; k <= reach; k++) {
+            const sy = Math.min(height - 1, Math.max(0, y + k));
+            sum += horizontal[(sy * width + x) * 4 + c] * kernel[k + reach];
+          }
+          output[i + c] = sum;
+        }
+        output[i + 3] = data[i + 3];
+      }
+    }
+    return output;
+  },
+
+  // Median of the (2r+1)² window per channel. Each row slides a histogram and
+  // keeps the median with the count of values below it (Huang's algorithm),
+  // so the cost per pixel grows with r, not r².
+  median(image, radius = 1) {
+    const { width, height, data } = image;
+    const source = new Uint8ClampedArray(data);
+    const half = (((radius * 2 + 1) ** 2) + 1) >> 1;
+    const histograms = [0, 1, 2].map(() => new Uint32Array(256));
+    const medians = new Int32Array(3);
+    const below = new Int32Array(3);
+    const clampX = (x) => Math.min(width - 1, Math.max(0, x));
+    const clampY = (y) => Math.min(height - 1, Math.max(0, y));
+
+    const column = (x, y, delta) => {
+      for (let dy = -radius; dy <= radius; dy++) {
+        const i = (clampY(y + dy) * width + clampX(x)) * 4;
+        for (let c = 0; c < 3; c++) {
+          const value = source[i + c];
+          histograms[c][value] += delta;
+          if (value < medians[c]) below[c] += delta;
+        }
+      }
+    };
+
+    for (let y = 0; y < height; y++) {
+      histograms.forEach(histogram => histogram.fill(0));
+      medians.fill(0);
+      below.fill(0);
+      for (let dx = -radius; dx <= radius; dx++) column(dx, y, 1);
+
+      for (let x = 0; x < width; x++) {
+        if (x > 0) {
+          column(x - radius - 1, y, -1);
+          column(x + radius, y, 1);
+        }
+
+        const i = (y * width + x) * 4;
+        for (let c = 0; c < 3; c++) {
+          const histogram = histograms[c];
+          let median = medians[c];
+          let count = below[c];
+          while (count + histogram[median] < half) {
+            count += histogram[median];
+            median++;
+          }
+          while (count >= half) {
+            median--;
+            count -= histogram[median];
+          }
+          medians[c] = median;
+          below[c] = count;
+          data[i + c] = median;
+        }
+      }
+    }
+    return image;
+  },
+
+  // Edge-preserving smoothing: neighbours are weighted by distance and by how
+  // close their colour is, so flat areas are smoothed and edges are kept.
+  // `sigmaRange` is the colour difference (0..255) that still counts as similar.
+  bilateral(image, radius = 2, sigmaRange = 25) {
+    const { width, height, data } = image;
+    const source = new Uint8ClampedArray(data);
+    const sigmaSpace = Math.max(0.5, radius / 2);
+
+    const spatial = new Float32Array((radius * 2 + 1) ** 2);
+    for (let dy = -radius, k = 0; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++, k++) {
+        spatial[k] = Math.exp(-(dx * dx + dy * dy) / (2 * sigmaSpace * sigmaSpace));
+      }
+    }
+    // By the summed absolute difference of the three channels (0..765)
+    const range = new Float32Array(766);
+    for (let d = 0; d < range.length; d++) {
+      range[d] = Math.exp(-((d / 3) ** 2) / (2 * sigmaRange * sigmaRange));
+    }
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const r = source[i];
+        const g = source[i + 1];
+        const b = source[i + 2];
+        let sumR = 0;
+        let sumG = 0;
+        let sumB = 0;
+        let total = 0;
+
+        for (let dy = -radius, k = 0; dy <= radius; dy++) {
+          const row = Math.min(height - 1, Math.max(0, y + dy)) * width;
+          for (let dx = -radius; dx <= radius; dx++, k++) {
+            const j = (row + Math.min(width - 1, Math.max(0, x + dx))) * 4;
+            const weight = spatial[k] * range[Math.abs(source[j] - r) + Math.abs(source[j + 1] - g) + Math.abs(source[j + 2] - b)];
+            sumR += source[j] * weight;
+            sumG += source[j + 1] * weight;
+            sumB += source[j + 2] * weight;
+            total += weight;
+          }
+        }
+
+        data[i] = sumR / total;
+        data[i + 1] = sumG / total;
+        data[i + 2] = sumB / total;
+      }
+    }
+    return image;
+  }
+};
@@ -0,0 +1,826 @@
+// ImageFlow Pro - Shared imaging core
+// Loaded both by the page and by the processing workers (worker.js), so it must
+// not touch the DOM unless it is available.
+const Imaging = {
+  // Map of UI algorithm names to Pica filters. Algorithms Pica has no filter
+  // for (Mitchell, true nearest neighbour) always use the built-in resampler.
+  PICA_FILTERS: {
+    lanczos: 'lanczos3',
+    lanczos2: 'lanczos2',
+    bicubic: 'catrom',
+    bilinear: 'linear',
+    box: 'box'
+  },
+
+  // Map of UI algorithm names to Resampler kernels (resample.js)
+  RESAMPLE_KERNELS: {
+    lanczos: 'lanczos3',
+    lanczos2: 'lanczos2',
+    bicubic: 'catrom',
+    mitchell: 'mitchell',
+    bilinear: 'linear',
+    box: 'box',
+    nearest: 'nearest'
+  },
+
+  // Limits of the target-size search (see encodeToTargetSize)
+  TARGET_SIZE: {
+    minQuality: 0.05,
+    iterations: 7,
+    scaleStep: 0.85,
+    maxScaleSteps: 12,
+    minDimension: 16
+  },
+
+  _pica: null,
+
+  // Canvas factory: <canvas> on the page, OffscreenCanvas inside workers
+  createCanvas(width, height) {
+    if (typeof document !== 'undefined') {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      return canvas;
+    }
+    return new OffscreenCanvas(width, height);
+  },
+
+  getContext(canvas) {
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    return ctx;
+  },
+
+  getPica() {
+    if (!self.pica) return null;
+
+    if (!this._pica) {
+      // Pica cannot spawn its own workers or create DOM canvases from inside a worker
+      this._pica = typeof document === 'undefined'
+        ? self.pica({ features: ['js', 'wasm'], createCanvas: (w, h) => new OffscreenCanvas(w, h) })
+        : self.pica();
+    }
+    return this._pica;
+  },
+
+  // Canvas transforms of the EXIF orientations, for a `width`×`height` source
+  ORIENTATION_TRANSFORMS: {
+    2: (w, h) => [-1, 0, 0, 1, w, 0],
+    3: (w, h) => [-1, 0, 0, -1, w, h],
+    4: (w, h) => [1, 0, 0, -1, 0, h],
+    5: (w, h) => [0, 1, 1, 0, 0, 0],
+    6: (w, h) => [0, 1, -1, 0, h, 0],
+    7: (w, h) => [0, -1, -1, 0, h, w],
+    8: (w, h) => [0, -1, 1, 0, 0, w]
+  },
+
+  // Physically rotate/flip decoded pixels into their upright position.
+  // Orientations 5-8 swap width and height.
+  applyOrientation(source, orientation = 1) {
+    const { width, height } = source;
+    const swap = orientation >= 5 && orientation <= 8;
+    const canvas = this.createCanvas(swap ? height : width, swap ? width : height);
+    const ctx = this.getContext(canvas);
+
+    const transform = this.ORIENTATION_TRANSFORMS[orientation];
+    if (transform) {
+      ctx.setTransform(...transform(width, height));
+    }
+    ctx.drawImage(source, 0, 0);
+    return canvas;
+  },
+
+  calculateTargetDimensions(sourceWidth, sourceHeight, width, height, maintainAspect = true) {
+    let targetWidth = width || sourceWidth;
+    let targetHeight = height || sourceHeight;
+
+    if ((width || height) && maintainAspect) {
+      const aspectRatio = sourceWidth / sourceHeight;
+      if (width && !height) {
+        targetHeight = Math.round(width / aspectRatio);
+      } else if (height && !width) {
+        targetWidth = Math.round(height * aspectRatio);
+      }
+    }
+
+    return { width: targetWidth, height: targetHeight };
+  },
+
+  // Size of the resampled image for a fit mode (as in CSS object-fit and sharp):
+  // `fill` stretches to the box, `cover`/`outside` scale until the box is covered,
+  // `contain`/`inside` until the image fits in it. Cropping (cover) or padding
+  // (contain) to the box is left to the caller. A missing side of the box
+  // follows the aspect ratio; `withoutEnlargement` never scales up. With
+  // `pixelGrid` (pixel-art algorithms) enlargements are whole factors, so every
+  // source pixel becomes an equal block: rounded down to stay inside the box,
+  // up to cover it.
+  fitDimensions(sourceWidth, sourceHeight, { width = null, height = null, fit = 'inside', withoutEnlargement = false, pixelGrid = false }) {
+    if (!width && !height) {
+      return { width: sourceWidth, height: sourceHeight };
+    }
+
+    if (fit === 'fill') {
+      const snap = (target, size) => (pixelGrid && target > size ? size * Math.round(target / size) : target);
+      const targetWidth = width || sourceWidth;
+      const targetHeight = height || sourceHeight;
+      return withoutEnlargement
+        ? { width: Math.min(targetWidth, sourceWidth), height: Math.min(targetHeight, sourceHeight) }
+        : { width: snap(targetWidth, sourceWidth), height: snap(targetHeight, sourceHeight) };
+    }
+
+    const scaleX = width ? width / sourceWidth : null;
+    const scaleY = height ? height / sourceHeight : null;
+    let scale;
+    if (scaleX === null || scaleY === null) {
+      scale = scaleX === null ? scaleY : scaleX;
+    } else {
+      scale = fit === 'cover' || fit === 'outside' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    }
+    if (withoutEnlargement) {
+      scale = Math.min(1, scale);
+    }
+    if (pixelGrid && scale > 1) {
+      scale = fit === 'cover' || fit === 'outside' ? Math.ceil(scale - 0.001) : Math.floor(scale + 0.001);
+    }
+
+    return {
+      width: Math.max(1, Math.round(sourceWidth * scale)),
+      height: Math.max(1, Math.round(sourceHeight * scale))
+    };
+  },
+
+  // Resolve the encoder mode for a format: per-call settings win over the format
+  // defaults, but a format can only be encoded in the modes it supports.
+  resolveEncoding(format, settings = {}, formatConfigs = {}) {
+    const config = formatConfigs[format] || formatConfigs['png'] || {};
+    const modes = config.modes || ['lossless'];
+
+    let lossless = settings.lossless !== undefined ? settings.lossless : config.lossless;
+    if (!modes.includes(lossless ? 'lossless' : 'lossy')) {
+      lossless = modes[0] === 'lossless';
+    }
+
+    const quality = settings.quality !== undefined ?
+      settings.quality : (config.quality !== undefined ? config.quality / 100 : 1);
+
+    return {
+      config: { ...config, lossless },
+      quality: Math.min(1, Math.max(0, quality)),
+      lossless
+    };
+  },
+
+  // Resize + encode a decoded bitmap according to the processing settings
+  async processBitmap(bitmap, settings, options = {}, onProgress = () => {}) {
+    const { format, width, height, maintainAspect = true } = settings;
+    const dimensions = this.calculateTargetDimensions(bitmap.width, bitmap.height, width, height, maintainAspect);
+
+    const result = settings.targetSize ?
+      await this.encodeToTargetSize(bitmap, dimensions, settings, options, onProgress) :
+      await this.encodeBitmap(bitmap, dimensions, settings, options, onProgress);
+
+    // Canvas encoders drop all metadata, re-insert what the export policy keeps
+    if (options.metadata) {
+      result.blob = await Metadata.embed(result.blob, format, options.metadata);
+      result.size = result.blob.size;
+    }
+    return result;
+  },
+
+  async encodeBitmap(bitmap, dimensions, settings, options = {}, onProgress = () => {}) {
+    const { format } = settings;
+    const encoding = this.resolveEncoding(format, settings, options.formatConfigs);
+    const canvas = await this.renderBitmap(bitmap, dimensions, settings.algorithm || options.algorithm, options);
+    onProgress(0.6);
+
+    const blob = await this.applyFormatOptimization(canvas, format, encoding.quality, encoding.config);
+    onProgress(1);
+
+    return {
+      blob,
+      size: blob.size,
+      dimensions,
+      format,
+      encoding: { quality: encoding.quality, lossless: encoding.lossless }
+    };
+  },
+
+  // Responsive export: the image at every width (never upscaled) in every format
+  // ({ format, quality, lossless }). Each width is resampled once and encoded to
+  // all formats. Formats the browser cannot encode (the canvas silently falls
+  // back to PNG) are reported in `skipped` instead of being returned as PNG.
+  async renderVariants(source, widths, formats, options = {}, onProgress = () => {}) {
+    const targets = [...new Set(widths.map(width => Math.min(width, source.width)))].sort((a, b) => a - b);
+    const variants = [];
+    const skipped = new Set();
+    let done = 0;
+
+    for (const width of targets) {
+      const dimensions = { width, height: Math.max(1, Math.round(source.height * width / source.width)) };
+      const canvas = await this.renderBitmap(source, dimensions, options.algorithm, options);
+
+      for (const spec of formats) {
+        const encoding = this.resolveEncoding(spec.format, spec, options.formatConfigs);
+        let blob = await this.applyFormatOptimization(canvas, spec.format, encoding.quality, encoding.config);
+
+        if (blob.type !== `image/${spec.format === 'jpg' ? 'jpeg' : spec.format}`) {
+          skipped.add(spec.format);
+        } else {
+          if (options.metadata) {
+            blob = await Metadata.embed(blob, spec.format, options.metadata);
+          }
+          variants.push({ format: spec.format, ...dimensions, size: blob.size, blob });
+        }
+        onProgress(++done / (targets.length * formats.length));
+      }
+    }
+
+    return { width: source.width, height: source.height, variants, skipped: [...skipped] };
+  },
+
+  async renderBitmap(bitmap, dimensions, algorithm, options = {}) {
+    const canvas = this.createCanvas(dimensions.width, dimensions.height);
+
+    // Apply advanced resampling if resizing is needed
+    if (dimensions.width !== bitmap.width || dimensions.height !== bitmap.height) {
+      await this.resizeWithAdvancedAlgorithm(bitmap, canvas, algorithm, options);
+    } else {
+      // Direct copy for format conversion only
+      this.getContext(canvas).drawImage(bitmap, 0, 0);
+    }
+    return canvas;
+  },
+
+  // Encode under `settings.targetSize` bytes: binary-search the lossy quality
+  // first, then (if `allowDownscale` is set) shrink the dimensions step by step.
+  // When the target cannot be met the smallest output is returned, flagged.
+  async encodeToTargetSize(bitmap, dimensions, settings, options = {}, onProgress = () => {}) {
+    const { format, targetSize, allowDownscale = false } = settings;
+    const algorithm = settings.algorithm || options.algorithm;
+    const limits = this.TARGET_SIZE;
+
+    // Only the lossy mode can trade quality for bytes; formats without one
+    // (PNG, TIFF) can only reach the target by downscaling
+    const encoding = this.resolveEncoding(format, { ...settings, lossless: false }, options.formatConfigs);
+    const maxSteps = allowDownscale ? limits.maxScaleSteps : 0;
+    // Embedded metadata is added after encoding and counts against the target
+    const budget = Math.max(1, targetSize - Metadata.estimateSize(options.metadata));
+
+    let smallest = null;
+    let scale = 1;
+    let current = dimensions;
+
+    for (let step = 0; step <= maxSteps; step++) {
+      const canvas = await this.renderBitmap(bitmap, current, algorithm, options);
+      const attempt = await this.searchQuality(canvas, format, encoding, budget);
+      onProgress(Math.min(0.95, (step + 1) / (maxSteps + 1)));
+
+      if (!smallest || attempt.blob.size < smallest.blob.size) {
+        smallest = { ...attempt, dimensions: current, scale };
+      }
+      if (attempt.fits) {
+        smallest = { ...attempt, dimensions: current, scale };
+        break;
+      }
+
+      scale *= limits.scaleStep;
+      const next = {
+        width: Math.round(dimensions.width * scale),
+        height: Math.round(dimensions.height * scale)
+      };
+      if (Math.min(next.width, next.height) < limits.minDimension) break;
+      current = next;
+    }
+    onProgress(1);
+
+    return {
+      blob: smallest.blob,
+      size: smallest.blob.size,
+      dimensions: smallest.dimensions,
+      format,
+      encoding: {
+        quality: smallest.quality,
+        lossless: encoding.lossless,
+        targetSize,
+        targetMet: smallest.fits,
+        scale: smallest.scale
+      }
+    };
+  },
+
+  // Highest quality (up to the requested one) whose output fits in `targetSize`
+  async searchQuality(canvas, format, encoding, targetSize) {
+    const encode = (quality) => this.applyFormatOptimization(canvas, format, quality, encoding.config);
+
+    const ceiling = encoding.quality;
+    const first = await encode(ceiling);
+    if (first.size <= targetSize || encoding.lossless) {
+      return { blob: first, quality: ceiling, fits: first.size <= targetSize };
+    }
+
+    let low = Math.min(this.TARGET_SIZE.minQuality, ceiling);
+    let best = { blob: await encode(low), quality: low };
+    if (best.blob.size > targetSize) {
+      return { ...best, fits: false };
+    }
+
+    let high = ceiling;
+    for (let i = 0; i < this.TARGET_SIZE.iterations; i++) {
+      const quality = (low + high) / 2;
+      const blob = await encode(quality);
+      if (blob.size <= targetSize) {
+        best = { blob, quality };
+        low = quality;
+      } else {
+        high = quality;
+      }
+    }
+    return { ...best, fits: true };
+  },
+
+  async resizeWithAdvancedAlgorithm(source, targetCanvas, algorithm = 'lanczos', options = {}) {
+    // Pixel art keeps its hard edges and exact palette: no filter, no linear light
+    if (PixelArt.SCALERS[algorithm]) {
+      return this.resizePixelArt(source, targetCanvas, algorithm);
+    }
+
+    // Linear light always uses the built-in resampler, also when Pica is
+    // loaded: Pica takes and returns 8-bit values, and 8-bit linear light
+    // bands visibly in the shadows
+    if (options.linearLight) {
+      return this.resizeLinearLight(source, targetCanvas, algorithm, options);
+    }
+
+    const pica = this.getPica();
+    if (!pica) {
+      console.warn('Pica.js not available, using the built-in resampler');
+      return this.fallbackCanvasResize(source, targetCanvas, algorithm);
+    }
+    if (!this.PICA_FILTERS[algorithm] && this.RESAMPLE_KERNELS[algorithm]) {
+      return this.fallbackCanvasResize(source, targetCanvas, algorithm);
+    }
+
+    // Configure Pica options for maximum quality
+    const resizeOptions = {
+      quality: 3, // Maximum quality (0-3)
+      alpha: true,
+      filter: this.PICA_FILTERS[algorithm] || 'lanczos3'
+    };
+
+    try {
+      await pica.resize(source, targetCanvas, resizeOptions);
+    } catch (error) {
+      console.warn('Pica resize failed, using the built-in resampler:', error);
+      await this.fallbackCanvasResize(source, targetCanvas, algorithm);
+    }
+  },
+
+  // Gamma-correct resampling: averaging sRGB code values darkens fine detail
+  // and high-contrast edges, averaging light does not. The pixels are decoded
+  // to linear light, resampled in Float32 and encoded back (see resample.js).
+  // `colorSpace: 'sRGB'` uses the exact sRGB curve, anything else a plain
+  // power law of `gamma`.
+  resizeLinearLight(source, targetCanvas, algorithm, options = {}) {
+    const gamma = options.colorSpace === 'sRGB' ? 'srgb' : options.gamma || 2.2;
+    return this.resampleCanvas(source, targetCanvas, algorithm, { linear: true, gamma });
+  },
+
+  // Without Pica: the built-in separable resampler with the selected kernel,
+  // instead of whatever drawImage smoothing the browser happens to use
+  fallbackCanvasResize(source, targetCanvas, algorithm = 'lanczos') {
+    return this.resampleCanvas(source, targetCanvas, algorithm);
+  },
+
+  resampleCanvas(source, targetCanvas, algorithm, options = {}) {
+    const kernel = this.RESAMPLE_KERNELS[algorithm] || 'lanczos3';
+    return this.transformPixels(source, targetCanvas,
+      image => Resampler.resize(image, targetCanvas.width, targetCanvas.height, kernel, options));
+  },
+
+  // Scale2x/EPX, hqx, xBR or integer nearest (pixelart.js)
+  resizePixelArt(source, targetCanvas, algorithm) {
+    return this.transformPixels(source, targetCanvas,
+      image => PixelArt.upscale(image, targetCanvas.width, targetCanvas.height, algorithm));
+  },
+
+  // Run `transform` on the pixels of `source` and put its result on `targetCanvas`
+  transformPixels(source, targetCanvas, transform) {
+    const input = this.createCanvas(source.width, source.height);
+    const ctx = input.getContext('2d');
+    ctx.drawImage(source, 0, 0);
+
+    const result = transform(ctx.getImageData(0, 0, source.width, source.height));
+    targetCanvas.getContext('2d').putImageData(new ImageData(result.data, result.width, result.height), 0, 0);
+    return Promise.resolve();
+  },
+
+  // Blur the whole canvas or one region of it (CSS filter, in place)
+  applyBlur(canvas, blurAmount, blurType = 'all') {
+    if (blurAmount === 0) return canvas;
+
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+
+    // Create a copy of the original canvas
+    const originalCanvas = this.createCanvas(width, height);
+    originalCanvas.getContext('2d').drawImage(canvas, 0, 0);
+
+    // Apply CSS filter blur (fastest method)
+    ctx.filter = `blur(${blurAmount}px)`;
+
+    switch (blurType) {
+      case 'all':
+        // Blur entire image
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(originalCanvas, 0, 0);
+        break;
+
+      case 'top':
+        // Blur top 33%
+        const topHeight = Math.round(height * 0.33);
+        ctx.clearRect(0, 0, width, topHeight);
+        ctx.drawImage(originalCanvas, 0, 0, width, topHeight, 0, 0, width, topHeight);
+        // Restore bottom part without blur
+        ctx.filter = 'none';
+        ctx.drawImage(originalCanvas, 0, topHeight, width, height - topHeight, 0, topHeight, width, height - topHeight);
+        break;
+
+      case 'bottom':
+        // Blur bottom 33%
+        const bottomStart = Math.round(height * 0.67);
+        ctx.filter = 'none';
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(originalCanvas, 0, 0, width, bottomStart, 0, 0, width, bottomStart);
+        // Apply blur to bottom
+        ctx.filter = `blur(${blurAmount}px)`;
+        ctx.drawImage(originalCanvas, 0, bottomStart, width, height - bottomStart, 0, bottomStart, width, height - bottomStart);
+        break;
+
+      case 'center':
+        // Blur center 33%
+        const centerStart = Math.round(height * 0.33);
+        const centerEnd = Math.round(height * 0.67);
+        ctx.filter = 'none';
+        ctx.clearRect(0, 0, width, height);
+        // Top part (no blur)
+        ctx.drawImage(originalCanvas, 0, 0, width, centerStart, 0, 0, width, centerStart);
+        // Bottom part (no blur)
+        ctx.drawImage(originalCanvas, 0, centerEnd, width, height - centerEnd, 0, centerEnd, width, height - centerEnd);
+        // Center part (with blur)
+        ctx.filter = `blur(${blurAmount}px)`;
+        ctx.drawImage(originalCanvas, 0, centerStart, width, centerEnd - centerStart, 0, centerStart, width, centerEnd - centerStart);
+        break;
+
+      case 'edges':
+        // Blur edges (25% from each side)
+        const edgeSize = Math.round(width * 0.25);
+        const centerWidth = width - (edgeSize * 2);
+        ctx.filter = 'none';
+        ctx.clearRect(0, 0, width, height);
+        // Center area (no blur)
+        ctx.drawImage(originalCanvas, edgeSize, 0, centerWidth, height, edgeSize, 0, centerWidth, height);
+        // Left and right edges (with blur)
+        ctx.filter = `blur(${blurAmount}px)`;
+        ctx.drawImage(originalCanvas, 0, 0, edgeSize, height, 0, 0, edgeSize, height); // Left
+        ctx.drawImage(originalCanvas, width - edgeSize, 0, edgeSize, height, width - edgeSize, 0, edgeSize, height); // Right
+        break;
+    }
+
+    // Reset filter
+    ctx.filter = 'none';
+
+    return canvas;
+  },
+
+  // Redaction: the pixels under each region are replaced in place, nothing of
+  // them survives in the output. A region is in percent of the canvas size:
+  // { shape: 'rect' | 'ellipse', x, y, width, height, mode, strength, color }
+  // where `mode` is 'blur', 'pixelate' or 'fill' and `strength` is the blur
+  // radius or block size in percent of the shorter side.
+  applyRedaction(canvas, regions = []) {
+    const ctx = canvas.getContext('2d');
+    const shortSide = Math.min(canvas.width, canvas.height);
+
+    regions.forEach(region => {
+      const rect = this.resolveRegion(canvas, region);
+      if (!rect) return;
+
+      const amount = Math.max(2, Math.round(shortSide * (region.strength || 3) / 100));
+      const original = ctx.getImageData(rect.x, rect.y, rect.width, rect.height);
+      const image = new ImageData(new Uint8ClampedArray(original.data), rect.width, rect.height);
+
+      if (region.mode === 'fill') {
+        this.fillPixels(image, region.color || '#000000');
+      } else if (region.mode === 'blur') {
+        // Blurring a mosaic: a plain Gaussian blur of small text can be undone
+        // by deconvolution, averaged blocks cannot
+        this.pixelate(image, Math.max(1, Math.round(amount / 2)));
+        this.boxBlur(image, Math.max(1, Math.round(amount / 2)), 3);
+      } else {
+        this.pixelate(image, amount);
+      }
+
+      if (region.shape === 'ellipse') {
+        this.maskEllipse(image, original);
+      }
+      ctx.putImageData(image, rect.x, rect.y);
+    });
+    return canvas;
+  },
+
+  // Pixel rectangle of a redaction region, clipped to the canvas
+  resolveRegion(canvas, { x = 0, y = 0, width = 0, height = 0 }) {
+    const left = Math.max(0, Math.round(canvas.width * x / 100));
+    const top = Math.max(0, Math.round(canvas.height * y / 100));
+    const right = Math.min(canvas.width, Math.round(canvas.width * (x + width) / 100));
+    const bottom = Math.min(canvas.height, Math.round(canvas.height * (y + height) / 100));
+    if (right - left < 1 || bottom - top < 1) return null;
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  },
+
+  fillPixels(image, color) {
+    // Any CSS colour, resolved by the canvas
+    const swatch = this.createCanvas(1, 1).getContext('2d');
+    swatch.fillStyle = color;
+    swatch.fillRect(0, 0, 1, 1);
+    const [r, g, b] = swatch.getImageData(0, 0, 1, 1).data;
+
+    const data = image.data;
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  },
+
+  // Every block × block tile becomes its average colour
+  pixelate(image, block) {
+    const { width, height, data } = image;
+    for (let top = 0; top < height; top += block) {
+      for (let left = 0; left < width; left += block) {
+        const bottom = Math.min(height, top + block);
+        const right = Math.min(width, left + block);
+        const sum = [0, 0, 0, 0];
+        for (let y = top; y < bottom; y++) {
+          for (let x = left; x < right; x++) {
+            const i = (y * width + x) * 4;
+            for (let c = 0; c < 4; c++) sum[c] += data[i + c];
+          }
+        }
+
+        const count = (bottom - top) * (right - left);
+        for (let y = top; y < bottom; y++) {
+          for (let x = left; x < right; x++) {
+            const i = (y * width + x) * 4;
+            for (let c = 0; c < 4; c++) data[i + c] = Math.round(sum[c] / count);
+          }
+        }
+      }
+    }
+  },
+
+  // Repeated box blurs approximate a Gaussian; edges are clamped, so only
+  // pixels of the region itself are mixed in
+  boxBlur(image, radius, passes = 3) {
+    const { width, height, data } = image;
+    const buffer = new Float32Array(data.length);
+    buffer.set(data);
+    const line = new Float32Array(Math.max(width, height) * 4);
+
+    const blurLine = (start, stride, length) => {
+      for (let i = 0; i < length; i++) {
+        for (let c = 0; c < 4; c++) line[i * 4 + c] = buffer[start + i * stride + c];
+      }
+      const sum = [0, 0, 0, 0];
+      for (let k = -radius; k <= radius; k++) {
+        const j = Math.min(length - 1, Math.max(0, k));
+        for (let c = 0; c < 4; c++) sum[c] += line[j * 4 + c];
+      }
+      for (let i = 0; i < length; i++) {
+        for (let c = 0; c < 4; c++) buffer[start + i * stride + c] = sum[c] / (radius * 2 + 1);
+        const leaving = Math.max(0, i - radius);
+        const entering = Math.min(length - 1, i + radius + 1);
+        for (let c = 0; c < 4; c++) sum[c] += line[entering * 4 + c] - line[leaving * 4 + c];
+      }
+    };
+
+    for (let pass = 0; pass < passes; pass++) {
+      for (let y = 0; y < height; y++) blurLine(y * width * 4, 4, width);
+      for (let x = 0; x < width; x++) blurLine(x * 4, width * 4, height);
+    }
+    data.set(buffer);
+  },
+
+  // Restore the pixels outside the ellipse inscribed in the region
+  maskEllipse(image, original) {
+    const { width, height, data } = image;
+    const radiusX = width / 2;
+    const radiusY = height / 2;
+    for (let y = 0; y < height; y++) {
+      const dy = (y + 0.5 - radiusY) / radiusY;
+      for (let x = 0; x < width; x++) {
+        const dx = (x + 0.5 - radiusX) / radiusX;
+        if (dx * dx + dy * dy > 1) {
+          const i = (y * width + x) * 4;
+          for (let c = 0; c < 4; c++) data[i + c] = original.data[i + c];
+        }
+      }
+    }
+  },
+
+  // Text or logo watermark. Sizes are in percent of the shorter side: `size` is
+  // the font size (text) or the longer side of the logo, `margin` the distance
+  // from the edges for anchored marks, `spacing` the gap between repeated ones.
+  // `placement` is 'anchor' (at `position`, e.g. 'bottom-right'), 'tile' (a grid
+  // of marks turned by `rotation`) or 'diagonal' (the grid itself turned).
+  applyWatermark(canvas, settings, logo = null) {
+    const {
+      kind = 'text', text = '', font = 'sans-serif', size = 5, color = '#ffffff', opacity = 50, rotation = 0,
+      placement = 'anchor', position = 'bottom-right', margin = size * 0.8, spacing = 10
+    } = settings;
+    const mark = kind === 'logo' ? this.createLogoMark(logo, canvas, size) : this.createTextMark(text, canvas, size, font, color);
+    if (!mark) return canvas;
+
+    const { width, height } = canvas;
+    const shortSide = Math.min(width, height);
+    const gap = Math.round(shortSide * spacing / 100);
+    const ctx = canvas.getContext('2d');
+    const draw = (x, y, angle) => {
+      ctx.save();
+      ctx.translate(x, y);
+      ctx.rotate(angle);
+      ctx.drawImage(mark, -mark.width / 2, -mark.height / 2);
+      ctx.restore();
+    };
+
+    ctx.save();
+    ctx.globalAlpha = Math.min(1, Math.max(0, opacity / 100));
+
+    if (placement === 'diagonal') {
+      // Staggered rows along the diagonal, covering the rotated canvas
+      const angle = (rotation || -30) * Math.PI / 180;
+      const stepX = mark.width + gap;
+      const stepY = mark.height + gap;
+      const radius = Math.hypot(width, height) / 2;
+      const columns = Math.ceil(radius / stepX) + 1;
+      const rows = Math.ceil(radius / stepY) + 1;
+      ctx.translate(width / 2, height / 2);
+      ctx.rotate(angle);
+      for (let row = -rows; row <= rows; row++) {
+        const offset = row % 2 ? stepX / 2 : 0;
+        for (let column = -columns; column <= columns; column++) {
+          draw(column * stepX + offset, row * stepY, 0);
+        }
+      }
+    } else {
+      const angle = rotation * Math.PI / 180;
+      const boxWidth = Math.abs(mark.width * Math.cos(angle)) + Math.abs(mark.height * Math.sin(angle));
+      const boxHeight = Math.abs(mark.width * Math.sin(angle)) + Math.abs(mark.height * Math.cos(angle));
+
+      if (placement === 'tile') {
+        const stepX = boxWidth + gap;
+        const stepY = boxHeight + gap;
+        const columns = Math.ceil(width / 2 / stepX) + 1;
+        const rows = Math.ceil(height / 2 / stepY) + 1;
+        for (let row = -rows; row <= rows; row++) {
+          for (let column = -columns; column <= columns; column++) {
+            draw(width / 2 + column * stepX, height / 2 + row * stepY, angle);
+          }
+        }
+      } else {
+        // The rotated bounding box keeps `margin` from the anchored edges
+        const inset = Math.round(shortSide * margin / 100);
+        const [vertical, horizontal = 'center'] = position.split('-');
+        const x = horizontal === 'left' ? inset + boxWidth / 2 : horizontal === 'right' ? width - inset - boxWidth / 2 : width / 2;
+        const y = vertical === 'top' ? inset + boxHeight / 2 : vertical === 'bottom' ? height - inset - boxHeight / 2 : height / 2;
+        draw(x, y, angle);
+      }
+    }
+
+    ctx.restore();
+    return canvas;
+  },
+
+  // The text with a soft shadow on a transparent canvas just large enough for it
+  createTextMark(text, canvas, size, font, color) {
+    if (!text) return null;
+
+    const fontSize = Math.max(8, Math.round(Math.min(canvas.width, canvas.height) * size / 100));
+    const padding = Math.ceil(fontSize / 4);
+    const measure = this.createCanvas(1, 1).getContext('2d');
+    measure.font = `600 ${fontSize}px ${font}`;
+
+    const mark = this.createCanvas(
+      Math.ceil(measure.measureText(text).width) + padding * 2,
+      Math.ceil(fontSize * 1.25) + padding * 2
+    );
+    const ctx = mark.getContext('2d');
+    ctx.font = measure.font;
+    ctx.fillStyle = color;
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+    ctx.shadowBlur = fontSize / 8;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, mark.width / 2, mark.height / 2);
+    return mark;
+  },
+
+  // The logo scaled so its longer side is `size` percent of the image's shorter side
+  createLogoMark(logo, canvas, size) {
+    if (!logo) return null;
+
+    const longSide = Math.max(1, Math.round(Math.min(canvas.width, canvas.height) * size / 100));
+    const scale = longSide / Math.max(logo.width, logo.height);
+    const mark = this.createCanvas(Math.max(1, Math.round(logo.width * scale)), Math.max(1, Math.round(logo.height * scale)));
+    this.getContext(mark).drawImage(logo, 0, 0, mark.width, mark.height);
+    return mark;
+  },
+
+  canvasToBlob(canvas, type, quality) {
+    if (typeof canvas.convertToBlob === 'function') {
+      return canvas.convertToBlob({ type, quality });
+    }
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error(`Encoding to ${type} failed`));
+        }
+      }, type, quality);
+    });
+  },
+
+  // `formatConfig` is the resolved config of this format (see resolveEncoding)
+  async applyFormatOptimization(canvas, format, quality = 1, formatConfig = {}) {
+    switch (format) {
+      case 'webp':
+        return this.optimizeWebP(canvas, formatConfig, quality);
+      case 'png':
+        return this.optimizePNG(canvas, formatConfig);
+      case 'avif':
+        return this.optimizeAVIF(canvas, formatConfig, quality);
+      case 'tiff':
+        return this.optimizeTIFF(canvas, formatConfig);
+      case 'jpg':
+      case 'jpeg':
+        return this.optimizeJPEG(canvas, formatConfig, quality);
+      default:
+        return this.canvasToBlob(canvas, `image/${format}`, quality);
+    }
+  },
+
+  optimizeWebP(canvas, config, quality) {
+    if (config.lossless) {
+      // Browsers switch the WebP encoder to its lossless mode at quality 1.0
+      return this.canvasToBlob(canvas, 'image/webp', 1.0);
+    }
+    return this.canvasToBlob(canvas, 'image/webp', quality);
+  },
+
+  async optimizePNG(canvas, config) {
+    // Our own writer (png.js) picks the smallest colour type and compresses
+    // harder than the browser's encoder
+    const bytes = await PNG.encode(this.getImageData(canvas), config);
+    return new Blob([bytes], { type: 'image/png' });
+  },
+
+  optimizeAVIF(canvas, config, quality) {
+    // AVIF lossless mode (if supported by browser)
+    if (config.lossless) {
+      return this.canvasToBlob(canvas, 'image/avif', 1.0);
+    }
+    return this.canvasToBlob(canvas, 'image/avif', quality);
+  },
+
+  async optimizeTIFF(canvas, config) {
+    // Browsers cannot encode TIFF, the pixels go through our own writer (tiff.js)
+    const bytes = await TIFF.encode([this.getImageData(canvas)], config);
+    return new Blob([bytes], { type: 'image/tiff' });
+  },
+
+  getImageData(canvas) {
+    return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  },
+
+  // Several decoded images as the pages of one multi-page TIFF
+  async encodeTiffDocument(bitmaps, config = {}, onProgress = () => {}) {
+    const pages = bitmaps.map((bitmap, index) => async () => {
+      const canvas = await this.renderBitmap(bitmap, { width: bitmap.width, height: bitmap.height });
+      onProgress((index + 1) / bitmaps.length);
+      return this.getImageData(canvas);
+    });
+
+    const bytes = await TIFF.encode(pages, config);
+    return new Blob([bytes], { type: 'image/tiff' });
+  },
+
+  optimizeJPEG(canvas, config, quality) {
+    // JPEG is always lossy, the quality is passed straight to the encoder
+    return this.canvasToBlob(canvas, 'image/jpeg', quality);
+  }
+};
@@ -0,0 +1,785 @@
+// ImageFlow Pro Metadata - EXIF / XMP / ICC parsing and re-injection
+// Parsing runs on the page at import; embedding runs in the processing workers
+// right after encoding. Relies on tiff.js for the zlib helpers.
+const Metadata = {
+  // Export policies: everything, everything but location, only copyright + ICC, nothing
+  POLICIES: ['keep', 'no-gps', 'copyright', 'strip'],
+
+  EXIF_POINTER: 34665,
+  GPS_POINTER: 34853,
+  INTEROP_POINTER: 40965,
+  TYPE_SIZES: { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 },
+
+  EXIF_HEADER: 'Exif\0\0',
+  XMP_HEADER: 'http://ns.adobe.com/xap/1.0/\0',
+  ICC_HEADER: 'ICC_PROFILE\0',
+  XMP_KEYWORD: 'XML:com.adobe.xmp',
+
+  // --- Reading -------------------------------------------------------------
+
+  // Resolves to { exif, xmp, icc } or null when the file carries no metadata
+  async read(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let raw = null;
+
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+      raw = this.readJPEG(bytes);
+    } else if (this.startsWith(bytes, 0, '\x89PNG')) {
+      raw = await this.readPNG(bytes);
+    } else if (this.startsWith(bytes, 0, 'RIFF') && this.startsWith(bytes, 8, 'WEBP')) {
+      raw = this.readWebP(bytes);
+    }
+
+    if (!raw || (!raw.exif && !raw.xmp && !raw.icc)) return null;
+    return {
+      exif: raw.exif ? this.parseExif(raw.exif) : null,
+      xmp: raw.xmp || null,
+      icc: raw.icc || null
+    };
+  },
+
+  readJPEG(bytes) {
+    const result = {};
+    const iccChunks = [];
+
+    for (const segment of this.readJPEGSegments(bytes)) {
+      const data = segment.data;
+      if (segment.marker === 0xE1 && this.startsWith(data, 0, this.EXIF_HEADER)) {
+        result.exif = data.slice(this.EXIF_HEADER.length);
+      } else if (segment.marker === 0xE1 && this.startsWith(data, 0, this.XMP_HEADER)) {
+        result.xmp = this.decodeText(data.subarray(this.XMP_HEADER.length));
+      } else if (segment.marker === 0xE2 && this.startsWith(data, 0, this.ICC_HEADER)) {
+        // Profiles over 64 KB are split over several numbered APP2 segments
+        iccChunks.push({ index: data[12], data: data.subarray(14) });
+      }
+    }
+
+    if (iccChunks.length > 0) {
+      result.icc = this.concat(iccChunks.sort((a, b) => a.index - b.index).map(chunk => chunk.data));
+    }
+    return result;
+  },
+
+  async readPNG(bytes) {
+    const result = {};
+
+    for (const chunk of this.readPNGChunks(bytes)) {
+      const data = chunk.data;
+      if (chunk.type === 'eXIf') {
+        result.exif = data.slice();
+      } else if (chunk.type === 'iCCP') {
+        // Profile name, NUL, compression method, zlib data
+        const nul = data.indexOf(0);
+        result.icc = await TIFF.inflate(data.subarray(nul + 2));
+      } else if (chunk.type === 'iTXt' && this.readString(data, 0, data.indexOf(0)) === this.XMP_KEYWORD) {
+        // Keyword, NUL, compression flag, method, language NUL, translated keyword NUL, text
+        const nul = data.indexOf(0);
+        const compressed = data[nul + 1] === 1;
+        let position = data.indexOf(0, nul + 3) + 1;
+        position = data.indexOf(0, position) + 1;
+        const text = data.subarray(position);
+        result.xmp = this.decodeText(compressed ? await TIFF.inflate(text) : text);
+      }
+    }
+    return result;
+  },
+
+  readWebP(bytes) {
+    const result = {};
+
+    for (const chunk of this.readWebPChunks(bytes)) {
+      if (chunk.type === 'EXIF') {
+        // Some writers keep the JPEG "Exif\0\0" prefix
+        const exif = this.startsWith(chunk.data, 0, this.EXIF_HEADER) ?
+          chunk.data.subarray(this.EXIF_HEADER.length) : chunk.data;
+        result.exif = exif.slice();
+      } else if (chunk.type === 'XMP ') {
+        result.xmp = this.decodeText(chunk.data);
+      } else if (chunk.type === 'ICCP') {
+        result.icc = chunk.data.slice();
+      }
+    }
+    return result;
+  },
+
+  // Marker segments up to the start of scan (image data holds no metadata)
+  readJPEGSegments(bytes) {
+    const segments = [];
+    let offset = 2;
+
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+      const marker = bytes[offset + 1];
+      if (marker === 0xFF) {
+        offset++;
+        continue;
+      }
+      if (marker === 0xDA || marker === 0xD9) break;
+
+      const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+      segments.push({ marker, data: bytes.subarray(offset + 4, offset + 2 + length) });
+      offset += 2 + length;
+    }
+    return segments;
+  },
+
+  readPNGChunks(bytes) {
+    const chunks = [];
+    let offset = 8;
+
+    while (offset + 12 <= bytes.length) {
+      const length = this.readUint32BE(bytes, offset);
+      const type = this.readString(bytes, offset + 4, offset + 8);
+      chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+      offset += 12 + length;
+      if (type === 'IEND') break;
+    }
+    return chunks;
+  },
+
+  readWebPChunks(bytes) {
+    const chunks = [];
+    let offset = 12;
+
+    while (offset + 8 <= bytes.length) {
+      const type = this.readString(bytes, offset, offset + 4);
+      const length = bytes[offset + 4] | (bytes[offset + 5] << 8) | (bytes[offset + 6] << 16) | (bytes[offset + 7] << 24);
+      chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+      offset += 8 + length + (length & 1);
+    }
+    return chunks;
+  },
+
+  // EXIF is a small TIFF structure. Entries keep their raw value bytes (in the
+  // original byte order) so unknown tags survive the round trip untouched.
+  parseExif(bytes) {
+    try {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      const byteOrder = view.getUint16(0);
+      if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return null;
+      const little = byteOrder === 0x4949;
+      if (view.getUint16(2, little) !== 42) return null;
+
+      const readIFD = (offset) => {
+        const entries = [];
+        if (!offset || offset + 2 > bytes.length) return entries;
+
+        const count = view.getUint16(offset, little);
+        for (let i = 0; i < count; i++) {
+          const entry = offset + 2 + i * 12;
+          if (entry + 12 > bytes.length) break;
+
+          const tag = view.getUint16(entry, little);
+          const type = view.getUint16(entry + 2, little);
+          const length = view.getUint32(entry + 4, little);
+          if (!this.TYPE_SIZES[type]) continue;
+
+          const size = this.TYPE_SIZES[type] * length;
+          const valueOffset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+          if (valueOffset + size > bytes.length) continue;
+
+          entries.push({ tag, type, count: length, value: bytes.slice(valueOffset, valueOffset + size) });
+        }
+        return entries;
+      };
+
+      const pointer = (entries, tag) => {
+        const entry = entries.find(e => e.tag === tag);
+        return entry ? this.readValue(entry, little)[0] : 0;
+      };
+      const withoutPointers = (entries) => entries.filter(e =>
+        e.tag !== this.EXIF_POINTER && e.tag !== this.GPS_POINTER && e.tag !== this.INTEROP_POINTER);
+
+      const ifd0 = readIFD(view.getUint32(4, little));
+      const exif = readIFD(pointer(ifd0, this.EXIF_POINTER));
+      const gps = readIFD(pointer(ifd0, this.GPS_POINTER));
+      const interop = readIFD(pointer(exif, this.INTEROP_POINTER));
+
+      return {
+        little,
+        ifd0: withoutPointers(ifd0),
+        exif: withoutPointers(exif),
+        gps,
+        interop
+      };
+    } catch (error) {
+      console.warn('Invalid EXIF data:', error);
+      return null;
+    }
+  },
+
+  readValue(entry, little) {
+    const view = new DataView(entry.value.buffer, entry.value.byteOffset, entry.value.byteLength);
+    const values = [];
+
+    for (let i = 0; i < entry.count; i++) {
+      switch (entry.type) {
+        case 2:
+          return this.readString(entry.value, 0, entry.value.indexOf(0) === -1 ? entry.count : entry.value.indexOf(0)).trim();
+        case 3: values.push(view.getUint16(i * 2, little)); break;
+        case 4: values.push(view.getUint32(i * 4, little)); break;
+        case 5: values.push(view.getUint32(i * 8, little) / (view.getUint32(i * 8 + 4, little) || 1)); break;
+        case 8: values.push(view.getInt16(i * 2, little)); break;
+        case 9: values.push(view.getInt32(i * 4, little)); break;
+        case 10: values.push(view.getInt32(i * 8, little) / (view.getInt32(i * 8 + 4, little) || 1)); break;
+        case 11: values.push(view.getFloat32(i * 4, little)); break;
+        case 12: values.push(view.getFloat64(i * 8, little)); break;
+        default: values.push(entry.value[i]);
+      }
+    }
+    return values;
+  },
+
+  getTag(entries, tag, little) {
+    const entry = entries.find(e => e.tag === tag);
+    return entry ? this.readValue(entry, little) : null;
+  },
+
+  // --- Orientation ---------------------------------------------------------
+
+  // EXIF orientation (1-8), 1 when missing
+  getOrientation(metadata) {
+    if (!metadata || !metadata.exif) return 1;
+    const value = this.getTag(metadata.exif.ifd0, 274, metadata.exif.little);
+    return value && value[0] >= 1 && value[0] <= 8 ? value[0] : 1;
+  },
+
+  // A copy of the file with its orientation tag set to 1, so browsers decode
+  // the stored pixels as-is whatever their own EXIF handling is
+  async withoutOrientation(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const exif = this.locateExif(bytes);
+    if (!exif || exif.data.length < 8) return blob;
+
+    const view = new DataView(bytes.buffer, exif.data.byteOffset, exif.data.byteLength);
+    const little = view.getUint16(0) === 0x4949;
+    const ifd0 = view.getUint32(4, little);
+    if (ifd0 + 2 > exif.data.length) return blob;
+
+    const count = view.getUint16(ifd0, little);
+    for (let i = 0; i < count; i++) {
+      const entry = ifd0 + 2 + i * 12;
+      if (entry + 12 > exif.data.length) break;
+      if (view.getUint16(entry, little) !== 274) continue;
+      if (view.getUint16(entry + 8, little) === 1) return blob;
+
+      view.setUint16(entry + 8, 1, little);
+      if (exif.chunk) {
+        // PNG chunks are checksummed over type + data
+        const start = exif.chunk.byteOffset - 4;
+        const end = exif.chunk.byteOffset + exif.chunk.length;
+        new DataView(bytes.buffer).setUint32(end, this.crc32(bytes.subarray(start, end)));
+      }
+      return new Blob([bytes], { type: blob.type });
+    }
+    return blob;
+  },
+
+  // The EXIF (TIFF) block inside a JPEG, PNG or WebP file, as a view of `bytes`
+  locateExif(bytes) {
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+      const segment = this.readJPEGSegments(bytes).find(s =>
+        s.marker === 0xE1 && this.startsWith(s.data, 0, this.EXIF_HEADER));
+      return segment ? { data: segment.data.subarray(this.EXIF_HEADER.length) } : null;
+    }
+    if (this.startsWith(bytes, 0, '\x89PNG')) {
+      const chunk = this.readPNGChunks(bytes).find(c => c.type === 'eXIf');
+      return chunk ? { data: chunk.data, chunk: chunk.data } : null;
+    }
+    if (this.startsWith(bytes, 0, 'RIFF') && this.startsWith(bytes, 8, 'WEBP')) {
+      const chunk = this.readWebPChunks(bytes).find(c => c.type === 'EXIF');
+      if (!chunk) return null;
+      const prefixed = this.startsWith(chunk.data, 0, this.EXIF_HEADER);
+      return { data: prefixed ? chunk.data.subarray(this.EXIF_HEADER.length) : chunk.data };
+    }
+    return null;
+  },
+
+  // --- Display -------------------------------------------------------------
+
+  // Human readable fields for the card panel: [{ label, value, group }], where
+  // the group (gps, copyright, icc, other) decides which policies keep it
+  summarize(metadata) {
+    if (!metadata) return [];
+    const fields = [];
+    const add = (label, value, group = 'other') => {
+      if (value !== null && value !== undefined && value !== '') {
+        fields.push({ label, value: String(value), group });
+      }
+    };
+
+    const exif = metadata.exif;
+    if (exif) {
+      const ifd0 = (tag) => this.getTag(exif.ifd0, tag, exif.little);
+      const sub = (tag) => this.getTag(exif.exif, tag, exif.little);
+      const first = (values) => values ? values[0] : null;
+
+      add('Fényképezőgép', [ifd0(271), ifd0(272)].filter(Boolean).join(' '));
+      add('Objektív', sub(42036));
+      add('Készült', sub(36867) || ifd0(306));
+
+      const exposure = [];
+      const time = first(sub(33434));
+      if (time) exposure.push(time < 1 ? `1/${Math.round(1 / time)} s` : `${time} s`);
+      if (first(sub(33437))) exposure.push(`f/${first(sub(33437)).toFixed(1)}`);
+      if (first(sub(34855))) exposure.push(`ISO ${first(sub(34855))}`);
+      if (first(sub(37386))) exposure.push(`${Math.round(first(sub(37386)))} mm`);
+      add('Expozíció', exposure.join(' · '));
+
+      add('Szoftver', ifd0(305));
+      add('Szerző', ifd0(315), 'copyright');
+      add('Szerzői jog', ifd0(33432), 'copyright');
+      add('GPS', this.formatGps(exif), 'gps');
+    }
+
+    if (metadata.xmp) {
+      if (!fields.some(field => field.label === 'Szerző')) add('Szerző', this.readXmpField(metadata.xmp, 'creator'), 'copyright');
+      if (!fields.some(field => field.label === 'Szerzői jog')) add('Szerzői jog', this.readXmpField(metadata.xmp, 'rights'), 'copyright');
+      add('XMP', `${(metadata.xmp.length / 1024).toFixed(1)} KB`);
+    }
+
+    if (metadata.icc) {
+      add('ICC profil', this.getIccDescription(metadata.icc) || `${(metadata.icc.length / 1024).toFixed(1)} KB`, 'icc');
+    }
+    return fields;
+  },
+
+  // Whether a summarized field survives an export policy
+  isKept(field, policy) {
+    switch (policy) {
+      case 'strip': return false;
+      case 'copyright': return field.group === 'copyright' || field.group === 'icc';
+      case 'no-gps': return field.group !== 'gps';
+      default: return true;
+    }
+  },
+
+  formatGps(exif) {
+    const gps = (tag) => this.getTag(exif.gps, tag, exif.little);
+    const latitude = gps(2);
+    const longitude = gps(4);
+    if (!latitude || !longitude) return null;
+
+    const toDecimal = ([degrees, minutes = 0, seconds = 0], ref, negative) =>
+      (degrees + minutes / 60 + seconds / 3600) * (ref === negative ? -1 : 1);
+    return `${toDecimal(latitude, gps(1), 'S').toFixed(6)}, ${toDecimal(longitude, gps(3), 'W').toFixed(6)}`;
+  },
+
+  readXmpField(xmp, name) {
+    const match = new RegExp(`<dc:${name}>[\\s\\S]*?<rdf:li[^>]*>([\\s\\S]*?)</rdf:li>`).exec(xmp);
+    return match ? this.unescapeXml(match[1].trim()) : null;
+  },
+
+  // 'desc' (ICC v2) or 'mluc' (ICC v4) profile description
+  getIccDescription(icc) {
+    if (icc.length < 132) return null;
+    const count = this.readUint32BE(icc, 128);
+
+    for (let i = 0; i < count; i++) {
+      const entry = 132 + i * 12;
+      if (entry + 12 > icc.length || this.readString(icc, entry, entry + 4) !== 'desc') continue;
+
+      const offset = this.readUint32BE(icc, entry + 4);
+      const type = this.readString(icc, offset, offset + 4);
+      if (type === 'desc') {
+        const length = this.readUint32BE(icc, offset + 8);
+        return this.readString(icc, offset + 12, offset + 12 + length).replace(/\0+$/, '');
+      }
+      if (type === 'mluc') {
+        const length = this.readUint32BE(icc, offset + 20);
+        const start = offset + this.readUint32BE(icc, offset + 24);
+        let text = '';
+        for (let p = start; p + 1 < start + length; p += 2) {
+          text += String.fromCharCode((icc[p] << 8) | icc[p + 1]);
+        }
+        return text;
+      }
+    }
+    return null;
+  },
+
+  // --- Export --------------------------------------------------------------
+
+  // The part of the metadata an export policy keeps, or null
+  select(metadata, policy = 'keep') {
+    if (!metadata || policy === 'strip') return null;
+    const { exif, xmp, icc } = metadata;
+    let selected;
+
+    if (policy === 'copyright') {
+      const creator = xmp && this.readXmpField(xmp, 'creator');
+      const rights = xmp && this.readXmpField(xmp, 'rights');
+      selected = {
+        exif: exif ? {
+          little: exif.little,
+          ifd0: exif.ifd0.filter(e => e.tag === 315 || e.tag === 33432),
+          exif: [],
+          gps: [],
+          interop: []
+        } : null,
+        xmp: creator || rights ? this.buildXmp({ creator, rights }) : null,
+        icc
+      };
+    } else {
+      const upright = xmp && this.resetXmpOrientation(xmp);
+      selected = {
+        exif: exif ? { ...exif, gps: policy === 'no-gps' ? [] : exif.gps } : null,
+        xmp: upright && policy === 'no-gps' ? this.stripXmpGps(upright) : upright,
+        icc
+      };
+    }
+
+    if (selected.exif && selected.exif.ifd0.length + selected.exif.exif.length + selected.exif.gps.length === 0) {
+      selected.exif = null;
+    }
+    return selected.exif || selected.xmp || selected.icc ? selected : null;
+  },
+
+  // Location lives in exif:GPS* properties, both as attributes and elements
+  stripXmpGps(xmp) {
+    return xmp
+      .replace(/\s+exif:GPS\w+="[^"]*"/g, '')
+      .replace(/<exif:GPS(\w+)[^>]*?\/>/g, '')
+      .replace(/<exif:GPS(\w+)[^>]*>[\s\S]*?<\/exif:GPS\1>/g, '');
+  },
+
+  // Pixels are exported upright, so tiff:Orientation (attribute or element)
+  // becomes 1 like the EXIF tag, or XMP readers would rotate them again
+  resetXmpOrientation(xmp) {
+    return xmp
+      .replace(/(\btiff:Orientation\s*=\s*)(["'])\s*\d+\s*\2/g, '$1$21$2')
+      .replace(/(<tiff:Orientation>)\s*\d+\s*(<\/tiff:Orientation>)/g, '$11$2');
+  },
+
+  buildXmp({ creator, rights }) {
+    const item = (value) => `<rdf:li xml:lang="x-default">${this.escapeXml(value)}</rdf:li>`;
+    return '<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+      '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+      (creator ? `<dc:creator><rdf:Seq>${item(creator).replace(' xml:lang="x-default"', '')}</rdf:Seq></dc:creator>` : '') +
+      (rights ? `<dc:rights><rdf:Alt>${item(rights)}</rdf:Alt></dc:rights>` : '') +
+      '</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+  },
+
+  // Bytes the selected metadata adds to an output (used by target-size encoding)
+  estimateSize(selected) {
+    if (!selected) return 0;
+    return (selected.exif ? this.serializeExif(selected.exif).length : 0) +
+      (selected.xmp ? this.encodeText(selected.xmp).length : 0) +
+      (selected.icc ? selected.icc.length : 0) + 64;
+  },
+
+  // Canvas encoders drop all metadata: re-insert the selected parts into a
+  // JPEG, PNG or WebP output. Other formats are returned unchanged.
+  async embed(blob, format, selected) {
+    if (!selected) return blob;
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const exif = selected.exif ? this.serializeExif(selected.exif) : null;
+    let output;
+
+    switch (format) {
+      case 'jpg':
+      case 'jpeg':
+        output = this.embedJPEG(bytes, exif, selected);
+        break;
+      case 'png':
+        output = await this.embedPNG(bytes, exif, selected);
+        break;
+      case 'webp':
+        output = this.embedWebP(bytes, exif, selected);
+        break;
+      default:
+        return blob;
+    }
+    return new Blob([output], { type: blob.type });
+  },
+
+  // Pixels are always exported upright, so Orientation is reset to 1 (in XMP
+  // by resetXmpOrientation). MakerNote is dropped: it holds offsets into the
+  // original file that no longer hold.
+  serializeExif(exif) {
+    const little = exif.little;
+    const makeEntry = (tag, type, values) => {
+      const size = this.TYPE_SIZES[type];
+      const value = new Uint8Array(values.length * size);
+      const view = new DataView(value.buffer);
+      values.forEach((v, i) => type === 3 ? view.setUint16(i * 2, v, little) : view.setUint32(i * 4, v, little));
+      return { tag, type, count: values.length, value };
+    };
+
+    const blocks = [];
+    const ifd0 = {
+      entries: exif.ifd0.map(e => e.tag === 274 ? makeEntry(274, 3, [1]) : e)
+    };
+    blocks.push(ifd0);
+
+    const subEntries = exif.exif.filter(e => e.tag !== 37500);
+    if (subEntries.length > 0 || exif.interop.length > 0) {
+      const sub = { entries: subEntries, parent: ifd0, pointer: this.EXIF_POINTER };
+      blocks.push(sub);
+      if (exif.interop.length > 0) {
+        blocks.push({ entries: exif.interop, parent: sub, pointer: this.INTEROP_POINTER });
+      }
+    }
+    if (exif.gps.length > 0) {
+      blocks.push({ entries: exif.gps, parent: ifd0, pointer: this.GPS_POINTER });
+    }
+
+    // Pointer entries first get a placeholder, offsets are known after layout
+    blocks.forEach(block => {
+      if (block.parent) {
+        block.pointerEntry = makeEntry(block.pointer, 4, [0]);
+        block.parent.entries = [...block.parent.entries, block.pointerEntry];
+      }
+    });
+
+    let offset = 8;
+    blocks.forEach(block => {
+      block.entries = [...block.entries].sort((a, b) => a.tag - b.tag);
+      block.offset = offset;
+      offset += 2 + block.entries.length * 12 + 4;
+      block.valueOffsets = block.entries.map(entry => {
+        if (entry.value.length <= 4) return null;
+        const at = offset;
+        offset += entry.value.length + (entry.value.length & 1);
+        return at;
+      });
+    });
+
+    const bytes = new Uint8Array(offset);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, little ? 0x4949 : 0x4D4D);
+    view.setUint16(2, 42, little);
+    view.setUint32(4, 8, little);
+
+    blocks.forEach(block => {
+      if (block.pointerEntry) {
+        new DataView(block.pointerEntry.value.buffer).setUint32(0, block.offset, little);
+      }
+    });
+
+    blocks.forEach(block => {
+      let position = block.offset;
+      view.setUint16(position, block.entries.length, little);
+      position += 2;
+
+      block.entries.forEach((entry, i) => {
+        view.setUint16(position, entry.tag, little);
+        view.setUint16(position + 2, entry.type, little);
+        view.setUint32(position + 4, entry.count, little);
+        if (block.valueOffsets[i] === null) {
+          bytes.set(entry.value, position + 8);
+        } else {
+          view.setUint32(position + 8, block.valueOffsets[i], little);
+          bytes.set(entry.value, block.valueOffsets[i]);
+        }
+        position += 12;
+      });
+      view.setUint32(position, 0, little);
+    });
+
+    return bytes;
+  },
+
+  embedJPEG(bytes, exif, selected) {
+    const segments = [];
+    if (exif) {
+      segments.push(this.jpegSegment(0xE1, this.concat([this.encodeAscii(this.EXIF_HEADER), exif])));
+    }
+    if (selected.xmp) {
+      const xmp = this.concat([this.encodeAscii(this.XMP_HEADER), this.encodeText(selected.xmp)]);
+      // Extended XMP is not supported, oversized packets are left out
+      if (xmp.length <= 65533) segments.push(this.jpegSegment(0xE1, xmp));
+    }
+    if (selected.icc) {
+      const chunkSize = 65519;
+      const count = Math.ceil(selected.icc.length / chunkSize);
+      for (let i = 0; i < count; i++) {
+        const chunk = selected.icc.subarray(i * chunkSize, (i + 1) * chunkSize);
+        segments.push(this.jpegSegment(0xE2, this.concat([this.encodeAscii(this.ICC_HEADER), new Uint8Array([i + 1, count]), chunk])));
+      }
+    }
+
+    // Insert right after SOI and the encoder's JFIF APP0 segment
+    let insertAt = 2;
+    if (bytes[2] === 0xFF && bytes[3] === 0xE0) {
+      insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+    }
+    return this.concat([bytes.subarray(0, insertAt), ...segments, bytes.subarray(insertAt)]);
+  },
+
+  jpegSegment(marker, payload) {
+    const length = payload.length + 2;
+    return this.concat([new Uint8Array([0xFF, marker, length >> 8, length & 0xFF]), payload]);
+  },
+
+  async embedPNG(bytes, exif, selected) {
+    const extra = [];
+    if (selected.icc) {
+      const compressed = await TIFF.deflate(selected.icc);
+      extra.push(this.pngChunk('iCCP', this.concat([this.encodeAscii('ICC Profile\0'), new Uint8Array([0]), compressed])));
+    }
+    if (exif) {
+      extra.push(this.pngChunk('eXIf', exif));
+    }
+    if (selected.xmp) {
+      // Uncompressed iTXt with empty language and translated keyword
+      const header = this.encodeAscii(`${this.XMP_KEYWORD}\0\0\0\0\0`);
+      extra.push(this.pngChunk('iTXt', this.concat([header, this.encodeText(selected.xmp)])));
+    }
+
+    // sRGB and iCCP are mutually exclusive
+    const replaced = new Set(['eXIf', ...(selected.icc ? ['iCCP', 'sRGB'] : [])]);
+    const parts = [bytes.subarray(0, 8)];
+    for (const chunk of this.readPNGChunks(bytes)) {
+      if (replaced.has(chunk.type)) continue;
+      parts.push(this.pngChunk(chunk.type, chunk.data));
+      if (chunk.type === 'IHDR') parts.push(...extra);
+    }
+    return this.concat(parts);
+  },
+
+  pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(this.encodeAscii(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+  },
+
+  // Metadata requires the extended (VP8X) WebP container
+  embedWebP(bytes, exif, selected) {
+    const chunks = this.readWebPChunks(bytes);
+    const imageChunks = chunks.filter(c => !['VP8X', 'ICCP', 'EXIF', 'XMP '].includes(c.type));
+    const existing = chunks.find(c => c.type === 'VP8X');
+
+    let flags = existing ? existing.data[0] & ~0x2C : 0;
+    let width, height;
+    if (existing) {
+      width = 1 + (existing.data[4] | (existing.data[5] << 8) | (existing.data[6] << 16));
+      height = 1 + (existing.data[7] | (existing.data[8] << 8) | (existing.data[9] << 16));
+    } else {
+      const frame = imageChunks.find(c => c.type === 'VP8 ' || c.type === 'VP8L');
+      if (!frame) return bytes;
+      if (frame.type === 'VP8L') {
+        const bits = (frame.data[1] | (frame.data[2] << 8) | (frame.data[3] << 16) | (frame.data[4] << 24)) >>> 0;
+        width = (bits & 0x3FFF) + 1;
+        height = ((bits >>> 14) & 0x3FFF) + 1;
+        if ((bits >>> 28) & 1) flags |= 0x10;
+      } else {
+        width = (frame.data[6] | (frame.data[7] << 8)) & 0x3FFF;
+        height = (frame.data[8] | (frame.data[9] << 8)) & 0x3FFF;
+      }
+      if (imageChunks.some(c => c.type === 'ALPH')) flags |= 0x10;
+    }
+
+    if (selected.icc) flags |= 0x20;
+    if (exif) flags |= 0x08;
+    if (selected.xmp) flags |= 0x04;
+
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = flags;
+    [width - 1, height - 1].forEach((value, i) => {
+      vp8x[4 + i * 3] = value & 0xFF;
+      vp8x[5 + i * 3] = (value >> 8) & 0xFF;
+      vp8x[6 + i * 3] = (value >> 16) & 0xFF;
+    });
+
+    // Chunk order required by the container spec
+    const ordered = [
+      { type: 'VP8X', data: vp8x },
+      ...(selected.icc ? [{ type: 'ICCP', data: selected.icc }] : []),
+      ...imageChunks,
+      ...(exif ? [{ type: 'EXIF', data: exif }] : []),
+      ...(selected.xmp ? [{ type: 'XMP ', data: this.encodeText(selected.xmp) }] : [])
+    ];
+
+    const body = this.concat(ordered.map(chunk => {
+      const header = new Uint8Array(8);
+      header.set(this.encodeAscii(chunk.type));
+      new DataView(header.buffer).setUint32(4, chunk.data.length, true);
+      return this.concat([header, chunk.data, new Uint8Array(chunk.data.length & 1)]);
+    }));
+
+    const riff = new Uint8Array(12);
+    riff.set(this.encodeAscii('RIFF'));
+    new DataView(riff.buffer).setUint32(4, body.length + 4, true);
+    riff.set(this.encodeAscii('WEBP'), 8);
+    return this.concat([riff, body]);
+  },
+
+  // --- Byte helpers --------------------------------------------------------
+
+  _crcTable: null,
+
+  crc32(bytes) {
+    if (!this._crcTable) {
+      this._crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this._crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this._crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  },
+
+  concat(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(part => {
+      out.set(part, offset);
+      offset += part.length;
+    });
+    return out;
+  },
+
+  startsWith(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+      if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+  },
+
+  readString(bytes, start, end) {
+    let text = '';
+    for (let i = start; i < end && i < bytes.length; i++) {
+      text += String.fromCharCode(bytes[i]);
+    }
+    return text;
+  },
+
+  readUint32BE(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+  },
+
+  encodeAscii(text) {
+    return Uint8Array.from(text, char => char.charCodeAt(0));
+  },
+
+  encodeText(text) {
+    return new TextEncoder().encode(text);
+  },
+
+  decodeText(bytes) {
+    return new TextDecoder('utf-8').decode(bytes);
+  },
+
+  escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  },
+
+  unescapeXml(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+  }
+};
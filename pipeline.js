@@ -0,0 +1,348 @@
+// ImageFlow Pro Pipeline - chained recipe steps
+// A recipe is an ordered list of steps ({ type, ...params }) applied to the
+// upright original one after another. Edit histories are replayed the same way.
+// Loaded by the page and by worker.js.
+const Pipeline = {
+  // Canvas operations, in the order the user lists them. The `encode` step is
+  // not an operation: the last one decides the output format.
+  OPERATIONS: ['crop', 'rotate', 'flip', 'straighten', 'denoise', 'resize', 'adjust', 'blur', 'redact', 'sharpen', 'watermark'],
+
+  validate(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('A recipe needs at least one step');
+    }
+    steps.forEach(step => {
+      if (step.type !== 'encode' && !this.OPERATIONS.includes(step.type)) {
+        throw new Error(`Unknown recipe step: ${step.type}`);
+      }
+    });
+  },
+
+  async run(bitmap, steps, options = {}, onProgress = () => {}) {
+    this.validate(steps);
+
+    const canvas = await this.render(bitmap, steps, options, (progress) => onProgress(0.8 * progress));
+    const encode = steps.filter(step => step.type === 'encode').pop() || {};
+
+    // Encoding (target size, metadata) is the same as for a plain resize
+    const settings = { ...encode, format: encode.format || 'png', width: null, height: null };
+    return Imaging.processBitmap(canvas, settings, options, (progress) => onProgress(0.8 + 0.2 * progress));
+  },
+
+  // The canvas operations of `steps` (encode steps are skipped)
+  async render(bitmap, steps, options = {}, onProgress = () => {}) {
+    let canvas = Imaging.createCanvas(bitmap.width, bitmap.height);
+    Imaging.getContext(canvas).drawImage(bitmap, 0, 0);
+
+    const operations = this.mergeResizes(steps.filter(step => step.type !== 'encode'));
+    for (let i = 0; i < operations.length; i++) {
+      canvas = await this[operations[i].type](canvas, operations[i], options);
+      onProgress((i + 1) / operations.length);
+    }
+    return canvas;
+  },
+
+  // Responsive export of the edited image (see Imaging.renderVariants)
+  async runVariants(bitmap, steps, widths, formats, options = {}, onProgress = () => {}) {
+    const canvas = await this.render(bitmap, steps, options, (progress) => onProgress(0.3 * progress));
+    return Imaging.renderVariants(canvas, widths, formats, options, (progress) => onProgress(0.3 + 0.7 * progress));
+  },
+
+  // Runs of consecutive resizes become one resample to their final size, so
+  // replaying a history of resizes never resamples the pixels twice. A cover or
+  // contain resize crops/pads to its box, so it ends its run.
+  mergeResizes(operations) {
+    const merged = [];
+    operations.forEach(step => {
+      const previous = merged[merged.length - 1];
+      if (step.type === 'resize' && previous && previous.type === 'resize' &&
+          !this.isBoxFit(previous.chain[previous.chain.length - 1])) {
+        previous.chain.push(step);
+      } else {
+        merged.push(step.type === 'resize' ? { type: 'resize', chain: [step] } : step);
+      }
+    });
+    return merged;
+  },
+
+  crop(canvas, step) {
+    // Smart crops take their focus point from the pixels (smartcrop.js)
+    const resolved = step.ratio && step.anchor === 'smart'
+      ? { ...step, focus: SmartCrop.findFocus(canvas, step.ratio) }
+      : step;
+    const rect = this.resolveCrop(canvas.width, canvas.height, resolved);
+    const output = Imaging.createCanvas(rect.width, rect.height);
+    output.getContext('2d').drawImage(canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+    return output;
+  },
+
+  // Focus points of the anchored crops, in fractions of the image size
+  CROP_ANCHORS: {
+    center: [0.5, 0.5],
+    top: [0.5, 0],
+    bottom: [0.5, 1],
+    left: [0, 0.5],
+    right: [1, 0.5],
+    thirds: [0.5, 1 / 3]
+  },
+
+  // Pixel rectangle of a crop step on a width × height image. A step is either
+  // - a `ratio` window as large as possible, centred on the `anchor` focus point
+  //   (or on `focus`, which smart crops fill in),
+  // - `unit: 'inset'`: top/right/bottom/left pixels trimmed from the edges,
+  // - x/y/width/height in percent of the current size (default) or in pixels.
+  // Rule-based crops resolve per image, so one step fits a whole batch.
+  resolveCrop(width, height, step) {
+    let rect;
+    if (step.ratio) {
+      let cropWidth = width;
+      let cropHeight = Math.round(width / step.ratio);
+      if (cropHeight > height) {
+        cropHeight = height;
+        cropWidth = Math.round(height * step.ratio);
+      }
+      const [focusX, focusY] = step.focus || this.CROP_ANCHORS[step.anchor] || this.CROP_ANCHORS.center;
+      rect = {
+        x: Math.round(focusX * width - cropWidth / 2),
+        y: Math.round(focusY * height - cropHeight / 2),
+        width: cropWidth,
+        height: cropHeight
+      };
+      rect.x = Math.max(0, Math.min(rect.x, width - cropWidth));
+      rect.y = Math.max(0, Math.min(rect.y, height - cropHeight));
+    } else if (step.unit === 'inset') {
+      const { top = 0, right = 0, bottom = 0, left = 0 } = step;
+      rect = { x: left, y: top, width: width - left - right, height: height - top - bottom };
+    } else {
+      const { x = 0, y = 0, width: cropWidth = 100, height: cropHeight = 100, unit = 'percent' } = step;
+      const scaleX = unit === 'percent' ? width / 100 : 1;
+      const scaleY = unit === 'percent' ? height / 100 : 1;
+      rect = { x: x * scaleX, y: y * scaleY, width: cropWidth * scaleX, height: cropHeight * scaleY };
+    }
+
+    const left = Math.min(Math.max(0, Math.round(rect.x)), width - 1);
+    const top = Math.min(Math.max(0, Math.round(rect.y)), height - 1);
+    return {
+      x: left,
+      y: top,
+      width: Math.min(Math.max(1, Math.round(rect.width)), width - left),
+      height: Math.min(Math.max(1, Math.round(rect.height)), height - top)
+    };
+  },
+
+  // Clockwise quarter turns, reusing the EXIF orientation transforms
+  rotate(canvas, { angle = 90 }) {
+    const turns = ((Math.round(angle / 90) % 4) + 4) % 4;
+    return turns === 0 ? canvas : Imaging.applyOrientation(canvas, [1, 6, 3, 8][turns]);
+  },
+
+  // Mirror along the vertical ('horizontal') or horizontal ('vertical') axis
+  flip(canvas, { axis = 'horizontal' }) {
+    return Imaging.applyOrientation(canvas, axis === 'vertical' ? 4 : 2);
+  },
+
+  // Fine rotation (±45°, clockwise positive). With `autoCrop` the result is the
+  // largest axis-aligned rectangle inside the rotated image, so no corner is empty.
+  straighten(canvas, { angle = 0, autoCrop = true }) {
+    const degrees = Math.max(-45, Math.min(45, angle));
+    if (!degrees) return canvas;
+
+    const radians = degrees * Math.PI / 180;
+    const size = autoCrop
+      ? this.inscribedSize(canvas.width, canvas.height, radians)
+      : this.rotatedSize(canvas.width, canvas.height, radians);
+
+    const output = Imaging.createCanvas(size.width, size.height);
+    const ctx = output.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.translate(size.width / 2, size.height / 2);
+    ctx.rotate(radians);
+    ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+    return output;
+  },
+
+  // Bounding box of a width × height rectangle rotated by `radians`
+  rotatedSize(width, height, radians) {
+    const sin = Math.abs(Math.sin(radians));
+    const cos = Math.abs(Math.cos(radians));
+    return {
+      width: Math.ceil(width * cos + height * sin),
+      height: Math.ceil(width * sin + height * cos)
+    };
+  },
+
+  // Largest axis-aligned rectangle inside a width × height rectangle rotated by `radians`
+  inscribedSize(width, height, radians) {
+    const sin = Math.abs(Math.sin(radians));
+    const cos = Math.abs(Math.cos(radians));
+    const long = Math.max(width, height);
+    const short = Math.min(width, height);
+
+    let innerWidth, innerHeight;
+    if (short <= 2 * sin * cos * long || Math.abs(sin - cos) < 1e-10) {
+      // Thin rectangles: the inner one touches both long sides
+      const half = short / 2;
+      [innerWidth, innerHeight] = width >= height ? [half / sin, half / cos] : [half / cos, half / sin];
+    } else {
+      const cos2 = cos * cos - sin * sin;
+      innerWidth = (width * cos - height * sin) / cos2;
+      innerHeight = (height * cos - width * sin) / cos2;
+    }
+    return {
+      width: Math.max(1, Math.floor(innerWidth)),
+      height: Math.max(1, Math.floor(innerHeight))
+    };
+  },
+
+  // Output size of rotate/flip/straighten steps, without touching any pixels
+  measure(width, height, steps) {
+    return steps.reduce((size, step) => {
+      if (step.type === 'rotate' && Math.round(step.angle / 90) % 2 !== 0) {
+        return { width: size.height, height: size.width };
+      }
+      if (step.type === 'straighten' && step.angle) {
+        const radians = Math.max(-45, Math.min(45, step.angle)) * Math.PI / 180;
+        return step.autoCrop === false
+          ? this.rotatedSize(size.width, size.height, radians)
+          : this.inscribedSize(size.width, size.height, radians);
+      }
+      return size;
+    }, { width, height });
+  },
+
+  // Steps from before fit modes existed: keep the aspect ratio only when a
+  // single side is given (both sides stretch), as they did when recorded
+  getFit(step) {
+    if (step.fit) return step.fit;
+    return step.maintainAspect === false || (step.width && step.height) ? 'fill' : 'inside';
+  },
+
+  isBoxFit(step) {
+    const fit = this.getFit(step);
+    return fit === 'cover' || fit === 'contain';
+  },
+
+  // `chain` holds the merged resize steps; the last algorithm wins and only the
+  // last step can be a cover/contain that is cropped or padded to its box
+  async resize(canvas, { chain }, options) {
+    const algorithm = chain.reduce((current, step) => step.algorithm || current, options.algorithm);
+    const pixelGrid = Boolean(PixelArt.SCALERS[algorithm]);
+    let dimensions = { width: canvas.width, height: canvas.height };
+    chain.forEach(step => {
+      dimensions = Imaging.fitDimensions(dimensions.width, dimensions.height, { ...step, fit: this.getFit(step), pixelGrid });
+    });
+
+    const resized = dimensions.width === canvas.width && dimensions.height === canvas.height
+      ? canvas
+      : await Imaging.renderBitmap(canvas, dimensions, algorithm, options);
+
+    const last = chain[chain.length - 1];
+    const fit = this.getFit(last);
+    if (fit === 'cover') return this.cropToBox(resized, last);
+    if (fit === 'contain') return this.padToBox(resized, last);
+    return resized;
+  },
+
+  // Cover: cut the box out of the scaled image around the `gravity` focus point
+  cropToBox(canvas, { width, height, gravity = 'center', withoutEnlargement = false }) {
+    let boxWidth = width || canvas.width;
+    let boxHeight = height || canvas.height;
+    if (withoutEnlargement) {
+      boxWidth = Math.min(boxWidth, canvas.width);
+      boxHeight = Math.min(boxHeight, canvas.height);
+    }
+    if (boxWidth >= canvas.width && boxHeight >= canvas.height) return canvas;
+
+    const [focusX, focusY] = gravity === 'smart'
+      ? SmartCrop.findFocus(canvas, boxWidth / boxHeight)
+      : this.CROP_ANCHORS[gravity] || this.CROP_ANCHORS.center;
+    return this.crop(canvas, {
+      unit: 'px',
+      x: Math.max(0, Math.min(canvas.width - boxWidth, Math.round(focusX * canvas.width - boxWidth / 2))),
+      y: Math.max(0, Math.min(canvas.height - boxHeight, Math.round(focusY * canvas.height - boxHeight / 2))),
+      width: boxWidth,
+      height: boxHeight
+    });
+  },
+
+  // Contain: letterbox the scaled image in the box with a colour or transparency;
+  // `gravity` decides where the image sits in the box
+  padToBox(canvas, { width, height, gravity = 'center', background = 'transparent' }) {
+    const boxWidth = width || canvas.width;
+    const boxHeight = height || canvas.height;
+    if (boxWidth === canvas.width && boxHeight === canvas.height) return canvas;
+
+    const output = Imaging.createCanvas(boxWidth, boxHeight);
+    const ctx = output.getContext('2d');
+    if (background && background !== 'transparent') {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, boxWidth, boxHeight);
+    }
+
+    const [focusX, focusY] = this.CROP_ANCHORS[gravity] || this.CROP_ANCHORS.center;
+    ctx.drawImage(canvas, Math.round((boxWidth - canvas.width) * focusX), Math.round((boxHeight - canvas.height) * focusY));
+    return output;
+  },
+
+  // Colour and tone corrections on the pixels (see adjustments.js)
+  adjust(canvas, step) {
+    if (Adjustments.isIdentity(step)) return canvas;
+
+    const ctx = canvas.getContext('2d');
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    ctx.putImageData(Adjustments.apply(image, step), 0, 0);
+    return canvas;
+  },
+
+  blur(canvas, { amount = 0, region = 'all' }) {
+    return Imaging.applyBlur(canvas, amount, region);
+  },
+
+  // Blur, pixelate or fill regions given in percent of the current size, so one
+  // template fits every image of a batch (see Imaging.applyRedaction)
+  redact(canvas, { regions = [] }) {
+    return Imaging.applyRedaction(canvas, regions);
+  },
+
+  // Unsharp mask (see Filters.unsharpMask): `amount` in percent, `radius` in
+  // pixels, `threshold` skips low-contrast noise
+  sharpen(canvas, { amount = 80, radius = 1, threshold = 2 }) {
+    if (!amount || !radius) return canvas;
+
+    const ctx = canvas.getContext('2d');
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    ctx.putImageData(Filters.unsharpMask(image, { amount, radius, threshold }), 0, 0);
+    return canvas;
+  },
+
+  // Noise reduction; settings place it before the resize, so it works on the
+  // full-resolution noise rather than on what downscaling left of it
+  denoise(canvas, { method = 'median', radius = 1 }) {
+    const ctx = canvas.getContext('2d');
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    if (method === 'bilateral') {
+      Filters.bilateral(image, Math.max(1, radius + 1));
+    } else {
+      Filters.median(image, Math.max(1, radius));
+    }
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+  },
+
+  // Text or logo watermark (see Imaging.applyWatermark). Logos travel with the
+  // step as PNG blobs, so histories and recipes replay them anywhere.
+  async watermark(canvas, step) {
+    if (step.kind !== 'logo') {
+      return Imaging.applyWatermark(canvas, step);
+    }
+    if (!step.logo) return canvas;
+
+    const logo = await createImageBitmap(step.logo);
+    try {
+      return Imaging.applyWatermark(canvas, step, logo);
+    } finally {
+      logo.close();
+    }
+  }
+};
@@ -0,0 +1,296 @@
+// ImageFlow Pro Pixel Art - upscalers that keep hard edges and the palette
+// Work on plain { width, height, data } RGBA buffers like resample.js, so the
+// output is the same everywhere. Loaded by the page and by worker.js.
+const PixelArt = {
+  // UI algorithm name -> whole factors one pass produces and the scaler.
+  // Integer nearest is nearest neighbour on the whole-factor sizes the pipeline
+  // picks for every pixel-art algorithm (`pixelGrid` in Imaging.fitDimensions).
+  SCALERS: {
+    integer: { factors: [], scale: null },
+    epx: { factors: [2, 3], scale: (image, factor) => (factor === 3 ? PixelArt.scale3x(image) : PixelArt.scale2x(image)) },
+    hqx: { factors: [2, 3, 4], scale: (image, factor) => PixelArt.hqx(image, factor) },
+    xbr: { factors: [2, 3, 4], scale: (image, factor) => PixelArt.xbr(image, factor) }
+  },
+
+  // hqx colour similarity: thresholds on Y, U and V (0..255)
+  SIMILARITY: { y: 48, u: 7, v: 6 },
+
+  // Scale `image` to width × height. Larger factors are built from passes
+  // (4× EPX is 2× twice, 6× hqx is 3× then 2×); whatever the passes miss is
+  // made up with nearest neighbour, which is exact when the size is a whole
+  // multiple of the source.
+  upscale(image, width, height, algorithm) {
+    const { factors, scale } = this.SCALERS[algorithm] || this.SCALERS.integer;
+    const whole = (value) => Math.abs(value - Math.round(value)) < 1e-3;
+    let result = image;
+
+    while (factors.length) {
+      const needed = Math.max(width / result.width, height / result.height);
+      if (needed < 1.5) break;
+
+      const divisor = factors.filter(factor => whole(needed / factor)).pop();
+      const factor = divisor || factors.find(f => f >= needed) || factors[factors.length - 1];
+      result = scale(result, factor);
+    }
+
+    return result.width === width && result.height === height
+      ? result
+      : Resampler.resize(result, width, height, 'nearest');
+  },
+
+  // Scale2x/EPX: a corner takes a neighbour's colour where two neighbours
+  // meeting at it agree and the opposite ones do not
+  scale2x(image) {
+    const { width, height } = image;
+    const source = this.pixels(image);
+    const output = new Uint32Array(width * height * 4);
+    const at = (x, y) => source[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const e = at(x, y);
+        const b = at(x, y - 1);
+        const d = at(x - 1, y);
+        const f = at(x + 1, y);
+        const h = at(x, y + 1);
+        const o = y * 2 * width * 2 + x * 2;
+        const next = o + width * 2;
+
+        if (b !== h && d !== f) {
+          output[o] = d === b ? d : e;
+          output[o + 1] = b === f ? f : e;
+          output[next] = d === h ? d : e;
+          output[next + 1] = h === f ? f : e;
+        } else {
+          output[o] = output[o + 1] = output[next] = output[next + 1] = e;
+        }
+      }
+    }
+    return this.toImage(output, width * 2, height * 2);
+  },
+
+  // Scale3x (AdvMAME3x): the EPX rules for a 3×3 block
+  scale3x(image) {
+    const { width, height } = image;
+    const source = this.pixels(image);
+    const stride = width * 3;
+    const output = new Uint32Array(stride * height * 3);
+    const at = (x, y) => source[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const [a, b, c] = [at(x - 1, y - 1), at(x, y - 1), at(x + 1, y - 1)];
+        const [d, e, f] = [at(x - 1, y), at(x, y), at(x + 1, y)];
+        const [g, h, i] = [at(x - 1, y + 1), at(x, y + 1), at(x + 1, y + 1)];
+        let block = [e, e, e, e, e, e, e, e, e];
+
+        if (b !== h && d !== f) {
+          block = [
+            d === b ? d : e,
+            (d === b && e !== c) || (b === f && e !== a) ? b : e,
+            b === f ? f : e,
+            (d === b && e !== g) || (d === h && e !== a) ? d : e,
+            e,
+            (b === f && e !== i) || (h === f && e !== c) ? f : e,
+            d === h ? d : e,
+            (d === h && e !== i) || (h === f && e !== g) ? h : e,
+            h === f ? f : e
+          ];
+        }
+
+        const o = y * 3 * stride + x * 3;
+        block.forEach((value, k) => {
+          output[o + Math.floor(k / 3) * stride + (k % 3)] = value;
+        });
+      }
+    }
+    return this.toImage(output, stride, height * 3);
+  },
+
+  // hqx-style: neighbours are compared with the hqx YUV thresholds and the
+  // corners of each block are blended towards an edge that crosses them. The
+  // corner cases are expressed as rules instead of the reference 256-entry
+  // lookup tables, so details differ from the original hq2x/3x/4x output.
+  hqx(image, factor) {
+    return this.scaleCorners(image, factor, (n, blend, coverage) => {
+      const { e, h, f, i, i4, i5 } = n;
+      if (this.similar(h, f) && !this.similar(e, h)) {
+        // An edge of another colour runs across the corner; a diagonal
+        // neighbour of the block's own colour means a thin line, blend less
+        const strength = this.similar(e, i) ? 0.5 : 1;
+        blend(this.mix(h, f, 0.5), coverage.diagonal, strength);
+      } else if (!this.similar(e, i) && this.similar(e, h) && this.similar(e, f) &&
+        !this.similar(i, i4) && !this.similar(i, i5)) {
+        // Round off the corner towards a diagonal neighbour that is itself a
+        // corner (a shape touching this one only at the tip, not a staircase)
+        blend(i, coverage.diagonal, 0.25);
+      }
+    });
+  },
+
+  // xBR (after Hyllian): per corner, an edge is detected by comparing the
+  // weighted colour distances along the two diagonals of a 5×5 neighbourhood;
+  // shallow and steep edges get a longer blend along the side they follow.
+  // The blend weights are the area of each sub-pixel behind the edge line.
+  xbr(image, factor) {
+    return this.scaleCorners(image, factor, (n, blend, coverage) => {
+      const { b, c, d, e, f, g, h, i, f4, i4, h5, i5 } = n;
+      if (e === h || e === f) return;
+
+      const dist = (p, q) => this.distance(p, q);
+      const across = dist(e, c) + dist(e, g) + dist(i, h5) + dist(i, f4) + 4 * dist(h, f);
+      const along = dist(h, d) + dist(h, i5) + dist(f, i4) + dist(f, b) + 4 * dist(e, i);
+      if (across >= along) return;
+
+      // Leave corners alone where the edge would cut into a pattern
+      const keep = (!this.similar(f, b) && !this.similar(h, d)) ||
+        (this.similar(e, i) && !this.similar(f, i4) && !this.similar(h, i5)) ||
+        this.similar(e, g) || this.similar(e, c);
+      if (!keep) return;
+
+      const colour = dist(e, f) <= dist(e, h) ? f : h;
+      const ke = dist(f, g);
+      const ki = dist(h, c);
+      const shallow = 2 * ke <= ki && e !== g && d !== g;
+      const steep = ke >= 2 * ki && e !== c && b !== c;
+
+      if (shallow) blend(colour, coverage.shallow, 1);
+      if (steep) blend(colour, coverage.steep, 1);
+      if (!shallow && !steep) blend(colour, coverage.diagonal, 1);
+    });
+  },
+
+  // Shared frame of hqx and xBR: every source pixel becomes a factor×factor
+  // block, then each of its four corners is handed to `rule` with the
+  // neighbourhood turned so the corner is always bottom-right (E in the
+  // middle, F beside it, H below, I diagonal, F4/I4/H5/I5 one further out)
+  scaleCorners(image, factor, rule) {
+    const { width, height } = image;
+    const source = this.pixels(image);
+    const stride = width * factor;
+    const output = new Uint32Array(stride * height * factor);
+    const at = (x, y) => source[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+    const corners = [[1, 1], [-1, 1], [1, -1], [-1, -1]].map(([dx, dy]) => ({
+      dx,
+      dy,
+      coverage: this.cornerCoverage(factor, dx, dy)
+    }));
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const e = at(x, y);
+        const block = new Array(factor * factor).fill(e);
+
+        corners.forEach(({ dx, dy, coverage }) => {
+          const n = {
+            b: at(x, y - dy), c: at(x + dx, y - dy),
+            d: at(x - dx, y), e, f: at(x + dx, y),
+            g: at(x - dx, y + dy), h: at(x, y + dy), i: at(x + dx, y + dy),
+            f4: at(x + 2 * dx, y), i4: at(x + 2 * dx, y + dy),
+            h5: at(x, y + 2 * dy), i5: at(x + dx, y + 2 * dy)
+          };
+          const blend = (colour, weights, strength) => {
+            weights.forEach((weight, k) => {
+              if (weight > 0) block[k] = this.mix(block[k], colour, weight * strength);
+            });
+          };
+          rule(n, blend, coverage);
+        });
+
+        const o = y * factor * stride + x * factor;
+        block.forEach((value, k) => {
+          output[o + Math.floor(k / factor) * stride + (k % factor)] = value;
+        });
+      }
+    }
+    return this.toImage(output, stride, height * factor);
+  },
+
+  // Area of each sub-pixel behind the edge lines of one corner, sampled 4×4.
+  // In corner coordinates (u, v) the corner is at (1, 1): a 45° edge cuts
+  // u + v ≥ 1.5, a shallow one v + u/2 ≥ 1 and a steep one u + v/2 ≥ 1.
+  cornerCoverage(factor, dx, dy) {
+    const lines = {
+      diagonal: (u, v) => u + v >= 1.5,
+      shallow: (u, v) => v + u / 2 >= 1,
+      steep: (u, v) => u + v / 2 >= 1
+    };
+    const samples = 4;
+    const coverage = {};
+
+    Object.entries(lines).forEach(([name, inside]) => {
+      const weights = new Float32Array(factor * factor);
+      for (let sy = 0; sy < factor; sy++) {
+        for (let sx = 0; sx < factor; sx++) {
+          let count = 0;
+          for (let j = 0; j < samples; j++) {
+            for (let k = 0; k < samples; k++) {
+              const x = (sx + (k + 0.5) / samples) / factor;
+              const y = (sy + (j + 0.5) / samples) / factor;
+              if (inside(dx > 0 ? x : 1 - x, dy > 0 ? y : 1 - y)) count++;
+            }
+          }
+          weights[sy * factor + sx] = count / (samples * samples);
+        }
+      }
+      coverage[name] = weights;
+    });
+    return coverage;
+  },
+
+  // Colours are packed RGBA (little-endian: R in the low byte)
+  similar(p, q) {
+    if (p === q) return true;
+    const [y1, u1, v1, a1] = this.yuv(p);
+    const [y2, u2, v2, a2] = this.yuv(q);
+    const limits = this.SIMILARITY;
+    return Math.abs(y1 - y2) <= limits.y && Math.abs(u1 - u2) <= limits.u &&
+      Math.abs(v1 - v2) <= limits.v && Math.abs(a1 - a2) <= limits.y;
+  },
+
+  // xBR distance: YUV differences weighted 48:7:6, plus alpha
+  distance(p, q) {
+    if (p === q) return 0;
+    const [y1, u1, v1, a1] = this.yuv(p);
+    const [y2, u2, v2, a2] = this.yuv(q);
+    return 48 * Math.abs(y1 - y2) + 7 * Math.abs(u1 - u2) + 6 * Math.abs(v1 - v2) + 48 * Math.abs(a1 - a2);
+  },
+
+  yuv(p) {
+    const r = p & 255;
+    const g = (p >>> 8) & 255;
+    const b = (p >>> 16) & 255;
+    return [
+      0.299 * r + 0.587 * g + 0.114 * b,
+      -0.169 * r - 0.331 * g + 0.5 * b,
+      0.5 * r - 0.419 * g - 0.081 * b,
+      p >>> 24
+    ];
+  },
+
+  // Blend two packed colours by `weight` of q, premultiplied so transparent
+  // neighbours do not tint the edge
+  mix(p, q, weight) {
+    if (p === q || weight <= 0) return p;
+    if (weight >= 1) return q;
+    const pa = (p >>> 24) * (1 - weight);
+    const qa = (q >>> 24) * weight;
+    const alpha = pa + qa;
+    if (alpha === 0) return 0;
+
+    let result = Math.round(alpha) << 24;
+    for (let shift = 0; shift < 24; shift += 8) {
+      const value = (((p >>> shift) & 255) * pa + ((q >>> shift) & 255) * qa) / alpha;
+      result |= Math.round(value) << shift;
+    }
+    return result >>> 0;
+  },
+
+  pixels(image) {
+    return new Uint32Array(new Uint8ClampedArray(image.data).buffer);
+  },
+
+  toImage(pixels, width, height) {
+    return { width, height, data: new Uint8ClampedArray(pixels.buffer) };
+  }
+};
@@ -0,0 +1,929 @@
+// ImageFlow Pro PNG - encoder with colour-type reduction, palettes and a thorough deflate
+// Browsers encode every PNG as 8-bit RGBA with a fast deflate. This writer picks
+// the smallest lossless colour type for the pixels (grayscale, palette, no
+// alpha when opaque), can quantise to a palette (quantize.js) and compresses
+// IDAT itself. Shared by the page and the processing workers (worker.js);
+// CRCs come from metadata.js, the browser deflate from tiff.js.
+const PNG = {
+  SIGNATURE: [137, 80, 78, 71, 13, 10, 26, 10],
+  COLOR_TYPES: { grayscale: 0, rgb: 2, palette: 3, 'grayscale-alpha': 4, rgba: 6 },
+
+  // Row filters: the five PNG filter types, or per row the one with the
+  // smallest sum of absolute differences ('minsum') or byte entropy ('entropy')
+  FILTER_STRATEGIES: ['none', 'sub', 'up', 'average', 'paeth', 'minsum', 'entropy'],
+
+  // At 'max' compression every filter strategy is deflated and the smallest
+  // stream kept; for raw images up to this many bytes the winner is deflated
+  // again with the optimal parse (as zopflipng does), above it that is too slow
+  TRIAL_LIMIT: 2 * 1024 * 1024,
+
+  // Options (formatConfigs.png):
+  //   colorType   'auto' | 'rgb' | 'rgba' | 'grayscale' | 'palette'
+  //   bitDepth    'auto' | 8 | 16 ('auto' also packs 1/2/4-bit gray and palettes)
+  //   palette     0 keeps every colour; 2-256 quantises to that many (lossy)
+  //   quantizer   'median-cut' | 'kmeans'
+  //   dither      Floyd-Steinberg dithering of quantised palettes
+  //   compression 'zip' (the browser's deflate) | 'max' (filter trials, built-in deflate)
+  // Every candidate layout is compressed and the smallest file kept.
+  async encode(image, options = {}) {
+    let best = null;
+    for (const layout of this.chooseLayouts(image, options)) {
+      const idat = await this.compress(this.packRows(image, layout), layout, image.height, options);
+      const png = this.assemble(image, layout, idat);
+      if (!best || png.length < best.length) best = png;
+    }
+    return best;
+  },
+
+  // Filtered and deflated scanlines, the smallest stream of the trials. The
+  // browser's deflate (the built-in one without CompressionStream) ranks the
+  // filter strategies, so 'max' always includes the 'zip' result.
+  async compress(raw, layout, height, options) {
+    const bpp = Math.max(1, (layout.bitDepth * layout.samples) >> 3);
+    const max = options.compression === 'max';
+    const defaultStrategy = layout.colorType === this.COLOR_TYPES.palette || layout.bitDepth < 8 ? 'none' : 'minsum';
+
+    let best = null;
+    const keep = (filtered, idat) => {
+      if (!best || idat.length < best.idat.length) best = { filtered, idat };
+    };
+    for (const strategy of max ? this.FILTER_STRATEGIES : [defaultStrategy]) {
+      const filtered = this.filterRows(raw, layout.rowBytes, height, bpp, strategy);
+      keep(filtered, typeof CompressionStream === 'undefined' ? this.deflate(filtered) : await TIFF.deflate(filtered));
+    }
+    if (max && raw.length <= this.TRIAL_LIMIT) {
+      keep(best.filtered, this.deflate(best.filtered, true));
+    }
+    return best.idat;
+  },
+
+  // Candidate layouts: colour type, bit depth and (for palettes) the palette
+  // and indices. An exact palette is not always smaller than gray or
+  // truecolour (smooth gradients filter far better unpaletted), so 'auto'
+  // offers both.
+  chooseLayouts(image, options) {
+    const { colorType = 'auto', bitDepth = 'auto', palette: maxColors = 0, quantizer = 'median-cut', dither = true } = options;
+    const stats = this.analyze(image.data);
+    const depth = bitDepth === 16 || bitDepth === '16' ? 16 : 8;
+    const fixedDepth = bitDepth !== 'auto';
+
+    if (colorType === 'palette' || maxColors > 0) {
+      const colors = Math.max(2, Math.min(256, maxColors || 256));
+      return [this.paletteLayout(image, stats.colors && stats.colors.size <= colors
+        ? this.exactPalette(image.data, stats.colors)
+        : Quantizer.quantize(image, { colors, method: quantizer, dither }), fixedDepth)];
+    }
+
+    if (colorType === 'auto' && depth === 8) {
+      const paletteDepth = stats.colors ? this.indexDepth(stats.colors.size) : Infinity;
+      if (stats.gray && stats.opaque && (fixedDepth || stats.grayDepth <= paletteDepth)) {
+        return [this.layout('grayscale', fixedDepth ? 8 : stats.grayDepth, image.width)];
+      }
+      if (stats.colors) {
+        return [
+          this.paletteLayout(image, this.exactPalette(image.data, stats.colors), fixedDepth),
+          this.directLayout(image, colorType, stats, depth, fixedDepth)
+        ];
+      }
+    }
+
+    return [this.directLayout(image, colorType, stats, depth, fixedDepth)];
+  },
+
+  // Gray or truecolour layout, with alpha only when a pixel needs it
+  directLayout(image, colorType, stats, depth, fixedDepth) {
+    switch (colorType) {
+      case 'rgb':
+        return this.layout('rgb', depth, image.width);
+      case 'rgba':
+        return this.layout('rgba', depth, image.width);
+      case 'grayscale':
+        if (stats.opaque) {
+          return this.layout('grayscale', !fixedDepth && stats.gray ? stats.grayDepth : depth, image.width);
+        }
+        return this.layout('grayscale-alpha', depth, image.width);
+      default:
+        if (stats.gray) return this.layout(stats.opaque ? 'grayscale' : 'grayscale-alpha', depth, image.width);
+        return this.layout(stats.opaque ? 'rgb' : 'rgba', depth, image.width);
+    }
+  },
+
+  layout(type, bitDepth, width) {
+    const samples = { grayscale: 1, rgb: 3, palette: 1, 'grayscale-alpha': 2, rgba: 4 }[type];
+    return {
+      colorType: this.COLOR_TYPES[type],
+      bitDepth,
+      samples,
+      rowBytes: Math.ceil(width * samples * bitDepth / 8)
+    };
+  },
+
+  paletteLayout(image, { palette, indices }, fixedDepth) {
+    const count = palette.length / 4;
+    return { ...this.layout('palette', fixedDepth ? 8 : this.indexDepth(count), image.width), palette, indices };
+  },
+
+  indexDepth(count) {
+    if (count <= 2) return 1;
+    if (count <= 4) return 2;
+    if (count <= 16) return 4;
+    return 8;
+  },
+
+  // One pass over the pixels: opaque? gray? the distinct colours (up to 256)
+  // and the smallest gray bit depth that holds every gray value exactly
+  analyze(data) {
+    let opaque = true;
+    let gray = true;
+    let colors = new Map();
+    let grayDepth = 1;
+
+    for (let i = 0; i < data.length; i += 4) {
+      const r = data[i];
+      const a = data[i + 3];
+      if (a !== 255) opaque = false;
+      if (r !== data[i + 1] || r !== data[i + 2]) gray = false;
+
+      // 1, 2 and 4 bits hold the multiples of 255, 85 and 17
+      if (gray) {
+        if (grayDepth < 2 && r % 255) grayDepth = 2;
+        if (grayDepth < 4 && r % 85) grayDepth = 4;
+        if (grayDepth < 8 && r % 17) grayDepth = 8;
+      }
+
+      if (colors) {
+        // Fully transparent pixels are all written as transparent black
+        const key = a ? (((r << 16) | (data[i + 1] << 8) | data[i + 2]) * 256 + a) : 0;
+        if (!colors.has(key)) {
+          colors.set(key, colors.size);
+          if (colors.size > 256) colors = null;
+        }
+      }
+    }
+    return { opaque, gray, colors, grayDepth };
+  },
+
+  // Lossless palette of the distinct colours: translucent entries first, so
+  // tRNS only lists those
+  exactPalette(data, colors) {
+    const keys = [...colors.keys()].sort((a, b) => (a % 256) - (b % 256));
+    const order = new Map(keys.map((key, index) => [key, index]));
+    const palette = new Uint8Array(keys.length * 4);
+    keys.forEach((key, index) => {
+      const rgb = Math.floor(key / 256);
+      palette.set([(rgb >> 16) & 255, (rgb >> 8) & 255, rgb & 255, key % 256], index * 4);
+    });
+
+    const indices = new Uint8Array(data.length / 4);
+    for (let i = 0; i < data.length; i += 4) {
+      const a = data[i + 3];
+      indices[i / 4] = order.get(a ? (((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]) * 256 + a) : 0);
+    }
+    return { palette, indices };
+  },
+
+  // Unfiltered scanlines: samples big-endian, sub-byte samples packed from the
+  // high bits, 8-bit values widened to 16 bits as 0xAB -> 0xABAB
+  packRows(image, layout) {
+    const { width, height, data } = image;
+    const { colorType, bitDepth, rowBytes, indices } = layout;
+    const raw = new Uint8Array(rowBytes * height);
+    const types = this.COLOR_TYPES;
+    const channels = {
+      [types.grayscale]: [-1],
+      [types['grayscale-alpha']]: [-1, 3],
+      [types.rgb]: [0, 1, 2],
+      [types.rgba]: [0, 1, 2, 3]
+    }[colorType];
+    const luma = (i) => (data[i] === data[i + 1] && data[i] === data[i + 2]
+      ? data[i]
+      : Math.round(0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2]));
+
+    for (let y = 0; y < height; y++) {
+      const row = y * rowBytes;
+      if (bitDepth < 8) {
+        const perByte = 8 / bitDepth;
+        for (let x = 0; x < width; x++) {
+          const p = y * width + x;
+          const value = colorType === types.palette ? indices[p] : luma(p * 4) >> (8 - bitDepth);
+          raw[row + Math.floor(x / perByte)] |= value << (8 - bitDepth * (x % perByte + 1));
+        }
+        continue;
+      }
+
+      let k = row;
+      for (let x = 0; x < width; x++) {
+        const p = y * width + x;
+        if (colorType === types.palette) {
+          raw[k++] = indices[p];
+          continue;
+        }
+        channels.forEach(channel => {
+          const value = channel < 0 ? luma(p * 4) : data[p * 4 + channel];
+          raw[k++] = value;
+          if (bitDepth === 16) raw[k++] = value;
+        });
+      }
+    }
+    return raw;
+  },
+
+  // Each row gets a filter type byte; `bpp` is the bytes per complete pixel
+  // (at least one), the distance the sub/average/paeth filters look back
+  filterRows(raw, rowBytes, height, bpp, strategy) {
+    const out = new Uint8Array((rowBytes + 1) * height);
+    const fixed = this.FILTER_STRATEGIES.indexOf(strategy);
+    const candidates = Array.from({ length: 5 }, () => new Uint8Array(rowBytes));
+    let prior = new Uint8Array(rowBytes);
+
+    for (let y = 0; y < height; y++) {
+      const line = raw.subarray(y * rowBytes, (y + 1) * rowBytes);
+      const o = y * (rowBytes + 1);
+
+      if (fixed >= 0 && fixed < 5) {
+        this.applyFilter(fixed, line, prior, bpp, out.subarray(o + 1, o + 1 + rowBytes));
+        out[o] = fixed;
+      } else {
+        let best = 0;
+        let bestScore = Infinity;
+        candidates.forEach((candidate, type) => {
+          this.applyFilter(type, line, prior, bpp, candidate);
+          const score = strategy === 'entropy' ? this.entropy(candidate) : this.absoluteSum(candidate);
+          if (score < bestScore) {
+            bestScore = score;
+            best = type;
+          }
+        });
+        out[o] = best;
+        out.set(candidates[best], o + 1);
+      }
+      prior = line;
+    }
+    return out;
+  },
+
+  applyFilter(type, line, prior, bpp, target) {
+    for (let i = 0; i < line.length; i++) {
+      const left = i >= bpp ? line[i - bpp] : 0;
+      const up = prior[i];
+      const upLeft = i >= bpp ? prior[i - bpp] : 0;
+      let predicted = 0;
+      switch (type) {
+        case 1:
+          predicted = left;
+          break;
+        case 2:
+          predicted = up;
+          break;
+        case 3:
+          predicted = (left + up) >> 1;
+          break;
+        case 4: {
+          const estimate = left + up - upLeft;
+          const dLeft = Math.abs(estimate - left);
+          const dUp = Math.abs(estimate - up);
+          const dUpLeft = Math.abs(estimate - upLeft);
+          predicted = dLeft <= dUp && dLeft <= dUpLeft ? left : dUp <= dUpLeft ? up : upLeft;
+          break;
+        }
+      }
+      target[i] = line[i] - predicted;
+    }
+  },
+
+  absoluteSum(bytes) {
+    let sum = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      sum += bytes[i] < 128 ? bytes[i] : 256 - bytes[i];
+    }
+    return sum;
+  },
+
+  entropy(bytes) {
+    const counts = new Uint32Array(256);
+    bytes.forEach(value => counts[value]++);
+    let bits = 0;
+    counts.forEach(count => {
+      if (count) bits -= count * Math.log2(count / bytes.length);
+    });
+    return bits;
+  },
+
+  assemble(image, layout, idat) {
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, image.width);
+    view.setUint32(4, image.height);
+    header.set([layout.bitDepth, layout.colorType, 0, 0, 0], 8);
+
+    const chunks = [this.chunk('IHDR', header)];
+    if (layout.palette) {
+      const count = layout.palette.length / 4;
+      const rgb = new Uint8Array(count * 3);
+      let translucent = 0;
+      for (let k = 0; k < count; k++) {
+        rgb.set(layout.palette.subarray(k * 4, k * 4 + 3), k * 3);
+        if (layout.palette[k * 4 + 3] !== 255) translucent = k + 1;
+      }
+      chunks.push(this.chunk('PLTE', rgb));
+      if (translucent) {
+        chunks.push(this.chunk('tRNS', Uint8Array.from({ length: translucent }, (_, k) => layout.palette[k * 4 + 3])));
+      }
+    }
+    chunks.push(this.chunk('IDAT', idat), this.chunk('IEND', new Uint8Array(0)));
+
+    const length = chunks.reduce((sum, chunk) => sum + chunk.length, this.SIGNATURE.length);
+    const bytes = new Uint8Array(length);
+    bytes.set(this.SIGNATURE, 0);
+    let offset = this.SIGNATURE.length;
+    chunks.forEach(chunk => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return bytes;
+  },
+
+  // Length, type, data, CRC of type + data
+  chunk(type, data) {
+    const chunk = new Uint8Array(data.length + 12);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, Metadata.crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+  },
+
+  // Deflate (RFC 1951) in a zlib wrapper: LZ77 with lazy matching and long
+  // hash chains (the search of zlib's level 9) or an optimal parse, and for
+  // every block the smallest of dynamic Huffman, fixed Huffman and stored
+  DEFLATE: {
+    WINDOW: 32768,
+    HASH_BITS: 15,
+    MAX_CHAIN: 4096,
+    GOOD_LENGTH: 32,
+    NICE_LENGTH: 258,
+    // A 3-byte match further away than this costs more than three literals
+    TOO_FAR: 4096,
+    BLOCK_SYMBOLS: 1 << 16,
+    OPTIMAL_CHAIN: 256,
+    OPTIMAL_PASSES: 2,
+    LENGTH_BASE: [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258],
+    LENGTH_EXTRA: [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0],
+    DIST_BASE: [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577],
+    DIST_EXTRA: [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13],
+    CODE_LENGTH_ORDER: [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15]
+  },
+
+  _deflateTables: null,
+
+  deflateTables() {
+    if (!this._deflateTables) {
+      const { LENGTH_BASE, DIST_BASE } = this.DEFLATE;
+      const lengthCode = new Uint8Array(259);
+      LENGTH_BASE.forEach((base, code) => lengthCode.fill(code, base, code + 1 < LENGTH_BASE.length ? LENGTH_BASE[code + 1] : 259));
+      const distCode = new Uint8Array(32769);
+      DIST_BASE.forEach((base, code) => distCode.fill(code, base, code + 1 < DIST_BASE.length ? DIST_BASE[code + 1] : 32769));
+
+      const fixedLiteral = new Uint8Array(288);
+      fixedLiteral.fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+      this._deflateTables = { lengthCode, distCode, fixedLiteral, fixedDistance: new Uint8Array(30).fill(5) };
+    }
+    return this._deflateTables;
+  },
+
+  // With `optimal` (zopfli's approach) a first lazy pass only gathers symbol
+  // statistics; the Huffman code lengths they give are the cost model of a
+  // shortest-path parse, repeated with the statistics of the previous parse
+  deflate(bytes, optimal = false) {
+    const writer = this.bitWriter(bytes.length);
+    writer.bytes([0x78, 0xDA]);
+    const blocks = this.blockWriter(writer, bytes);
+
+    if (optimal) {
+      let frequencies = this.symbolFrequencies();
+      this.lazyParse(bytes, frequencies.add);
+      let parse = null;
+      for (let pass = 0; pass < this.DEFLATE.OPTIMAL_PASSES; pass++) {
+        parse = this.optimalParse(bytes, this.costModel(frequencies));
+        frequencies = this.symbolFrequencies();
+        for (let s = 0; s < parse.count; s++) frequencies.add(parse.symbols[s], parse.distances[s]);
+      }
+      let end = 0;
+      for (let s = 0; s < parse.count; s++) {
+        end += parse.distances[s] ? parse.symbols[s] - 256 : 1;
+        blocks.emit(parse.symbols[s], parse.distances[s], end);
+      }
+    } else {
+      this.lazyParse(bytes, blocks.emit);
+    }
+    blocks.finish();
+    writer.align();
+
+    const adler = this.adler32(bytes);
+    writer.bytes([adler >>> 24, (adler >>> 16) & 255, (adler >>> 8) & 255, adler & 255]);
+    return writer.result();
+  },
+
+  // Collects symbols (literal < 256, or 256 + match length with a distance)
+  // and writes a block whenever BLOCK_SYMBOLS are gathered. `end` is the
+  // input position after the symbol, so stored blocks know their bytes.
+  blockWriter(writer, bytes) {
+    const size = this.DEFLATE.BLOCK_SYMBOLS;
+    const symbols = new Uint16Array(size);
+    const distances = new Uint16Array(size);
+    let count = 0;
+    let blockStart = 0;
+    let blockEnd = 0;
+
+    return {
+      emit: (symbol, distance, end) => {
+        symbols[count] = symbol;
+        distances[count] = distance;
+        count++;
+        blockEnd = end;
+        if (count === size) {
+          this.writeBlock(writer, bytes.subarray(blockStart, end), symbols, distances, count, false);
+          blockStart = end;
+          count = 0;
+        }
+      },
+      finish: () => {
+        this.writeBlock(writer, bytes.subarray(blockStart, Math.max(blockStart, blockEnd)), symbols, distances, count, true);
+      }
+    };
+  },
+
+  symbolFrequencies() {
+    const { lengthCode, distCode } = this.deflateTables();
+    const literal = new Uint32Array(286);
+    const distance = new Uint32Array(30);
+    return {
+      literal,
+      distance,
+      add: (symbol, dist) => {
+        if (dist) {
+          literal[257 + lengthCode[symbol - 256]]++;
+          distance[distCode[dist]]++;
+        } else {
+          literal[symbol]++;
+        }
+      }
+    };
+  },
+
+  // Bits per literal, per match length and per distance under the code
+  // lengths of `frequencies`; unused symbols are priced as rare ones
+  costModel(frequencies) {
+    const { LENGTH_EXTRA, DIST_EXTRA } = this.DEFLATE;
+    const { lengthCode } = this.deflateTables();
+    frequencies.literal[256] = 1;
+    const literalLengths = this.huffmanLengths(frequencies.literal, 15);
+    const distanceLengths = this.huffmanLengths(frequencies.distance, 15);
+    const bits = (length) => length || 13;
+
+    const literal = Float32Array.from({ length: 256 }, (_, symbol) => bits(literalLengths[symbol]));
+    const length = new Float32Array(259);
+    for (let l = 3; l <= 258; l++) {
+      const code = lengthCode[l];
+      length[l] = bits(literalLengths[257 + code]) + LENGTH_EXTRA[code];
+    }
+    const distance = Float32Array.from({ length: 30 }, (_, code) => bits(distanceLengths[code]) + DIST_EXTRA[code]);
+    return { literal, length, distance };
+  },
+
+  // Hash chains over the 32K window: `search(i, visit)` offers the earlier
+  // positions with the same three bytes, nearest first; `insert(i)` adds `i`
+  matchFinder(bytes) {
+    const { WINDOW, HASH_BITS } = this.DEFLATE;
+    const mask = WINDOW - 1;
+    const hashMask = (1 << HASH_BITS) - 1;
+    const head = new Int32Array(1 << HASH_BITS).fill(-1);
+    const prev = new Int32Array(WINDOW).fill(-1);
+    const hash = (i) => ((bytes[i] << 10) ^ (bytes[i + 1] << 5) ^ bytes[i + 2]) & hashMask;
+
+    return {
+      insert(i) {
+        const h = hash(i);
+        prev[i & mask] = head[h];
+        head[h] = i;
+      },
+      search(i, chain, visit) {
+        let candidate = head[hash(i)];
+        while (candidate >= 0 && i - candidate <= WINDOW && chain-- > 0) {
+          if (visit(candidate) === false) return;
+          // A slot reused by a newer position ends the chain
+          const next = prev[candidate & mask];
+          if (next >= candidate) return;
+          candidate = next;
+        }
+      }
+    };
+  },
+
+  // zlib's level 9: longest match over long chains, taken only when the next
+  // position does not start a longer one
+  lazyParse(bytes, emit) {
+    const settings = this.DEFLATE;
+    const n = bytes.length;
+    const finder = this.matchFinder(bytes);
+
+    // Longest match at `i` that beats `shorterThan`
+    const findMatch = (i, shorterThan) => {
+      const limit = Math.min(settings.NICE_LENGTH, n - i);
+      if (shorterThan >= limit) return [0, 0];
+      let best = shorterThan;
+      let distance = 0;
+      finder.search(i, shorterThan >= settings.GOOD_LENGTH ? settings.MAX_CHAIN >> 2 : settings.MAX_CHAIN, candidate => {
+        if (bytes[candidate + best] !== bytes[i + best] || bytes[candidate] !== bytes[i]) return true;
+        let length = 0;
+        while (length < limit && bytes[candidate + length] === bytes[i + length]) length++;
+        if (length > best) {
+          best = length;
+          distance = i - candidate;
+        }
+        return length < limit;
+      });
+      if (best === 3 && distance > settings.TOO_FAR) return [0, 0];
+      return distance ? [best, distance] : [0, 0];
+    };
+
+    let i = 0;
+    let pending = false;
+    let pendingLength = 0;
+    let pendingDistance = 0;
+    while (i < n) {
+      let length = 0;
+      let distance = 0;
+      if (i + 3 <= n) {
+        [length, distance] = findMatch(i, pending && pendingLength >= 3 ? pendingLength : 2);
+        finder.insert(i);
+      }
+
+      if (pending && pendingLength >= 3 && pendingLength >= length) {
+        const end = i - 1 + pendingLength;
+        for (let j = i + 1; j < end; j++) {
+          if (j + 3 <= n) finder.insert(j);
+        }
+        emit(256 + pendingLength, pendingDistance, end);
+        i = end;
+        pending = false;
+        continue;
+      }
+
+      if (pending) emit(bytes[i - 1], 0, i);
+      pending = true;
+      pendingLength = length;
+      pendingDistance = distance;
+      i++;
+    }
+    if (pending) emit(bytes[n - 1], 0, n);
+  },
+
+  // Cheapest sequence of literals and matches under `model`: for every
+  // position the cost of every match length (at the nearest distance that
+  // reaches it) is relaxed forward, then the path is traced back. Inside long
+  // runs of maximal matches the positions are skipped, as zopfli does.
+  optimalParse(bytes, model) {
+    const settings = this.DEFLATE;
+    const { distCode } = this.deflateTables();
+    const n = bytes.length;
+    const finder = this.matchFinder(bytes);
+    const costs = new Float64Array(n + 1).fill(Infinity);
+    const lengthTo = new Uint16Array(n + 1);
+    const distanceTo = new Uint16Array(n + 1);
+    const nearest = new Uint16Array(259);
+    costs[0] = 0;
+
+    for (let i = 0; i < n; i++) {
+      const here = costs[i];
+      const literalCost = here + model.literal[bytes[i]];
+      if (literalCost < costs[i + 1]) {
+        costs[i + 1] = literalCost;
+        lengthTo[i + 1] = 1;
+        distanceTo[i + 1] = 0;
+      }
+      if (i + 3 > n) continue;
+
+      const limit = Math.min(settings.NICE_LENGTH, n - i);
+      let longest = 2;
+      finder.search(i, settings.OPTIMAL_CHAIN, candidate => {
+        if (bytes[candidate + longest] !== bytes[i + longest]) return true;
+        let length = 0;
+        while (length < limit && bytes[candidate + length] === bytes[i + length]) length++;
+        for (let l = longest + 1; l <= length; l++) nearest[l] = i - candidate;
+        if (length > longest) longest = length;
+        return longest < limit;
+      });
+      finder.insert(i);
+
+      for (let l = 3; l <= longest; l++) {
+        const cost = here + model.length[l] + model.distance[distCode[nearest[l]]];
+        if (cost < costs[i + l]) {
+          costs[i + l] = cost;
+          lengthTo[i + l] = l;
+          distanceTo[i + l] = nearest[l];
+        }
+      }
+
+      // A maximal match that continues a maximal match: take it whole
+      if (longest === settings.NICE_LENGTH && lengthTo[i] === settings.NICE_LENGTH && nearest[longest] === distanceTo[i]) {
+        for (let j = i + 1; j < i + longest; j++) {
+          if (j + 3 <= n) finder.insert(j);
+        }
+        i += longest - 1;
+      }
+    }
+
+    // Trace the path back from the end
+    let count = 0;
+    for (let p = n; p > 0; p -= lengthTo[p]) count++;
+    const symbols = new Uint16Array(count);
+    const distances = new Uint16Array(count);
+    for (let p = n, s = count - 1; p > 0; p -= lengthTo[p], s--) {
+      const length = lengthTo[p];
+      symbols[s] = distanceTo[p] ? 256 + length : bytes[p - 1];
+      distances[s] = distanceTo[p];
+    }
+    return { symbols, distances, count };
+  },
+
+  writeBlock(writer, raw, symbols, distances, count, last) {
+    const { LENGTH_EXTRA, DIST_EXTRA } = this.DEFLATE;
+    const { lengthCode, distCode, fixedLiteral, fixedDistance } = this.deflateTables();
+
+    const literalFrequencies = new Uint32Array(286);
+    const distanceFrequencies = new Uint32Array(30);
+    for (let s = 0; s < count; s++) {
+      if (distances[s]) {
+        literalFrequencies[257 + lengthCode[symbols[s] - 256]]++;
+        distanceFrequencies[distCode[distances[s]]]++;
+      } else {
+        literalFrequencies[symbols[s]]++;
+      }
+    }
+    literalFrequencies[256] = 1;
+
+    const literalLengths = this.huffmanLengths(literalFrequencies, 15);
+    const distanceLengths = this.huffmanLengths(distanceFrequencies, 15);
+    if (!distanceLengths.some(Boolean)) distanceLengths[0] = 1;
+    const header = this.dynamicHeader(literalLengths, distanceLengths);
+
+    // Bits of the symbols and extra bits under a pair of code lengths
+    const cost = (literal, distance) => {
+      let bits = literal[256];
+      for (let s = 0; s < count; s++) {
+        if (distances[s]) {
+          const lc = lengthCode[symbols[s] - 256];
+          const dc = distCode[distances[s]];
+          bits += literal[257 + lc] + LENGTH_EXTRA[lc] + distance[dc] + DIST_EXTRA[dc];
+        } else {
+          bits += literal[symbols[s]];
+        }
+      }
+      return bits;
+    };
+    const dynamicBits = 3 + header.bits + cost(literalLengths, distanceLengths);
+    const fixedBits = 3 + cost(fixedLiteral, fixedDistance);
+    const storedBits = (Math.ceil(raw.length / 65535) || 1) * 40 + raw.length * 8 + 7;
+
+    if (storedBits < dynamicBits && storedBits < fixedBits) {
+      // Stored blocks hold at most 65535 bytes each
+      let offset = 0;
+      do {
+        const part = raw.subarray(offset, offset + 65535);
+        const inverted = ~part.length & 0xFFFF;
+        offset += part.length;
+        writer.bits(last && offset >= raw.length ? 1 : 0, 1);
+        writer.bits(0, 2);
+        writer.align();
+        writer.bytes([part.length & 255, part.length >> 8, inverted & 255, inverted >> 8]);
+        writer.bytes(part);
+      } while (offset < raw.length);
+      return;
+    }
+
+    writer.bits(last ? 1 : 0, 1);
+    let literal = fixedLiteral;
+    let distance = fixedDistance;
+    if (dynamicBits < fixedBits) {
+      writer.bits(2, 2);
+      header.write(writer);
+      literal = literalLengths;
+      distance = distanceLengths;
+    } else {
+      writer.bits(1, 2);
+    }
+
+    const literalCodes = this.canonicalCodes(literal);
+    const distanceCodes = this.canonicalCodes(distance);
+    for (let s = 0; s < count; s++) {
+      if (distances[s]) {
+        const length = symbols[s] - 256;
+        const lc = lengthCode[length];
+        const dc = distCode[distances[s]];
+        writer.bits(literalCodes[257 + lc], literal[257 + lc]);
+        writer.bits(length - this.DEFLATE.LENGTH_BASE[lc], LENGTH_EXTRA[lc]);
+        writer.bits(distanceCodes[dc], distance[dc]);
+        writer.bits(distances[s] - this.DEFLATE.DIST_BASE[dc], DIST_EXTRA[dc]);
+      } else {
+        writer.bits(literalCodes[symbols[s]], literal[symbols[s]]);
+      }
+    }
+    writer.bits(literalCodes[256], literal[256]);
+  },
+
+  // HLIT/HDIST/HCLEN and the run-length coded code lengths of a dynamic block
+  dynamicHeader(literalLengths, distanceLengths) {
+    let literalCount = 286;
+    while (literalCount > 257 && !literalLengths[literalCount - 1]) literalCount--;
+    let distanceCount = 30;
+    while (distanceCount > 1 && !distanceLengths[distanceCount - 1]) distanceCount--;
+
+    // 16: repeat the previous length 3-6 times, 17/18: 3-10/11-138 zeros
+    const lengths = [...literalLengths.subarray(0, literalCount), ...distanceLengths.subarray(0, distanceCount)];
+    const runs = [];
+    for (let i = 0; i < lengths.length;) {
+      const value = lengths[i];
+      let run = 1;
+      while (i + run < lengths.length && lengths[i + run] === value) run++;
+
+      if (value === 0 && run >= 3) {
+        const take = Math.min(run, 138);
+        runs.push(take >= 11 ? [18, take - 11, 7] : [17, take - 3, 3]);
+        i += take;
+      } else if (value !== 0 && run >= 4) {
+        runs.push([value, 0, 0]);
+        const take = Math.min(run - 1, 6);
+        runs.push([16, take - 3, 2]);
+        i += take + 1;
+      } else {
+        runs.push([value, 0, 0]);
+        i++;
+      }
+    }
+
+    const frequencies = new Uint32Array(19);
+    runs.forEach(([symbol]) => frequencies[symbol]++);
+    const codeLengths = this.huffmanLengths(frequencies, 7);
+    const codes = this.canonicalCodes(codeLengths);
+    const order = this.DEFLATE.CODE_LENGTH_ORDER;
+    let orderCount = 19;
+    while (orderCount > 4 && !codeLengths[order[orderCount - 1]]) orderCount--;
+
+    const bits = 14 + orderCount * 3 + runs.reduce((sum, [symbol, , extra]) => sum + codeLengths[symbol] + extra, 0);
+    return {
+      bits,
+      write: (writer) => {
+        writer.bits(literalCount - 257, 5);
+        writer.bits(distanceCount - 1, 5);
+        writer.bits(orderCount - 4, 4);
+        for (let k = 0; k < orderCount; k++) writer.bits(codeLengths[order[k]], 3);
+        runs.forEach(([symbol, value, extra]) => {
+          writer.bits(codes[symbol], codeLengths[symbol]);
+          if (extra) writer.bits(value, extra);
+        });
+      }
+    };
+  },
+
+  // Huffman code lengths of `frequencies`, at most `limit` bits. When the tree
+  // is too deep the frequencies are flattened and the tree is built again.
+  huffmanLengths(frequencies, limit) {
+    const lengths = new Uint8Array(frequencies.length);
+    let weights = Array.from(frequencies);
+
+    for (;;) {
+      const leaves = [];
+      weights.forEach((weight, symbol) => {
+        if (weight) leaves.push(symbol);
+      });
+      if (leaves.length === 0) return lengths;
+      if (leaves.length === 1) {
+        lengths[leaves[0]] = 1;
+        return lengths;
+      }
+
+      // Two-queue construction over the sorted leaves
+      leaves.sort((a, b) => weights[a] - weights[b] || a - b);
+      const nodeWeight = leaves.map(symbol => weights[symbol]);
+      const parent = [];
+      const merged = [];
+      let leaf = 0;
+      let inner = 0;
+      const takeSmallest = () => {
+        if (leaf < leaves.length && (inner >= merged.length || nodeWeight[leaf] <= nodeWeight[merged[inner]])) {
+          return leaf++;
+        }
+        return merged[inner++];
+      };
+      while (leaves.length - leaf + merged.length - inner > 1) {
+        const a = takeSmallest();
+        const b = takeSmallest();
+        const node = nodeWeight.length;
+        nodeWeight.push(nodeWeight[a] + nodeWeight[b]);
+        parent[a] = node;
+        parent[b] = node;
+        merged.push(node);
+      }
+
+      const depth = new Array(nodeWeight.length).fill(0);
+      for (let node = nodeWeight.length - 2; node >= 0; node--) {
+        depth[node] = depth[parent[node]] + 1;
+      }
+      const deepest = Math.max(...leaves.map((symbol, index) => depth[index]));
+      if (deepest <= limit) {
+        leaves.forEach((symbol, index) => {
+          lengths[symbol] = depth[index];
+        });
+        return lengths;
+      }
+      weights = weights.map(weight => (weight ? (weight + 1) >> 1 : 0));
+    }
+  },
+
+  // Canonical codes for the lengths, bit-reversed for the LSB-first writer
+  canonicalCodes(lengths) {
+    const counts = new Uint16Array(16);
+    lengths.forEach(length => counts[length]++);
+    counts[0] = 0;
+    const next = new Uint16Array(16);
+    for (let bits = 1, code = 0; bits < 16; bits++) {
+      code = (code + counts[bits - 1]) << 1;
+      next[bits] = code;
+    }
+
+    const codes = new Uint16Array(lengths.length);
+    lengths.forEach((length, symbol) => {
+      if (!length) return;
+      let code = next[length]++;
+      let reversed = 0;
+      for (let b = 0; b < length; b++) {
+        reversed = (reversed << 1) | (code & 1);
+        code >>= 1;
+      }
+      codes[symbol] = reversed;
+    });
+    return codes;
+  },
+
+  // LSB-first bit output into a growing buffer
+  bitWriter(sizeHint) {
+    let buffer = new Uint8Array(Math.max(1024, sizeHint >> 1));
+    let length = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    const ensure = (extra) => {
+      if (length + extra <= buffer.length) return;
+      const grown = new Uint8Array(Math.max(buffer.length * 2, length + extra));
+      grown.set(buffer.subarray(0, length));
+      buffer = grown;
+    };
+
+    return {
+      bits(value, count) {
+        if (!count) return;
+        bitBuffer |= value << bitCount;
+        bitCount += count;
+        ensure(4);
+        while (bitCount >= 8) {
+          buffer[length++] = bitBuffer & 255;
+          bitBuffer >>>= 8;
+          bitCount -= 8;
+        }
+      },
+      align() {
+        if (bitCount > 0) {
+          ensure(1);
+          buffer[length++] = bitBuffer & 255;
+        }
+        bitBuffer = 0;
+        bitCount = 0;
+      },
+      bytes(values) {
+        ensure(values.length);
+        buffer.set(values, length);
+        length += values.length;
+      },
+      result() {
+        return buffer.slice(0, length);
+      }
+    };
+  },
+
+  adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length;) {
+      // 5552 bytes is the most that cannot overflow before the modulo
+      const end = Math.min(bytes.length, i + 5552);
+      for (; i < end; i++) {
+        a += bytes[i];
+        b += a;
+      }
+      a %= 65521;
+      b %= 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+  }
+};
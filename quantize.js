@@ -0,0 +1,205 @@
+// ImageFlow Pro Quantizer - reduce RGBA pixels to a palette of at most 256 colours
+// Median cut picks the palette from a colour histogram, optional k-means passes
+// refine it, and the pixels are mapped with optional Floyd-Steinberg
+// dithering. Loaded by the page and by worker.js (png.js uses it).
+const Quantizer = {
+  // Histogram buckets: 5 bits per colour channel, 3 for alpha
+  HISTOGRAM_BITS: [5, 5, 5, 3],
+  // Nearest-colour cache: 6 bits per colour channel, 4 for alpha
+  CACHE_BITS: [6, 6, 6, 4],
+  KMEANS_PASSES: 6,
+
+  // `method` is 'median-cut' or 'kmeans' (median cut refined by k-means).
+  // Returns the palette (RGBA, 4 bytes per entry) and one index per pixel.
+  quantize(image, { colors = 256, method = 'median-cut', dither = true } = {}) {
+    const count = Math.max(2, Math.min(256, colors));
+    const histogram = this.histogram(image.data);
+    let palette = this.medianCut(histogram, count);
+    if (method === 'kmeans') {
+      palette = this.kmeans(histogram, palette);
+    }
+    // Map to the colours that are written, so dithering spreads the real error
+    const entries = palette.map(color => color.map(value => Math.round(value)));
+    return { palette: this.pack(entries), indices: this.map(image, entries, dither) };
+  },
+
+  // Occupied buckets with their pixel count and mean colour. Fully transparent
+  // pixels all count as transparent black, whatever colour they carry.
+  histogram(data) {
+    const [rBits, gBits, bBits, aBits] = this.HISTOGRAM_BITS;
+    const size = 1 << (rBits + gBits + bBits + aBits);
+    const counts = new Uint32Array(size);
+    const sums = new Float64Array(size * 4);
+
+    for (let i = 0; i < data.length; i += 4) {
+      const a = data[i + 3];
+      const r = a ? data[i] : 0;
+      const g = a ? data[i + 1] : 0;
+      const b = a ? data[i + 2] : 0;
+      const key = ((((r >> (8 - rBits)) << gBits | (g >> (8 - gBits))) << bBits | (b >> (8 - bBits))) << aBits) | (a >> (8 - aBits));
+      counts[key]++;
+      sums[key * 4] += r;
+      sums[key * 4 + 1] += g;
+      sums[key * 4 + 2] += b;
+      sums[key * 4 + 3] += a;
+    }
+
+    const entries = [];
+    counts.forEach((n, key) => {
+      if (n) entries.push(key);
+    });
+    const weights = new Float64Array(entries.length);
+    const colors = new Float32Array(entries.length * 4);
+    entries.forEach((key, e) => {
+      weights[e] = counts[key];
+      for (let c = 0; c < 4; c++) {
+        colors[e * 4 + c] = sums[key * 4 + c] / counts[key];
+      }
+    });
+    return { weights, colors, length: entries.length };
+  },
+
+  // Split the box with the most weighted spread along its widest channel, at
+  // the weighted median, until there are `count` boxes; a box's colour is the
+  // weighted mean of its entries
+  medianCut(histogram, count) {
+    const { weights, colors, length } = histogram;
+    const describe = (items) => {
+      let weight = 0;
+      const min = [255, 255, 255, 255];
+      const max = [0, 0, 0, 0];
+      items.forEach(e => {
+        weight += weights[e];
+        for (let c = 0; c < 4; c++) {
+          min[c] = Math.min(min[c], colors[e * 4 + c]);
+          max[c] = Math.max(max[c], colors[e * 4 + c]);
+        }
+      });
+      const ranges = max.map((value, c) => value - min[c]);
+      const channel = ranges.indexOf(Math.max(...ranges));
+      return { items, weight, channel, score: items.length > 1 ? weight * ranges[channel] : 0 };
+    };
+
+    const boxes = [describe(Array.from({ length }, (_, e) => e))];
+    while (boxes.length < count) {
+      const box = boxes.reduce((best, candidate) => (candidate.score > best.score ? candidate : best));
+      if (box.score === 0) break;
+
+      const { items, channel, weight } = box;
+      items.sort((a, b) => colors[a * 4 + channel] - colors[b * 4 + channel]);
+      let split = 1;
+      for (let total = weights[items[0]]; split < items.length - 1 && total + weights[items[split]] <= weight / 2; split++) {
+        total += weights[items[split]];
+      }
+      boxes.splice(boxes.indexOf(box), 1, describe(items.slice(0, split)), describe(items.slice(split)));
+    }
+
+    return boxes.map(({ items, weight }) => {
+      const mean = [0, 0, 0, 0];
+      items.forEach(e => {
+        for (let c = 0; c < 4; c++) mean[c] += colors[e * 4 + c] * weights[e];
+      });
+      return mean.map(value => value / weight);
+    });
+  },
+
+  // Lloyd iterations over the histogram entries: each palette colour moves to
+  // the weighted mean of the entries nearest to it (empty clusters stay put)
+  kmeans(histogram, palette) {
+    const { weights, colors, length } = histogram;
+    let centroids = palette.map(color => [...color]);
+
+    for (let pass = 0; pass < this.KMEANS_PASSES; pass++) {
+      const sums = centroids.map(() => [0, 0, 0, 0, 0]);
+      for (let e = 0; e < length; e++) {
+        const color = colors.subarray(e * 4, e * 4 + 4);
+        const sum = sums[this.nearest(centroids, color)];
+        for (let c = 0; c < 4; c++) sum[c] += color[c] * weights[e];
+        sum[4] += weights[e];
+      }
+
+      let moved = 0;
+      centroids = centroids.map((centroid, k) => {
+        const sum = sums[k];
+        if (!sum[4]) return centroid;
+        const next = sum.slice(0, 4).map(value => value / sum[4]);
+        moved = Math.max(moved, ...next.map((value, c) => Math.abs(value - centroid[c])));
+        return next;
+      });
+      if (moved < 0.5) break;
+    }
+    return centroids;
+  },
+
+  // Palette index per pixel; with `dither` the quantisation error is spread
+  // to the neighbours (Floyd-Steinberg: 7/16 right, 3/16, 5/16, 1/16 below)
+  map(image, palette, dither) {
+    const { width, height, data } = image;
+    const indices = new Uint8Array(width * height);
+    const [rBits, gBits, bBits, aBits] = this.CACHE_BITS;
+    const cache = new Int16Array(1 << (rBits + gBits + bBits + aBits)).fill(-1);
+    const color = new Float32Array(4);
+
+    const lookup = () => {
+      const [r, g, b, a] = color;
+      const key = ((((r >> (8 - rBits)) << gBits | (g >> (8 - gBits))) << bBits | (b >> (8 - bBits))) << aBits) | (a >> (8 - aBits));
+      if (cache[key] < 0) cache[key] = this.nearest(palette, color);
+      return cache[key];
+    };
+
+    let current = new Float32Array((width + 2) * 4);
+    let next = new Float32Array((width + 2) * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const e = (x + 1) * 4;
+        const transparent = data[i + 3] === 0;
+        for (let c = 0; c < 4; c++) {
+          const value = transparent && c < 3 ? 0 : data[i + c] + (dither ? current[e + c] : 0);
+          color[c] = Math.min(255, Math.max(0, value));
+        }
+
+        const index = lookup();
+        indices[y * width + x] = index;
+
+        if (dither) {
+          const chosen = palette[index];
+          for (let c = 0; c < 4; c++) {
+            const error = color[c] - chosen[c];
+            current[e + 4 + c] += error * 7 / 16;
+            next[e - 4 + c] += error * 3 / 16;
+            next[e + c] += error * 5 / 16;
+            next[e + 4 + c] += error / 16;
+          }
+        }
+      }
+      [current, next] = [next, current];
+      next.fill(0);
+    }
+    return indices;
+  },
+
+  nearest(palette, color) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let k = 0; k < palette.length; k++) {
+      const entry = palette[k];
+      const dr = entry[0] - color[0];
+      const dg = entry[1] - color[1];
+      const db = entry[2] - color[2];
+      const da = entry[3] - color[3];
+      const distance = dr * dr + dg * dg + db * db + da * da;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = k;
+      }
+    }
+    return best;
+  },
+
+  pack(palette) {
+    const bytes = new Uint8Array(palette.length * 4);
+    palette.forEach((color, k) => bytes.set(color, k * 4));
+    return bytes;
+  }
+};
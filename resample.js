@@ -0,0 +1,174 @@
+// ImageFlow Pro Resampler - separable resampling at Float32 precision
+// Works on plain { width, height, data } RGBA buffers, so it runs the same in
+// the page, in workers and headless. Loaded by the page and by worker.js.
+const Resampler = {
+  // Kernels named like the Pica filters where Pica has one (see
+  // Imaging.RESAMPLE_KERNELS); `support` is the radius in source pixels at
+  // scale 1. `nearest` is not a kernel: it picks one source sample, also when
+  // downscaling, where `box` averages.
+  KERNELS: {
+    lanczos3: { support: 3, weight: (x) => Resampler.sinc(x) * Resampler.sinc(x / 3) },
+    lanczos2: { support: 2, weight: (x) => Resampler.sinc(x) * Resampler.sinc(x / 2) },
+    catrom: { support: 2, weight: (x) => Resampler.cubic(x, 0, 0.5) },
+    mitchell: { support: 2, weight: (x) => Resampler.cubic(x, 1 / 3, 1 / 3) },
+    linear: { support: 1, weight: (x) => Math.max(0, 1 - Math.abs(x)) },
+    box: { support: 0.5, weight: (x) => (x >= -0.5 && x < 0.5 ? 1 : 0) },
+    nearest: { support: 0, nearest: true }
+  },
+
+  // Size of the linear-to-encoded lookup table; fine enough that the steep
+  // start of the sRGB curve stays well under one output level per step
+  ENCODE_STEPS: 16384,
+
+  // Resize `image` to width × height with the named kernel. The arithmetic is
+  // fixed (Float32 weights, one summation order), so the output is the same in
+  // every browser and in Node. With `linear`, samples are decoded to linear
+  // light first and encoded back afterwards: `gamma` is a power-law
+  // exponent, or 'srgb' for the exact sRGB curve.
+  // Colours are premultiplied by alpha, so transparent pixels do not bleed.
+  resize(image, width, height, kernelName = 'lanczos3', { linear = false, gamma = 'srgb' } = {}) {
+    const kernel = this.KERNELS[kernelName] || this.KERNELS.lanczos3;
+    const decode = this.decodeTable(linear ? gamma : 1);
+    const encode = this.encodeTable(linear ? gamma : 1);
+
+    const horizontal = this.contributions(image.width, width, kernel);
+    const vertical = this.contributions(image.height, height, kernel);
+
+    // Rows are decoded as they are read; only the horizontally resampled
+    // image (source height × target width) is held in Float32
+    const row = new Float32Array(image.width * 4);
+    const pass = new Float32Array(image.height * width * 4);
+    for (let y = 0; y < image.height; y++) {
+      for (let x = 0; x < image.width; x++) {
+        const i = (y * image.width + x) * 4;
+        const alpha = image.data[i + 3] / 255;
+        row[x * 4] = decode[image.data[i]] * alpha;
+        row[x * 4 + 1] = decode[image.data[i + 1]] * alpha;
+        row[x * 4 + 2] = decode[image.data[i + 2]] * alpha;
+        row[x * 4 + 3] = alpha;
+      }
+      this.resampleLine(row, 0, 4, horizontal, pass, y * width * 4, 4);
+    }
+
+    const output = new Uint8ClampedArray(width * height * 4);
+    const column = new Float32Array(height * 4);
+    for (let x = 0; x < width; x++) {
+      this.resampleLine(pass, x * 4, width * 4, vertical, column, 0, 4);
+      for (let y = 0; y < height; y++) {
+        const alpha = Math.min(1, Math.max(0, column[y * 4 + 3]));
+        const o = (y * width + x) * 4;
+        output[o + 3] = Math.round(alpha * 255);
+        if (alpha > 0) {
+          for (let c = 0; c < 3; c++) {
+            const value = Math.min(1, Math.max(0, column[y * 4 + c] / alpha));
+            output[o + c] = encode[Math.round(value * (this.ENCODE_STEPS - 1))];
+          }
+        }
+      }
+    }
+    return { width, height, data: output };
+  },
+
+  // One line of RGBA samples through precomputed contributions
+  resampleLine(input, start, stride, contributions, output, outputStart, outputStride) {
+    contributions.forEach(({ first, weights }, i) => {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const j = start + (first + k) * stride;
+        const weight = weights[k];
+        r += input[j] * weight;
+        g += input[j + 1] * weight;
+        b += input[j + 2] * weight;
+        a += input[j + 3] * weight;
+      }
+      const o = outputStart + i * outputStride;
+      output[o] = r;
+      output[o + 1] = g;
+      output[o + 2] = b;
+      output[o + 3] = a;
+    });
+  },
+
+  // Normalised weights of the source samples for every target sample. When
+  // downscaling, the kernel is stretched by the scale so it also low-passes.
+  contributions(sourceSize, targetSize, kernel) {
+    const scale = sourceSize / targetSize;
+    if (kernel.nearest) {
+      return Array.from({ length: targetSize }, (_, i) => ({
+        first: Math.min(sourceSize - 1, Math.floor((i + 0.5) * scale)),
+        weights: Float32Array.of(1)
+      }));
+    }
+
+    const stretch = Math.max(1, scale);
+    const support = kernel.support * stretch;
+
+    return Array.from({ length: targetSize }, (_, i) => {
+      const center = (i + 0.5) * scale;
+      const first = Math.max(0, Math.floor(center - support));
+      const last = Math.min(sourceSize - 1, Math.ceil(center + support));
+
+      const weights = new Float32Array(last - first + 1);
+      let total = 0;
+      for (let j = first; j <= last; j++) {
+        const x = (j + 0.5 - center) / stretch;
+        const weight = Math.abs(x) <= kernel.support ? kernel.weight(x) : 0;
+        weights[j - first] = weight;
+        total += weight;
+      }
+      if (total === 0) {
+        // A kernel narrower than the sample spacing: take the nearest sample
+        weights[Math.min(weights.length - 1, Math.max(0, Math.floor(center) - first))] = 1;
+      } else {
+        weights.forEach((weight, k) => { weights[k] = weight / total; });
+      }
+      return { first, weights };
+    });
+  },
+
+  // 8-bit code value -> linear light (0..1)
+  decodeTable(gamma) {
+    const table = new Float32Array(256);
+    for (let v = 0; v < 256; v++) {
+      const value = v / 255;
+      table[v] = gamma === 'srgb'
+        ? (value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4))
+        : Math.pow(value, gamma);
+    }
+    return table;
+  },
+
+  // Linear light (0..1, in ENCODE_STEPS steps) -> 8-bit code value
+  encodeTable(gamma) {
+    const steps = this.ENCODE_STEPS;
+    const table = new Uint8ClampedArray(steps);
+    for (let i = 0; i < steps; i++) {
+      const value = i / (steps - 1);
+      table[i] = Math.round(255 * (gamma === 'srgb'
+        ? (value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055)
+        : Math.pow(value, 1 / gamma)));
+    }
+    return table;
+  },
+
+  sinc(x) {
+    if (x === 0) return 1;
+    const px = Math.PI * x;
+    return Math.sin(px) / px;
+  },
+
+  // Mitchell-Netravali family: (B, C) = (0, 0.5) is Catmull-Rom
+  cubic(x, b, c) {
+    const t = Math.abs(x);
+    if (t < 1) {
+      return ((12 - 9 * b - 6 * c) * t * t * t + (-18 + 12 * b + 6 * c) * t * t + (6 - 2 * b)) / 6;
+    }
+    if (t < 2) {
+      return ((-b - 6 * c) * t * t * t + (6 * b + 30 * c) * t * t + (-12 * b - 48 * c) * t + (8 * b + 24 * c)) / 6;
+    }
+    return 0;
+  }
+};
@@ -0,0 +1,150 @@
+// ImageFlow Pro Smart Crop - content-aware crop windows
+// A downscaled copy is scored by edges, local entropy and skin tones; the crop
+// window of the requested ratio is placed where it keeps the most of that score.
+// Loaded by the page and by worker.js.
+const SmartCrop = {
+  // Longest side of the analysed copy; the result does not depend on the source size
+  ANALYSIS_SIZE: 256,
+  ENTROPY_BLOCK: 8,
+  WEIGHTS: { edge: 1, entropy: 0.5, skin: 1.5 },
+
+  // Focus point ([x, y] in fractions of the size) for Pipeline.resolveCrop
+  findFocus(source, ratio) {
+    const scale = Math.min(1, this.ANALYSIS_SIZE / Math.max(source.width, source.height));
+    const width = Math.max(1, Math.round(source.width * scale));
+    const height = Math.max(1, Math.round(source.height * scale));
+
+    const canvas = Imaging.createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    const saliency = this.saliency(data, width, height);
+    const area = this.bestWindow(saliency, width, height, ratio);
+    return [(area.x + area.width / 2) / width, (area.y + area.height / 2) / height];
+  },
+
+  // Per-pixel score: gradient magnitude, entropy of the surrounding block and skin likelihood
+  saliency(data, width, height) {
+    const count = width * height;
+    const luma = new Float32Array(count);
+    const skin = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+      const r = data[i * 4];
+      const g = data[i * 4 + 1];
+      const b = data[i * 4 + 2];
+      const alpha = data[i * 4 + 3] / 255;
+      luma[i] = (0.299 * r + 0.587 * g + 0.114 * b) * alpha;
+      skin[i] = this.isSkin(r, g, b) ? alpha : 0;
+    }
+
+    const edges = this.edgeMap(luma, width, height);
+    const entropy = this.entropyMap(luma, width, height);
+
+    const { edge: edgeWeight, entropy: entropyWeight, skin: skinWeight } = this.WEIGHTS;
+    const scores = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      scores[i] = edgeWeight * edges[i] + entropyWeight * entropy[i] + skinWeight * skin[i];
+    }
+    return scores;
+  },
+
+  // Central differences, scaled to 0..1
+  edgeMap(luma, width, height) {
+    const edges = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const left = luma[y * width + Math.max(0, x - 1)];
+        const right = luma[y * width + Math.min(width - 1, x + 1)];
+        const up = luma[Math.max(0, y - 1) * width + x];
+        const down = luma[Math.min(height - 1, y + 1) * width + x];
+        edges[y * width + x] = Math.min(1, (Math.abs(right - left) + Math.abs(down - up)) / 255);
+      }
+    }
+    return edges;
+  },
+
+  // Shannon entropy of a 16-bin luma histogram per block, scaled to 0..1
+  entropyMap(luma, width, height) {
+    const size = this.ENTROPY_BLOCK;
+    const entropy = new Float32Array(width * height);
+    const histogram = new Uint32Array(16);
+
+    for (let top = 0; top < height; top += size) {
+      for (let left = 0; left < width; left += size) {
+        const bottom = Math.min(height, top + size);
+        const right = Math.min(width, left + size);
+        histogram.fill(0);
+        for (let y = top; y < bottom; y++) {
+          for (let x = left; x < right; x++) {
+            histogram[Math.min(15, luma[y * width + x] >> 4)]++;
+          }
+        }
+
+        const total = (bottom - top) * (right - left);
+        let value = 0;
+        histogram.forEach(bin => {
+          if (bin) {
+            const p = bin / total;
+            value -= p * Math.log2(p);
+          }
+        });
+
+        for (let y = top; y < bottom; y++) {
+          entropy.fill(value / 4, y * width + left, y * width + right);
+        }
+      }
+    }
+    return entropy;
+  },
+
+  // Skin tones by chroma (YCbCr), ignoring very dark pixels
+  isSkin(r, g, b) {
+    const y = 0.299 * r + 0.587 * g + 0.114 * b;
+    const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+    const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+    return y > 40 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+  },
+
+  // Largest window of `ratio` with the highest total score (summed-area table).
+  // Equal scores go to the window closest to the centre.
+  bestWindow(scores, width, height, ratio) {
+    let windowWidth = width;
+    let windowHeight = Math.round(width / ratio);
+    if (windowHeight > height) {
+      windowHeight = height;
+      windowWidth = Math.round(height * ratio);
+    }
+    windowWidth = Math.max(1, Math.min(width, windowWidth));
+    windowHeight = Math.max(1, Math.min(height, windowHeight));
+
+    const stride = width + 1;
+    const table = new Float64Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      for (let x = 0; x < width; x++) {
+        rowSum += scores[y * width + x];
+        table[(y + 1) * stride + x + 1] = table[y * stride + x + 1] + rowSum;
+      }
+    }
+
+    const centerX = (width - windowWidth) / 2;
+    const centerY = (height - windowHeight) / 2;
+    let best = { x: Math.round(centerX), y: Math.round(centerY), score: -Infinity };
+
+    for (let y = 0; y <= height - windowHeight; y++) {
+      for (let x = 0; x <= width - windowWidth; x++) {
+        const bottom = y + windowHeight;
+        const right = x + windowWidth;
+        const sum = table[bottom * stride + right] - table[y * stride + right] -
+          table[bottom * stride + x] + table[y * stride + x];
+        const score = sum - 1e-6 * (Math.abs(x - centerX) + Math.abs(y - centerY));
+        if (score > best.score) {
+          best = { x, y, score };
+        }
+      }
+    }
+    return { x: best.x, y: best.y, width: windowWidth, height: windowHeight };
+  }
+};
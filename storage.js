@@ -0,0 +1,161 @@
+// ImageFlow Pro Storage - IndexedDB persistence for the image library
+// Shared by the page and the service worker (sw.js), which owns the 'uploads' store.
+const IMAGEFLOW_DB_NAME = 'ImageFlowDB';
+const IMAGEFLOW_DB_VERSION = 2;
+// 'meta' keys that belong to the library content; the rest (recipes, redaction
+// templates) are settings and survive clearing the library
+const IMAGEFLOW_LIBRARY_META_KEYS = ['processingStats', 'fileTypes'];
+
+function openImageFlowDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(IMAGEFLOW_DB_NAME, IMAGEFLOW_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('uploads')) {
+        db.createObjectStore('uploads', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('images')) {
+        db.createObjectStore('images', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('meta')) {
+        db.createObjectStore('meta');
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let newer versions (another tab, an updated service worker) upgrade the schema
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn('ImageFlowDB upgrade waiting for other connections to close');
+  });
+}
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+class ImageLibrary {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = openImageFlowDB().catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async store(name, mode = 'readonly') {
+    const db = await this.open();
+    return db.transaction([name], mode).objectStore(name);
+  }
+
+  // Only plain data and Blobs go to IndexedDB; object URLs are recreated on load
+  serializeImage(image) {
+    return {
+      id: image.id,
+      file: image.file,
+      name: image.name,
+      size: image.size,
+      type: image.type,
+      width: image.width,
+      height: image.height,
+      addedAt: image.addedAt,
+      // Images decoded in JS (decoders.js): decoder, page and PNG preview
+      decoder: image.decoder || null,
+      page: image.page || 0,
+      displayBlob: image.displayBlob || null,
+      metadata: image.metadata || null,
+      orientation: image.orientation || 1,
+      settings: image.settings || null,
+      history: image.history || null,
+      processed: image.processed,
+      processedBlob: image.processedBlob,
+      processedSize: image.processedSize,
+      processedFormat: image.processedFormat || null,
+      processedDimensions: image.processedDimensions || null,
+      processedEncoding: image.processedEncoding || null,
+      processingTime: image.processingTime || null
+    };
+  }
+
+  async saveImage(image) {
+    const store = await this.store('images', 'readwrite');
+    return idbRequest(store.put(this.serializeImage(image)));
+  }
+
+  async deleteImage(id) {
+    const store = await this.store('images', 'readwrite');
+    return idbRequest(store.delete(id));
+  }
+
+  async loadImages() {
+    const store = await this.store('images');
+    const records = await idbRequest(store.getAll());
+    return records.sort((a, b) => a.id - b.id);
+  }
+
+  async saveMeta(key, value) {
+    const store = await this.store('meta', 'readwrite');
+    return idbRequest(store.put(value, key));
+  }
+
+  async loadMeta(key) {
+    const store = await this.store('meta');
+    return idbRequest(store.get(key));
+  }
+
+  // Exact number of bytes held by stored originals and outputs
+  async getStoredBytes() {
+    const records = await this.loadImages();
+    return records.reduce((sum, record) => {
+      return sum + record.file.size +
+        (record.displayBlob ? record.displayBlob.size : 0) +
+        (record.processedBlob ? record.processedBlob.size : 0);
+    }, 0);
+  }
+
+  async clear() {
+    const db = await this.open();
+    const transaction = db.transaction(['images', 'meta'], 'readwrite');
+    transaction.objectStore('images').clear();
+    const meta = transaction.objectStore('meta');
+    IMAGEFLOW_LIBRARY_META_KEYS.forEach(key => meta.delete(key));
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Browser-level quota for the whole origin (caches included)
+  static async estimate() {
+    if (!navigator.storage || !navigator.storage.estimate) {
+      return null;
+    }
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+  }
+
+  static async requestPersistence() {
+    if (navigator.storage && navigator.storage.persist) {
+      return navigator.storage.persist();
+    }
+    return false;
+  }
+}
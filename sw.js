@@ -1,13 +1,30 @@
 // ImageFlow Pro Service Worker - Advanced Caching & Offline Support
-const CACHE_NAME = 'imageflow-pro-v1.0.0';
-const STATIC_CACHE_NAME = 'imageflow-static-v1.0.0';
-const DYNAMIC_CACHE_NAME = 'imageflow-dynamic-v1.0.0';
+importScripts('./storage.js');
+
+const CACHE_NAME = 'imageflow-pro-v1.11.0';
+const STATIC_CACHE_NAME = 'imageflow-static-v1.11.0';
+const DYNAMIC_CACHE_NAME = 'imageflow-dynamic-v1.11.0';
 
 const STATIC_FILES = [
   '/',
   '/index.html',
   '/manifest.json',
   '/app.js',
+  '/imaging.js',
+  '/resample.js',
+  '/pixelart.js',
+  '/metadata.js',
+  '/quantize.js',
+  '/png.js',
+  '/pipeline.js',
+  '/adjustments.js',
+  '/filters.js',
+  '/smartcrop.js',
+  '/tiff.js',
+  '/decoders.js',
+  '/worker-pool.js',
+  '/worker.js',
+  '/storage.js',
   'https://cdn.tailwindcss.com',
   'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js',
   'https://cdn.jsdelivr.net/npm/file-saver@2.0.5/dist/FileSaver.min.js',
@@ -327,27 +344,9 @@ async function handleShareTarget(data) {
 
 // Storage helpers for IndexedDB
 async function getQueuedUploads() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('ImageFlowDB', 1);
-    
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => {
-      const db = request.result;
-      const transaction = db.transaction(['uploads'], 'readonly');
-      const store = transaction.objectStore('uploads');
-      const getAllRequest = store.getAll();
-      
-      getAllRequest.onsuccess = () => resolve(getAllRequest.result);
-      getAllRequest.onerror = () => reject(getAllRequest.error);
-    };
-    
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      if (!db.objectStoreNames.contains('uploads')) {
-        db.createObjectStore('uploads', { keyPath: 'id' });
-      }
-    };
-  });
+  const db = await openImageFlowDB();
+  const store = db.transaction(['uploads'], 'readonly').objectStore('uploads');
+  return idbRequest(store.getAll());
 }
 
 async function processQueuedUpload(upload) {
@@ -365,19 +364,9 @@ async function processQueuedUpload(upload) {
 }
 
 async function removeFromQueue(uploadId) {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('ImageFlowDB', 1);
-    
-    request.onsuccess = () => {
-      const db = request.result;
-      const transaction = db.transaction(['uploads'], 'readwrite');
-      const store = transaction.objectStore('uploads');
-      const deleteRequest = store.delete(uploadId);
-      
-      deleteRequest.onsuccess = () => resolve();
-      deleteRequest.onerror = () => reject(deleteRequest.error);
-    };
-  });
+  const db = await openImageFlowDB();
+  const store = db.transaction(['uploads'], 'readwrite').objectStore('uploads');
+  return idbRequest(store.delete(uploadId));
 }
 
 // Cache size management
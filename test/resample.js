@@ -0,0 +1,113 @@
+// Headless check of the built-in resampler (resample.js) against reference
+// outputs: every kernel, down- and upscaling, with and without linear light,
+// on fixed synthetic images. The SHA-256 of each output is compared with
+// test/resample-expected.json. A few properties that hold for any correct
+// resampler are checked first, so the references are not taken on trust.
+//
+//   node test/resample.js            compare
+//   node test/resample.js --update   rewrite the expected checksums
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+const root = path.join(__dirname, '..');
+const expectedFile = path.join(__dirname, 'resample-expected.json');
+const Resampler = vm.runInNewContext(fs.readFileSync(path.join(root, 'resample.js'), 'utf8') + ';Resampler');
+
+// Deterministic inputs: a smooth gradient, a one-pixel checkerboard (worst
+// case for ringing and aliasing) and a hard edge against transparency
+const makeImage = (width, height, pixel) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(pixel(x, y), (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+};
+
+const images = {
+  gradient: makeImage(37, 23, (x, y) => [x * 7, y * 11, (x * y) % 256, 255]),
+  checker: makeImage(24, 24, (x, y) => ((x + y) % 2 ? [255, 255, 255, 255] : [0, 0, 0, 255])),
+  alpha: makeImage(20, 16, (x, y) => (x < 10 ? [255, 40, 0, 255] : [0, 0, 255, 0]))
+};
+
+const sizes = { down: [0.37, 0.41], up: [2.3, 1.7] };
+const modes = {
+  plain: {},
+  srgb: { linear: true, gamma: 'srgb' },
+  gamma: { linear: true, gamma: 2.2 }
+};
+
+const failures = [];
+const check = (name, ok) => {
+  if (!ok) failures.push(name);
+};
+
+// A flat colour stays exactly flat through every kernel and mode
+const flat = makeImage(9, 7, () => [200, 100, 50, 255]);
+for (const kernel of Object.keys(Resampler.KERNELS)) {
+  for (const [modeName, options] of Object.entries(modes)) {
+    const result = Resampler.resize(flat, 4, 13, kernel, options);
+    check(`flat/${kernel}/${modeName}`, result.data.every((value, i) => value === flat.data[i % 4]));
+  }
+}
+
+// Box at exactly half size is the mean of each 2×2 block
+const even = makeImage(36, 22, (x, y) => [x * 7, y * 11, (x * y) % 256, 255]);
+const halved = Resampler.resize(even, 18, 11, 'box');
+check('box/half', halved.data.every((value, i) => {
+  const x = (i >> 2) % 18;
+  const y = Math.floor((i >> 2) / 18);
+  const c = i % 4;
+  let sum = 0;
+  for (const [dx, dy] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+    sum += even.data[((y * 2 + dy) * 36 + x * 2 + dx) * 4 + c];
+  }
+  return Math.abs(value - sum / 4) <= 0.5;
+}));
+
+// Nearest at exactly twice the size repeats every pixel as a 2×2 block
+const doubled = Resampler.resize(images.checker, 48, 48, 'nearest');
+check('nearest/double', doubled.data.every((value, i) => {
+  const x = (i >> 2) % 48;
+  const y = Math.floor((i >> 2) / 48);
+  return value === images.checker.data[((y >> 1) * 24 + (x >> 1)) * 4 + i % 4];
+}));
+
+// Fully transparent pixels do not bleed into the opaque colour
+const edge = Resampler.resize(images.alpha, 40, 32, 'lanczos3');
+check('alpha/no-bleed', edge.data.every((value, i) => i % 4 !== 2 || edge.data[i + 1] === 0 || value === 0));
+
+const actual = {};
+for (const [imageName, image] of Object.entries(images)) {
+  for (const kernel of Object.keys(Resampler.KERNELS)) {
+    for (const [sizeName, [sx, sy]] of Object.entries(sizes)) {
+      for (const [modeName, options] of Object.entries(modes)) {
+        const width = Math.max(1, Math.round(image.width * sx));
+        const height = Math.max(1, Math.round(image.height * sy));
+        const result = Resampler.resize(image, width, height, kernel, options);
+        const hash = crypto.createHash('sha256').update(result.data).digest('hex');
+        actual[`${imageName}/${kernel}/${sizeName}/${modeName}`] = `${width}x${height}:${hash}`;
+      }
+    }
+  }
+}
+
+failures.forEach(name => console.error(`FAIL ${name}`));
+
+if (process.argv.includes('--update')) {
+  if (failures.length) process.exit(1);
+  fs.writeFileSync(expectedFile, JSON.stringify(actual, null, 2) + '\n');
+  console.log(`Wrote ${Object.keys(actual).length} reference checksums to ${path.relative(root, expectedFile)}`);
+  process.exit(0);
+}
+
+const expected = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+Object.keys({ ...expected, ...actual }).filter(key => expected[key] !== actual[key]).forEach(key => {
+  failures.push(key);
+  console.error(`FAIL ${key}\n  expected ${expected[key] || '(none)'}\n  actual   ${actual[key] || '(none)'}`);
+});
+console.log(failures.length ? `${failures.length} failed` : 'All resampler checks passed');
+process.exit(failures.length ? 1 : 0);
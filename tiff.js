@@ -0,0 +1,687 @@
+// ImageFlow Pro TIFF - baseline TIFF reader and writer (uncompressed, LZW, Deflate)
+// Shared by the page and the processing workers (worker.js).
+const TIFF = {
+  COMPRESSION: { none: 1, lzw: 5, deflate: 8 },
+
+  // Field types used by the writer
+  SHORT: 3,
+  LONG: 4,
+  ASCII: 2,
+  RATIONAL: 5,
+
+  // Uncompressed bytes per strip
+  STRIP_SIZE: 64 * 1024,
+
+  // `pages` are { width, height, data } with RGBA data as in canvas ImageData, or
+  // functions resolving to one, so large documents are rasterised page by page.
+  // Options: compression ('none' | 'lzw' | 'deflate'), bitDepth (8 | 16),
+  // alpha ('auto' | true | false) and dpi. Several pages make a multi-page TIFF.
+  async encode(pages, options = {}) {
+    const settings = {
+      compression: this.COMPRESSION[options.compression] ? options.compression : 'none',
+      bitDepth: options.bitDepth === 16 ? 16 : 8,
+      alpha: options.alpha === undefined ? 'auto' : options.alpha,
+      dpi: options.dpi || 72
+    };
+
+    const encoded = [];
+    for (let i = 0; i < pages.length; i++) {
+      const page = typeof pages[i] === 'function' ? await pages[i]() : pages[i];
+      encoded.push(await this.encodePage(page, i, pages.length, settings));
+    }
+    return this.assemble(encoded);
+  },
+
+  async encodePage(page, index, pageCount, settings) {
+    const { width, height, data } = page;
+    const alpha = settings.alpha === 'auto' ? this.hasTransparency(data) : Boolean(settings.alpha);
+    const samples = alpha ? 4 : 3;
+    const rowBytes = width * samples * (settings.bitDepth / 8);
+    const rowsPerStrip = Math.max(1, Math.min(height, Math.floor(this.STRIP_SIZE / rowBytes)));
+    // The horizontal predictor makes LZW and Deflate considerably more effective
+    const predictor = settings.compression !== 'none';
+
+    const strips = [];
+    for (let y = 0; y < height; y += rowsPerStrip) {
+      const rows = Math.min(rowsPerStrip, height - y);
+      const raw = this.packRows(data, width, y, rows, samples, settings.bitDepth, predictor);
+      strips.push(await this.compress(raw, settings.compression));
+    }
+
+    const tags = (stripOffsets) => [
+      { tag: 254, type: this.LONG, values: [pageCount > 1 ? 2 : 0] },
+      { tag: 256, type: this.LONG, values: [width] },
+      { tag: 257, type: this.LONG, values: [height] },
+      { tag: 258, type: this.SHORT, values: new Array(samples).fill(settings.bitDepth) },
+      { tag: 259, type: this.SHORT, values: [this.COMPRESSION[settings.compression]] },
+      { tag: 262, type: this.SHORT, values: [2] },
+      { tag: 273, type: this.LONG, values: stripOffsets },
+      { tag: 277, type: this.SHORT, values: [samples] },
+      { tag: 278, type: this.LONG, values: [rowsPerStrip] },
+      { tag: 279, type: this.LONG, values: strips.map(strip => strip.length) },
+      { tag: 282, type: this.RATIONAL, values: [[settings.dpi, 1]] },
+      { tag: 283, type: this.RATIONAL, values: [[settings.dpi, 1]] },
+      { tag: 284, type: this.SHORT, values: [1] },
+      { tag: 296, type: this.SHORT, values: [2] },
+      ...(pageCount > 1 ? [{ tag: 297, type: this.SHORT, values: [index, pageCount] }] : []),
+      { tag: 305, type: this.ASCII, values: this.toAscii('ImageFlow Pro') },
+      ...(predictor ? [{ tag: 317, type: this.SHORT, values: [2] }] : []),
+      // Canvas pixels are not premultiplied: unassociated alpha
+      ...(alpha ? [{ tag: 338, type: this.SHORT, values: [2] }] : [])
+    ];
+
+    return { strips, tags };
+  },
+
+  hasTransparency(data) {
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] < 255) return true;
+    }
+    return false;
+  },
+
+  // Interleaved samples of `rows` rows, little-endian, optionally differenced
+  packRows(data, width, startRow, rows, samples, bitDepth, predictor) {
+    const bytesPerSample = bitDepth / 8;
+    const out = new Uint8Array(width * rows * samples * bytesPerSample);
+    const max = bitDepth === 16 ? 0xFFFF : 0xFF;
+    const previous = new Array(samples);
+    let k = 0;
+
+    for (let row = 0; row < rows; row++) {
+      previous.fill(0);
+      let src = (startRow + row) * width * 4;
+
+      for (let x = 0; x < width; x++, src += 4) {
+        for (let s = 0; s < samples; s++) {
+          // 8-bit to 16-bit: 0xAB -> 0xABAB keeps white at full scale
+          const value = bitDepth === 16 ? data[src + s] * 257 : data[src + s];
+          const stored = predictor ? (value - previous[s]) & max : value;
+          previous[s] = value;
+
+          out[k++] = stored & 0xFF;
+          if (bitDepth === 16) out[k++] = stored >> 8;
+        }
+      }
+    }
+    return out;
+  },
+
+  compress(bytes, compression) {
+    switch (compression) {
+      case 'lzw':
+        return this.lzw(bytes);
+      case 'deflate':
+        return this.deflate(bytes);
+      default:
+        return bytes;
+    }
+  },
+
+  // TIFF flavour of LZW: MSB-first codes of 9-12 bits, "early change" code
+  // width switching, each strip starts with a Clear code
+  lzw(bytes) {
+    const CLEAR = 256;
+    const EOI = 257;
+    const MAX_CODE = 4095;
+
+    const out = [];
+    let buffer = 0;
+    let bufferBits = 0;
+    let codeBits = 9;
+
+    const write = (code) => {
+      buffer = (buffer << codeBits) | code;
+      bufferBits += codeBits;
+      while (bufferBits >= 8) {
+        bufferBits -= 8;
+        out.push((buffer >>> bufferBits) & 0xFF);
+      }
+      buffer &= (1 << bufferBits) - 1;
+    };
+
+    let table = new Map();
+    let nextCode = 258;
+
+    // Mirrors the decoder, which adds an entry (and may widen codes) one code later
+    const addEntry = () => {
+      nextCode++;
+      if (nextCode === MAX_CODE - 1) {
+        write(CLEAR);
+        table = new Map();
+        nextCode = 258;
+        codeBits = 9;
+      } else if (nextCode > (1 << codeBits) - 1) {
+        codeBits++;
+      }
+    };
+
+    write(CLEAR);
+    if (bytes.length === 0) {
+      write(EOI);
+      return this.flushBits(out, buffer, bufferBits);
+    }
+
+    let prefix = bytes[0];
+    for (let i = 1; i < bytes.length; i++) {
+      const byte = bytes[i];
+      const key = prefix * 256 + byte;
+      const code = table.get(key);
+
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+
+      write(prefix);
+      table.set(key, nextCode);
+      addEntry();
+      prefix = byte;
+    }
+
+    write(prefix);
+    addEntry();
+    write(EOI);
+    return this.flushBits(out, buffer, bufferBits);
+  },
+
+  flushBits(out, buffer, bufferBits) {
+    if (bufferBits > 0) {
+      out.push((buffer << (8 - bufferBits)) & 0xFF);
+    }
+    return new Uint8Array(out);
+  },
+
+  // Adobe Deflate (compression 8) is a zlib stream
+  async deflate(bytes) {
+    if (typeof CompressionStream === 'undefined') {
+      throw new Error('Deflate compression is not supported in this browser');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  },
+
+  toAscii(text) {
+    return [...text].map(char => char.charCodeAt(0) & 0x7F).concat(0);
+  },
+
+  valueSize(entry) {
+    switch (entry.type) {
+      case this.ASCII:
+        return entry.values.length;
+      case this.SHORT:
+        return entry.values.length * 2;
+      case this.RATIONAL:
+        return entry.values.length * 8;
+      default:
+        return entry.values.length * 4;
+    }
+  },
+
+  writeValues(view, offset, entry) {
+    entry.values.forEach((value, i) => {
+      switch (entry.type) {
+        case this.ASCII:
+          view.setUint8(offset + i, value);
+          break;
+        case this.SHORT:
+          view.setUint16(offset + i * 2, value, true);
+          break;
+        case this.RATIONAL:
+          view.setUint32(offset + i * 8, value[0], true);
+          view.setUint32(offset + i * 8 + 4, value[1], true);
+          break;
+        default:
+          view.setUint32(offset + i * 4, value, true);
+      }
+    });
+  },
+
+  // Little-endian file: header, then for every page its strips followed by its IFD
+  assemble(pages) {
+    let offset = 8;
+
+    const layout = pages.map((page) => {
+      const stripOffsets = [];
+      page.strips.forEach((strip) => {
+        stripOffsets.push(offset);
+        offset += strip.length;
+      });
+      offset += offset & 1; // IFDs start on a word boundary
+
+      const ifdOffset = offset;
+      const tags = page.tags(stripOffsets).sort((a, b) => a.tag - b.tag);
+      offset += 2 + tags.length * 12 + 4;
+
+      // Values that do not fit in the 4-byte entry go right after the IFD
+      const valueOffsets = tags.map((entry) => {
+        const size = this.valueSize(entry);
+        if (size <= 4) return null;
+        const at = offset;
+        offset += size + (size & 1);
+        return at;
+      });
+
+      return { page, stripOffsets, ifdOffset, tags, valueOffsets };
+    });
+
+    const bytes = new Uint8Array(offset);
+    const view = new DataView(bytes.buffer);
+    bytes[0] = 0x49; // "II"
+    bytes[1] = 0x49;
+    view.setUint16(2, 42, true);
+    view.setUint32(4, layout[0].ifdOffset, true);
+
+    layout.forEach((entry, index) => {
+      entry.page.strips.forEach((strip, i) => bytes.set(strip, entry.stripOffsets[i]));
+
+      let position = entry.ifdOffset;
+      view.setUint16(position, entry.tags.length, true);
+      position += 2;
+
+      entry.tags.forEach((tag, i) => {
+        view.setUint16(position, tag.tag, true);
+        view.setUint16(position + 2, tag.type, true);
+        view.setUint32(position + 4, tag.values.length, true);
+
+        const valueOffset = entry.valueOffsets[i];
+        if (valueOffset === null) {
+          this.writeValues(view, position + 8, tag);
+        } else {
+          view.setUint32(position + 8, valueOffset, true);
+          this.writeValues(view, valueOffset, tag);
+        }
+        position += 12;
+      });
+
+      const next = layout[index + 1];
+      view.setUint32(position, next ? next.ifdOffset : 0, true);
+    });
+
+    return bytes;
+  },
+
+  // Byte sizes of the TIFF field types
+  TYPE_SIZES: { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 },
+
+  // Decode the pages of a TIFF file to RGBA ({ width, height, data }).
+  // `options.page` limits decoding to a single page.
+  async decode(buffer, options = {}) {
+    const view = new DataView(buffer);
+    const byteOrder = view.getUint16(0);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) {
+      throw new Error('Not a TIFF file');
+    }
+    const little = byteOrder === 0x4949;
+    if (view.getUint16(2, little) !== 42) {
+      throw new Error('BigTIFF and unknown TIFF variants are not supported');
+    }
+
+    const directories = [];
+    const seen = new Set();
+    let offset = view.getUint32(4, little);
+    while (offset && offset + 2 <= buffer.byteLength && !seen.has(offset)) {
+      seen.add(offset);
+      const { tags, next } = this.readDirectory(view, offset, little);
+      directories.push(tags);
+      offset = next;
+    }
+
+    // Reduced-resolution previews (NewSubfileType bit 0) are not pages
+    const pages = directories.filter(tags => !(tags[254] && (tags[254][0] & 1)));
+    const selected = options.page !== undefined ?
+      [pages[Math.min(options.page, pages.length - 1)]] : pages;
+
+    const decoded = [];
+    for (const tags of selected) {
+      decoded.push(await this.decodePage(buffer, tags, little));
+    }
+    return decoded;
+  },
+
+  readDirectory(view, offset, little) {
+    const count = view.getUint16(offset, little);
+    const tags = {};
+
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > view.byteLength) break;
+
+      const tag = view.getUint16(entry, little);
+      const type = view.getUint16(entry + 2, little);
+      const length = view.getUint32(entry + 4, little);
+      const size = this.TYPE_SIZES[type];
+      if (!size) continue;
+
+      const valueOffset = size * length <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+      if (valueOffset + size * length > view.byteLength) continue;
+      tags[tag] = this.readValues(view, valueOffset, type, length, little);
+    }
+
+    const nextOffset = offset + 2 + count * 12;
+    const next = nextOffset + 4 <= view.byteLength ? view.getUint32(nextOffset, little) : 0;
+    return { tags, next };
+  },
+
+  readValues(view, offset, type, length, little) {
+    if (this.TYPE_SIZES[type] === 1) {
+      return new Uint8Array(view.buffer, view.byteOffset + offset, length).slice();
+    }
+
+    const values = new Array(length);
+    for (let i = 0; i < length; i++) {
+      switch (type) {
+        case 3: values[i] = view.getUint16(offset + i * 2, little); break;
+        case 4: values[i] = view.getUint32(offset + i * 4, little); break;
+        case 5: values[i] = view.getUint32(offset + i * 8, little) / (view.getUint32(offset + i * 8 + 4, little) || 1); break;
+        case 8: values[i] = view.getInt16(offset + i * 2, little); break;
+        case 9: values[i] = view.getInt32(offset + i * 4, little); break;
+        case 10: values[i] = view.getInt32(offset + i * 8, little) / (view.getInt32(offset + i * 8 + 4, little) || 1); break;
+        case 11: values[i] = view.getFloat32(offset + i * 4, little); break;
+        case 12: values[i] = view.getFloat64(offset + i * 8, little); break;
+      }
+    }
+    return values;
+  },
+
+  async decodePage(buffer, tags, little) {
+    const width = tags[256][0];
+    const height = tags[257][0];
+    const samples = tags[277] ? tags[277][0] : 1;
+    const bits = tags[258] ? tags[258][0] : 1;
+    const compression = tags[259] ? tags[259][0] : 1;
+    const photometric = tags[262] ? tags[262][0] : (samples >= 3 ? 2 : 1);
+    const predictor = tags[317] ? tags[317][0] : 1;
+    const planar = tags[284] ? tags[284][0] : 1;
+
+    if (![1, 2, 4, 8, 16].includes(bits)) {
+      throw new Error(`TIFF: ${bits}-bit samples are not supported`);
+    }
+    if (tags[339] && tags[339][0] === 3) {
+      throw new Error('TIFF: floating point samples are not supported');
+    }
+    if (predictor !== 1 && predictor !== 2) {
+      throw new Error(`TIFF: predictor ${predictor} is not supported`);
+    }
+
+    // Strips are treated as full-width tiles
+    const tiled = Boolean(tags[322]);
+    const blockWidth = tiled ? tags[322][0] : width;
+    const blockHeight = tiled ? tags[323][0] : Math.min(tags[278] ? tags[278][0] : height, height);
+    const offsets = tiled ? tags[324] : tags[273];
+    const counts = tiled ? tags[325] : tags[279];
+    if (!offsets || !counts) {
+      throw new Error('TIFF: missing image data offsets');
+    }
+
+    const planes = planar === 2 ? samples : 1;
+    const blockSamples = planar === 2 ? 1 : samples;
+    const blocksAcross = Math.ceil(width / blockWidth);
+    const blocksDown = Math.ceil(height / blockHeight);
+    const rowBytes = Math.ceil(blockWidth * blockSamples * bits / 8);
+    const mask = (1 << bits) - 1;
+
+    // Raw sample values before photometric interpretation
+    const raw = new Uint16Array(width * height * samples);
+
+    for (let plane = 0; plane < planes; plane++) {
+      for (let by = 0; by < blocksDown; by++) {
+        for (let bx = 0; bx < blocksAcross; bx++) {
+          const index = plane * blocksAcross * blocksDown + by * blocksAcross + bx;
+          const source = new Uint8Array(buffer, offsets[index], Math.min(counts[index], buffer.byteLength - offsets[index]));
+          const block = await this.decompress(source, compression, rowBytes * blockHeight);
+
+          const previous = new Array(blockSamples);
+          for (let row = 0; row < blockHeight; row++) {
+            const y = by * blockHeight + row;
+            if (y >= height) break;
+
+            previous.fill(0);
+            let bitOffset = row * rowBytes * 8;
+            for (let col = 0; col < blockWidth; col++) {
+              const x = bx * blockWidth + col;
+              for (let s = 0; s < blockSamples; s++, bitOffset += bits) {
+                let value = this.readSample(block, bitOffset, bits, little);
+                if (predictor === 2) {
+                  value = (value + previous[s]) & mask;
+                  previous[s] = value;
+                }
+                if (x < width) {
+                  raw[(y * width + x) * samples + plane + s] = value;
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+
+    return {
+      width,
+      height,
+      data: this.toRGBA(raw, width, height, samples, bits, photometric, tags)
+    };
+  },
+
+  readSample(block, bitOffset, bits, little) {
+    const byteIndex = bitOffset >> 3;
+    if (bits === 8) return block[byteIndex] || 0;
+    if (bits === 16) {
+      const a = block[byteIndex] || 0;
+      const b = block[byteIndex + 1] || 0;
+      return little ? a | (b << 8) : (a << 8) | b;
+    }
+    // 1, 2 and 4-bit samples are packed MSB-first and never cross a byte
+    const shift = 8 - bits - (bitOffset & 7);
+    return ((block[byteIndex] || 0) >> shift) & ((1 << bits) - 1);
+  },
+
+  toRGBA(raw, width, height, samples, bits, photometric, tags) {
+    const max = (1 << bits) - 1;
+    const scale = new Uint8Array(max + 1);
+    for (let v = 0; v <= max; v++) {
+      scale[v] = Math.round(v * 255 / max);
+    }
+
+    const colorChannels = photometric === 2 ? 3 : (photometric === 5 ? 4 : 1);
+    if (samples < colorChannels) {
+      throw new Error('TIFF: not enough samples per pixel');
+    }
+    if (![0, 1, 2, 3, 5].includes(photometric)) {
+      throw new Error(`TIFF: photometric interpretation ${photometric} is not supported`);
+    }
+
+    // ExtraSamples: 1 = premultiplied alpha, 2 = straight alpha, 0 = unspecified (ignored)
+    const extra = tags[338] ? tags[338][0] : (samples > colorChannels ? 2 : 0);
+    const hasAlpha = samples > colorChannels && extra !== 0;
+    const colorMap = tags[320];
+    const paletteSize = 1 << bits;
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0, p = 0; i < width * height; i++, p += samples) {
+      let r, g, b;
+      switch (photometric) {
+        case 0:
+          r = g = b = 255 - scale[raw[p]];
+          break;
+        case 1:
+          r = g = b = scale[raw[p]];
+          break;
+        case 2:
+          r = scale[raw[p]];
+          g = scale[raw[p + 1]];
+          b = scale[raw[p + 2]];
+          break;
+        case 3:
+          if (!colorMap) throw new Error('TIFF: palette image without a color map');
+          r = colorMap[raw[p]] >> 8;
+          g = colorMap[paletteSize + raw[p]] >> 8;
+          b = colorMap[2 * paletteSize + raw[p]] >> 8;
+          break;
+        case 5: {
+          // Naive CMYK, good enough for scans without an ICC profile
+          const k = 255 - scale[raw[p + 3]];
+          r = (255 - scale[raw[p]]) * k / 255;
+          g = (255 - scale[raw[p + 1]]) * k / 255;
+          b = (255 - scale[raw[p + 2]]) * k / 255;
+          break;
+        }
+      }
+
+      let a = hasAlpha ? scale[raw[p + colorChannels]] : 255;
+      if (hasAlpha && extra === 1 && a > 0 && a < 255) {
+        r = r * 255 / a;
+        g = g * 255 / a;
+        b = b * 255 / a;
+      }
+
+      const o = i * 4;
+      data[o] = r;
+      data[o + 1] = g;
+      data[o + 2] = b;
+      data[o + 3] = a;
+    }
+    return data;
+  },
+
+  decompress(bytes, compression, expectedSize) {
+    switch (compression) {
+      case 1:
+        return bytes;
+      case 5:
+        return this.lzwDecode(bytes, expectedSize);
+      case 8:
+      case 32946:
+        return this.inflate(bytes);
+      case 32773:
+        return this.unpackBits(bytes, expectedSize);
+      default:
+        throw new Error(`TIFF: compression ${compression} is not supported`);
+    }
+  },
+
+  lzwDecode(input, expectedSize) {
+    const prefix = new Uint16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const lengths = new Uint16Array(4096);
+    for (let i = 0; i < 256; i++) {
+      suffix[i] = i;
+      lengths[i] = 1;
+    }
+
+    let out = new Uint8Array(Math.max(expectedSize, 1));
+    let outPos = 0;
+    let bitPos = 0;
+    const totalBits = input.length * 8;
+    let codeBits = 9;
+    let nextCode = 258;
+    let previous = -1;
+
+    const readCode = () => {
+      if (bitPos + codeBits > totalBits) return 257;
+      let value = 0;
+      let needed = codeBits;
+      while (needed > 0) {
+        const available = 8 - (bitPos & 7);
+        const take = Math.min(available, needed);
+        value = (value << take) | ((input[bitPos >> 3] >> (available - take)) & ((1 << take) - 1));
+        bitPos += take;
+        needed -= take;
+      }
+      return value;
+    };
+
+    const ensure = (size) => {
+      if (outPos + size > out.length) {
+        const grown = new Uint8Array(Math.max(out.length * 2, outPos + size));
+        grown.set(out);
+        out = grown;
+      }
+    };
+
+    const emit = (code) => {
+      const length = lengths[code];
+      ensure(length);
+      for (let i = outPos + length - 1, c = code; i >= outPos; i--) {
+        out[i] = suffix[c];
+        c = prefix[c];
+      }
+      outPos += length;
+    };
+
+    for (;;) {
+      const code = readCode();
+      if (code === 257) break;
+
+      if (code === 256) {
+        codeBits = 9;
+        nextCode = 258;
+        previous = -1;
+        continue;
+      }
+
+      if (previous === -1) {
+        if (code > 255) throw new Error('TIFF: corrupt LZW data');
+        emit(code);
+        previous = code;
+        continue;
+      }
+
+      let first;
+      if (code < nextCode) {
+        emit(code);
+        first = out[outPos - lengths[code]];
+      } else if (code === nextCode) {
+        const start = outPos;
+        emit(previous);
+        first = out[start];
+        ensure(1);
+        out[outPos++] = first;
+      } else {
+        throw new Error('TIFF: corrupt LZW data');
+      }
+
+      if (nextCode < 4096) {
+        prefix[nextCode] = previous;
+        suffix[nextCode] = first;
+        lengths[nextCode] = lengths[previous] + 1;
+        nextCode++;
+      }
+      previous = code;
+
+      // Early change: widen one code before the table fills the current width
+      if (nextCode >= 2047) codeBits = 12;
+      else if (nextCode >= 1023) codeBits = 11;
+      else if (nextCode >= 511) codeBits = 10;
+    }
+
+    return out.subarray(0, outPos);
+  },
+
+  unpackBits(input, expectedSize) {
+    const out = new Uint8Array(expectedSize);
+    let i = 0;
+    let o = 0;
+
+    while (i < input.length && o < expectedSize) {
+      const n = (input[i++] << 24) >> 24;
+      if (n >= 0) {
+        out.set(input.subarray(i, i + n + 1), o);
+        i += n + 1;
+        o += n + 1;
+      } else if (n !== -128) {
+        out.fill(input[i++], o, Math.min(o + 1 - n, expectedSize));
+        o += 1 - n;
+      }
+    }
+    return out;
+  },
+
+  async inflate(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('Deflate decompression is not supported in this browser');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+};
@@ -0,0 +1,117 @@
+// ImageFlow Pro Worker Pool - runs processing jobs on a fixed set of workers
+class WorkerPool {
+  constructor(scriptUrl, size = navigator.hardwareConcurrency || 4) {
+    this.scriptUrl = scriptUrl;
+    this.size = Math.max(1, size);
+    this.workers = [];
+    this.queue = [];
+    this.tasks = new Map();
+    this.nextTaskId = 1;
+  }
+
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+           typeof OffscreenCanvas !== 'undefined' &&
+           typeof OffscreenCanvas.prototype.convertToBlob === 'function' &&
+           typeof createImageBitmap !== 'undefined';
+  }
+
+  // `prepare` is called only once a worker is free, so large inputs such as
+  // ImageBitmaps are not all decoded up front. It resolves to { message, transfer }.
+  run(prepare, onProgress = () => {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ prepare, onProgress, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const slot = this.getIdleWorker();
+      if (!slot) return;
+
+      const task = this.queue.shift();
+      this.startTask(slot, task);
+    }
+  }
+
+  getIdleWorker() {
+    const idle = this.workers.find(slot => !slot.taskId);
+    if (idle) return idle;
+
+    if (this.workers.length < this.size) {
+      return this.spawnWorker();
+    }
+    return null;
+  }
+
+  spawnWorker() {
+    const slot = { worker: new Worker(this.scriptUrl), taskId: null };
+
+    slot.worker.addEventListener('message', (event) => this.handleMessage(slot, event.data));
+    slot.worker.addEventListener('error', (event) => {
+      console.error('Processing worker crashed:', event.message);
+      this.replaceWorker(slot, new Error(event.message || 'Worker error'));
+    });
+
+    this.workers.push(slot);
+    return slot;
+  }
+
+  async startTask(slot, task) {
+    const taskId = this.nextTaskId++;
+    slot.taskId = taskId;
+    this.tasks.set(taskId, task);
+
+    try {
+      const { message, transfer = [] } = await task.prepare();
+      slot.worker.postMessage({ ...message, id: taskId }, transfer);
+    } catch (error) {
+      this.finishTask(slot);
+      task.reject(error);
+    }
+  }
+
+  handleMessage(slot, data) {
+    const task = this.tasks.get(data.id);
+    if (!task) return;
+
+    switch (data.type) {
+      case 'progress':
+        task.onProgress(data.progress);
+        break;
+      case 'result':
+        this.finishTask(slot);
+        task.resolve(data.result);
+        break;
+      case 'error':
+        this.finishTask(slot);
+        task.reject(new Error(data.error));
+        break;
+    }
+  }
+
+  finishTask(slot) {
+    this.tasks.delete(slot.taskId);
+    slot.taskId = null;
+    this.dispatch();
+  }
+
+  replaceWorker(slot, error) {
+    const task = this.tasks.get(slot.taskId);
+    this.tasks.delete(slot.taskId);
+    slot.worker.terminate();
+    this.workers = this.workers.filter(s => s !== slot);
+
+    if (task) task.reject(error);
+    this.dispatch();
+  }
+
+  terminate() {
+    this.workers.forEach(slot => slot.worker.terminate());
+    this.workers = [];
+    this.tasks.forEach(task => task.reject(new Error('Worker pool terminated')));
+    this.tasks.clear();
+    this.queue = [];
+  }
+}
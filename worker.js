@@ -0,0 +1,40 @@
+// ImageFlow Pro Processing Worker - resize & encode off the main thread
+try {
+  importScripts('https://cdn.jsdelivr.net/npm/pica@9.0.1/dist/pica.min.js');
+} catch (error) {
+  console.warn('[Worker] Pica.js not available, using canvas resize:', error);
+}
+importScripts('./tiff.js', './metadata.js', './quantize.js', './png.js', './resample.js', './pixelart.js', './imaging.js', './adjustments.js', './filters.js', './smartcrop.js', './pipeline.js');
+
+self.addEventListener('message', async (event) => {
+  const { id, type } = event.data;
+  const bitmaps = event.data.bitmap ? [event.data.bitmap] : (event.data.bitmaps || []);
+  const onProgress = (progress) => {
+    self.postMessage({ id, type: 'progress', progress });
+  };
+
+  try {
+    let result;
+    switch (type) {
+      case 'pipeline':
+        result = await Pipeline.run(event.data.bitmap, event.data.steps, event.data.options, onProgress);
+        break;
+      case 'responsive':
+        result = await Pipeline.runVariants(event.data.bitmap, event.data.steps, event.data.widths,
+          event.data.formats, event.data.options, onProgress);
+        break;
+      case 'tiff-document':
+        result = await Imaging.encodeTiffDocument(bitmaps, event.data.config, onProgress);
+        break;
+      default:
+        self.postMessage({ id, type: 'error', error: 'Unknown message type: ' + type });
+        return;
+    }
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    console.error('[Worker] Processing failed:', error);
+    self.postMessage({ id, type: 'error', error: error.message });
+  } finally {
+    bitmaps.forEach(bitmap => bitmap.close());
+  }
+});